@@ -0,0 +1,472 @@
+document.addEventListener("DOMContentLoaded", async () => {
+  const { GENRES, COLORS, REGISTERS, foldForSearch } = LoveCorpus;
+  const PAGE_SIZE = 50;
+  const REG_COLOR = "#7A2C2A";
+  const CORPUS_MEAN_COLOR = "#C39A6B";
+
+  const form = document.getElementById("author-filters");
+  const qEl = document.getElementById("a-query");
+  const minEl = document.getElementById("a-min");
+  const body = document.getElementById("author-rows");
+  const countEl = document.getElementById("author-count");
+  const prevBtn = document.getElementById("apg-prev");
+  const nextBtn = document.getElementById("apg-next");
+  const pageInfo = document.getElementById("apg-info");
+  const headers = Array.from(document.querySelectorAll(".author-table th[data-sort]"));
+  const section = document.getElementById("author-section");
+
+  if (!form || !body) return;
+
+  let corpus;
+  try {
+    corpus = await LoveCorpus.load();
+  } catch (e) {
+    console.error(e);
+    body.innerHTML = `<tr><td colspan="6">Could not load CSV at <code>${LoveCorpus.currentRelease().csv}</code>. Check file path + server.</td></tr>`;
+    return;
+  }
+
+  const texts = corpus.rows;
+
+  // ---- One record per OpenITI author id
+  const authors = Array.from(d3.group(texts, (r) => r.authorId), ([id, works]) => {
+    const first = works[0];
+    const loves = works.map((r) => r.love);
+    return {
+      id,
+      name: first.authorName || id,
+      fullName: first.author,
+      date: first.date,
+      dated: first.dated,
+      century: first.century,
+      works: [...works].sort((a, b) => b.love - a.love),
+      n: works.length,
+      mean: d3.mean(loves),
+      sd: works.length > 1 ? d3.deviation(loves) : null,
+      genres: d3.rollup(works, (v) => v.length, (r) => r.genre),
+      haystack: foldForSearch([first.author, first.authorShuhra, id].join(" ")),
+    };
+  });
+  const byId = new Map(authors.map((a) => [a.id, a]));
+
+  // Corpus reference values
+  const corpusReg = new Map(REGISTERS.map((k) => [k, d3.mean(texts, (r) => r.scores[`BoC_${k}`])]));
+  const centuryMeans = d3.rollup(texts, (v) => d3.mean(v, (r) => r.love), (r) => r.century);
+
+  // ---- Index
+  const state = { sort: "n", dir: -1, page: 0 };
+
+  const SORTERS = {
+    name: (a) => foldForSearch(a.name),
+    n: (a) => a.n,
+    date: (a) => a.date,
+    mean: (a) => a.mean,
+    sd: (a) => (a.sd == null ? -1 : a.sd),
+  };
+
+  // Index filters, sort and page are mirrored in the URL hash next to #author
+  function restoreState() {
+    const u = LoveUrlState;
+    qEl.value = u.get("q") || "";
+    minEl.value = String(Math.max(1, u.getNumber("min") || 1));
+    if (SORTERS[u.get("sort")]) state.sort = u.get("sort");
+    if (u.get("dir")) state.dir = u.get("dir") === "asc" ? 1 : -1;
+    state.page = Math.max(0, (u.getNumber("page") || 1) - 1);
+  }
+
+  function saveState() {
+    const min = Math.max(1, +minEl.value || 1);
+    LoveUrlState.set({
+      q: qEl.value.trim(),
+      min: min > 1 ? min : null,
+      sort: state.sort === "n" ? null : state.sort,
+      dir: state.dir < 0 ? null : "asc",
+      page: state.page ? state.page + 1 : null,
+    });
+  }
+
+  function filtered() {
+    const terms = foldForSearch(qEl.value).split(" ").filter(Boolean);
+    const minN = Math.max(1, +minEl.value || 1);
+    const key = SORTERS[state.sort];
+    return authors
+      .filter((a) => a.n >= minN && terms.every((t) => a.haystack.includes(t)))
+      .sort((a, b) => {
+        const ka = key(a);
+        const kb = key(b);
+        if (ka < kb) return -state.dir;
+        if (ka > kb) return state.dir;
+        return a.date - b.date;
+      });
+  }
+
+  function genreSwatches(a) {
+    return GENRES.filter((g) => a.genres.has(g))
+      .map((g) => `<span class="swatch" style="background:${COLORS[g]}" title="${LoveI18n.genreName(g)}: ${LoveI18n.num(a.genres.get(g))}"></span>`)
+      .join("");
+  }
+
+  function render() {
+    const list = filtered();
+    const pages = Math.max(1, Math.ceil(list.length / PAGE_SIZE));
+    state.page = Math.min(state.page, pages - 1);
+    const start = state.page * PAGE_SIZE;
+    const pageRows = list.slice(start, start + PAGE_SIZE);
+
+    countEl.textContent = LoveI18n.t("list.authors-match", { k: LoveI18n.num(list.length), n: LoveI18n.num(authors.length) });
+    pageInfo.textContent = list.length
+      ? LoveI18n.t("list.page", {
+          a: LoveI18n.num(start + 1),
+          b: LoveI18n.num(start + pageRows.length),
+          p: LoveI18n.num(state.page + 1),
+          n: LoveI18n.num(pages),
+        })
+      : "";
+    prevBtn.disabled = state.page === 0;
+    nextBtn.disabled = state.page >= pages - 1;
+    saveState();
+
+    headers.forEach((th) => {
+      const on = th.dataset.sort === state.sort;
+      th.setAttribute("aria-sort", on ? (state.dir > 0 ? "ascending" : "descending") : "none");
+    });
+
+    body.innerHTML = "";
+    for (const a of pageRows) {
+      const tr = document.createElement("tr");
+      tr.className = "browse-row";
+      tr.tabIndex = 0;
+      tr.innerHTML = `
+        <td><strong>${a.name}</strong><br/><span class="note">${a.id}</span></td>
+        <td>${a.n}</td>
+        <td>${a.dated ? LoveI18n.yearText(a.date) : LoveI18n.t("chart.undated")}<br/><span class="note">${LoveI18n.centuryText(a.century)}</span></td>
+        <td>${genreSwatches(a)}</td>
+        <td>${LoveI18n.num(a.mean, ".3f")}</td>
+        <td>${a.sd == null ? "—" : LoveI18n.num(a.sd, ".3f")}</td>
+      `;
+      tr.addEventListener("click", () => showAuthor(a.id));
+      tr.addEventListener("keydown", (e) => {
+        if (e.key === "Enter") showAuthor(a.id);
+      });
+      body.appendChild(tr);
+    }
+    if (!pageRows.length) body.innerHTML = `<tr><td colspan="6">${LoveI18n.t("list.no-author")}</td></tr>`;
+  }
+
+  function refilter() {
+    state.page = 0;
+    render();
+  }
+
+  form.addEventListener("input", refilter);
+  form.addEventListener("change", refilter);
+  form.addEventListener("submit", (e) => e.preventDefault());
+  form.addEventListener("reset", () => setTimeout(refilter, 0));
+
+  headers.forEach((th) => {
+    th.querySelector("button").addEventListener("click", () => {
+      const key = th.dataset.sort;
+      if (state.sort === key) state.dir = -state.dir;
+      else {
+        state.sort = key;
+        state.dir = key === "name" || key === "date" ? 1 : -1;
+      }
+      render();
+    });
+  });
+
+  prevBtn.addEventListener("click", () => {
+    state.page = Math.max(0, state.page - 1);
+    render();
+  });
+  nextBtn.addEventListener("click", () => {
+    state.page += 1;
+    render();
+  });
+
+  // ---- Author page, deep-linked as #author=<id> (other hash parameters are preserved)
+
+  function hashParams() {
+    return new URLSearchParams(location.hash.replace(/^#/, ""));
+  }
+
+  function showAuthor(id) {
+    const p = hashParams();
+    p.set("author", id);
+    p.delete("text");
+    location.hash = p.toString();
+  }
+
+  function closeAuthor() {
+    const p = hashParams();
+    p.delete("author");
+    const rest = p.toString();
+    history.pushState(null, "", `${location.pathname}${location.search}${rest ? `#${rest}` : ""}`);
+    syncAuthor();
+  }
+
+  let shownId = null;
+
+  function syncAuthor() {
+    const id = hashParams().get("author");
+    const a = id ? byId.get(id) : null;
+    section.hidden = !a;
+    if (!a || a.id === shownId) {
+      if (!a) shownId = null;
+      return;
+    }
+    shownId = a.id;
+    renderAuthor(a);
+    section.scrollIntoView({ block: "start" });
+  }
+
+  document.getElementById("author-close").addEventListener("click", closeAuthor);
+
+  function renderAuthor(a) {
+    const setText = (id, v) => (document.getElementById(id).textContent = v);
+    const { t } = LoveI18n;
+    const when = a.dated ? t("tip.died", { y: LoveI18n.yearText(a.date) }) : t("chart.undated");
+    setText("author-name", a.name);
+    setText("author-meta", `${a.fullName} · ${when} · ${LoveI18n.centuryText(a.century)} · ${a.id}`);
+
+    const loves = a.works.map((r) => r.love);
+    const cMean = centuryMeans.get(a.century);
+    const share = a.n / texts.filter((r) => r.century === a.century).length;
+    const f3 = (v) => LoveI18n.num(v, ".3f");
+    setText(
+      "author-summary",
+      t("author.summary", {
+        works: t(a.n === 1 ? "author.work" : "author.works", { n: LoveI18n.num(a.n) }),
+        share: LoveI18n.num(share, ".1%"),
+        c: LoveI18n.centuryText(a.century),
+        mean: f3(a.mean),
+        spread: a.sd == null ? "" : t("author.spread", { sd: f3(a.sd), lo: f3(d3.min(loves)), hi: f3(d3.max(loves)) }),
+        cmean: f3(cMean),
+      })
+    );
+
+    drawTimeline(document.getElementById("author-timeline"), a);
+    drawRegisterProfile(document.getElementById("author-registers"), a);
+    drawGenreMix(document.getElementById("author-genres"), a);
+
+    const works = document.getElementById("author-works");
+    works.innerHTML = "";
+    for (const d of a.works) {
+      const tr = document.createElement("tr");
+      tr.className = "browse-row";
+      tr.tabIndex = 0;
+      tr.innerHTML = `
+        <td><strong>${d.title || t("tip.no-title")}</strong>${d.titleAr ? `<br/><span lang="ar" dir="rtl" class="browse-ar">${d.titleAr}</span>` : ""}</td>
+        <td><span class="swatch" style="background:${COLORS[d.genre]}"></span> ${LoveI18n.genreName(d.genre)}</td>
+        <td>${LoveI18n.num(d.love, ".3f")}</td>
+      `;
+      tr.addEventListener("click", () => LoveTextPanel.show(d.uri));
+      tr.addEventListener("keydown", (e) => {
+        if (e.key === "Enter") LoveTextPanel.show(d.uri);
+      });
+      works.appendChild(tr);
+    }
+  }
+
+  function drawTimeline(container, a) {
+    container.innerHTML = "";
+    const width = 900;
+    const height = 300;
+    const C = LoveI18n.chart;
+    const margin = C.margin({ top: 16, right: 20, bottom: 40, left: 50 });
+    const plotW = width - margin.left - margin.right;
+    const plotH = height - margin.top - margin.bottom;
+
+    const svg = d3
+      .select(container)
+      .append("svg")
+      .attr("viewBox", `0 0 ${width} ${height}`)
+      .attr("width", "100%");
+
+    const g = svg.append("g").attr("transform", `translate(${margin.left},${margin.top})`);
+    const x = d3.scaleLinear().domain([0, LoveCorpus.MAX_CENTURY * 100]).range(C.range(plotW));
+    const y = d3.scaleLinear().domain([0, 2]).range([plotH, 0]);
+
+    g.append("g")
+      .attr("class", "grid")
+      .attr("transform", `translate(${C.start(plotW)},0)`)
+      .call(C.yAxis(y).ticks(4).tickSize(-plotW).tickFormat(""))
+      .attr("opacity", 0.16);
+    g.append("g")
+      .attr("transform", `translate(0,${plotH})`)
+      .call(d3.axisBottom(x).tickValues(LoveI18n.yearTicks(x.domain(), 7)).tickFormat(LoveI18n.yearTick));
+    g.append("g").attr("transform", `translate(${C.start(plotW)},0)`).call(C.yAxis(y).ticks(4));
+
+    g.append("g")
+      .selectAll("circle")
+      .data(texts.filter((r) => r.dated))
+      .enter()
+      .append("circle")
+      .attr("cx", (r) => x(r.date))
+      .attr("cy", (r) => y(r.love))
+      .attr("r", 1.8)
+      .attr("fill", "#2B2420")
+      .attr("opacity", 0.12);
+
+    const means = Array.from(centuryMeans, ([c, m]) => ({ c, m })).sort((p, q) => p.c - q.c);
+    g.append("path")
+      .datum(means)
+      .attr("fill", "none")
+      .attr("stroke", "#2B2420")
+      .attr("stroke-width", 1.6)
+      .attr("opacity", 0.55)
+      .attr("d", d3.line().x((d) => x((d.c - 0.5) * 100)).y((d) => y(d.m)).curve(d3.curveMonotoneX));
+
+    // Works of an undated author sit at the middle of century 1
+    const at = a.dated ? a.date : 50;
+    g.append("line")
+      .attr("x1", x(at)).attr("x2", x(at))
+      .attr("y1", 0).attr("y2", plotH)
+      .attr("stroke", REG_COLOR)
+      .attr("stroke-dasharray", "4 4")
+      .attr("opacity", 0.5);
+
+    g.append("g")
+      .selectAll("circle")
+      .data(a.works)
+      .enter()
+      .append("circle")
+      .attr("cx", x(at))
+      .attr("cy", (r) => y(r.love))
+      .attr("r", 5)
+      .attr("fill", (r) => (a.dated ? COLORS[r.genre] : "none"))
+      .attr("stroke", (r) => (a.dated ? "#F6F1E7" : COLORS[r.genre]))
+      .attr("stroke-width", 1.4)
+      .style("cursor", "pointer")
+      .on("click", (event, r) => LoveTextPanel.show(r.uri))
+      .append("title")
+      .text((r) => `${r.title || LoveI18n.t("tip.no-title")} · ${LoveI18n.genreName(r.genre)} · ${LoveI18n.num(r.love, ".3f")}`);
+  }
+
+  function drawRegisterProfile(container, a) {
+    container.innerHTML = "";
+    const data = REGISTERS.map((k) => ({
+      key: k,
+      value: d3.mean(a.works, (r) => r.scores[`BoC_${k}`]),
+      corpusMean: corpusReg.get(k),
+    }));
+
+    const C = LoveI18n.chart;
+    const margin = C.margin({ top: 6, right: 40, bottom: 24, left: 72 });
+    const width = 380;
+    const height = 24 * REGISTERS.length + margin.top + margin.bottom;
+    const plotW = width - margin.left - margin.right;
+    const plotH = height - margin.top - margin.bottom;
+
+    const svg = d3
+      .select(container)
+      .append("svg")
+      .attr("viewBox", `0 0 ${width} ${height}`)
+      .attr("width", "100%");
+
+    const g = svg.append("g").attr("transform", `translate(${margin.left},${margin.top})`);
+
+    const xMax = d3.max(data, (r) => Math.max(r.value || 0, r.corpusMean || 0)) || 1;
+    const x = d3.scaleLinear().domain([0, Math.max(2, xMax)]).nice().range(C.range(plotW));
+    const y = d3.scaleBand().domain(REGISTERS).range([0, plotH]).padding(0.28);
+
+    g.append("g").attr("transform", `translate(0,${plotH})`).call(d3.axisBottom(x).ticks(4));
+    g.append("g").attr("transform", `translate(${C.start(plotW)},0)`).call(C.yAxis(y).tickSize(0).tickPadding(6));
+
+    g.selectAll("rect")
+      .data(data)
+      .enter()
+      .append("rect")
+      .attr("x", (r) => Math.min(x(0), x(r.value || 0)))
+      .attr("y", (r) => y(r.key))
+      .attr("height", y.bandwidth())
+      .attr("width", (r) => Math.abs(x(r.value || 0) - x(0)))
+      .attr("fill", REG_COLOR)
+      .attr("opacity", 0.85);
+
+    g.selectAll("line.tp-mean")
+      .data(data)
+      .enter()
+      .append("line")
+      .attr("class", "tp-mean")
+      .attr("x1", (r) => x(r.corpusMean))
+      .attr("x2", (r) => x(r.corpusMean))
+      .attr("y1", (r) => y(r.key) - 3)
+      .attr("y2", (r) => y(r.key) + y.bandwidth() + 3)
+      .attr("stroke", CORPUS_MEAN_COLOR)
+      .attr("stroke-width", 2.4);
+
+    g.selectAll("text.tp-val")
+      .data(data)
+      .enter()
+      .append("text")
+      .attr("class", "tp-val")
+      .attr("x", (r) => x(r.value || 0) + C.side(4))
+      .attr("y", (r) => y(r.key) + y.bandwidth() / 2 + 4)
+      .attr("text-anchor", C.anchor("start"))
+      .style("font-size", "11px")
+      .text((r) => (r.value == null ? "—" : LoveI18n.num(r.value, ".2f")));
+  }
+
+  function drawGenreMix(container, a) {
+    container.innerHTML = GENRES.filter((g) => a.genres.has(g))
+      .map((g) => {
+        const n = a.genres.get(g);
+        return `
+          <div class="amix-row">
+            <span class="amix-label"><span class="swatch" style="background:${COLORS[g]}"></span> ${LoveI18n.genreName(g)}</span>
+            <span class="amix-bar"><span style="width:${(100 * n) / a.n}%; background:${COLORS[g]}"></span></span>
+            <span class="amix-n">${LoveI18n.num(n)}</span>
+          </div>`;
+      })
+      .join("");
+  }
+
+  // ---- Leave-one-author-out: how far each prolific author moves their century mean
+  function renderInfluence() {
+    const out = document.getElementById("influence-rows");
+    if (!out) return;
+    const counts = d3.rollup(texts, (v) => v.length, (r) => r.century);
+    const sums = d3.rollup(texts, (v) => d3.sum(v, (r) => r.love), (r) => r.century);
+
+    const list = authors
+      .filter((a) => a.n >= 2 && a.n < counts.get(a.century))
+      .map((a) => {
+        const n = counts.get(a.century);
+        const without = (sums.get(a.century) - d3.sum(a.works, (r) => r.love)) / (n - a.n);
+        return { a, n, mean: centuryMeans.get(a.century), without, shift: centuryMeans.get(a.century) - without };
+      })
+      .sort((p, q) => Math.abs(q.shift) - Math.abs(p.shift))
+      .slice(0, 12);
+
+    out.innerHTML = list
+      .map((d) => `
+        <tr class="browse-row" data-author="${d.a.id}" tabindex="0">
+          <td><strong>${d.a.name}</strong></td>
+          <td>${d.a.century}</td>
+          <td>${d.a.n} / ${d.n}</td>
+          <td>${d.mean.toFixed(3)}</td>
+          <td>${d.without.toFixed(3)}</td>
+          <td>${d.shift > 0 ? "+" : "−"}${Math.abs(d.shift).toFixed(3)}</td>
+        </tr>`)
+      .join("");
+
+    out.querySelectorAll("tr").forEach((tr) => {
+      tr.addEventListener("click", () => showAuthor(tr.dataset.author));
+      tr.addEventListener("keydown", (e) => {
+        if (e.key === "Enter") showAuthor(tr.dataset.author);
+      });
+    });
+  }
+
+  restoreState();
+  render();
+  renderInfluence();
+  window.addEventListener("hashchange", syncAuthor);
+  syncAuthor();
+  LoveI18n.onChange(() => {
+    render();
+    if (shownId) renderAuthor(byId.get(shownId));
+  });
+  LoveTextPanel.attach(texts);
+});
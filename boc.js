@@ -0,0 +1,355 @@
+// Bag-of-Concepts scorer: the Methods pipeline (normalize → register cues → rarity and
+// idiom weighting → anchor proximity → length normalization → technical penalty) applied
+// to a single passage, with the lexicons in data/lexicons/. Used by the "Score your own
+// text" page; loads in Node as well (require("./boc.js")).
+(function (root, factory) {
+  const corpus = typeof module === "object" && module.exports ? require("./corpus.js") : root.LoveCorpus;
+  const api = factory(corpus);
+  if (typeof module === "object" && module.exports) module.exports = api;
+  else root.LoveBoC = api;
+})(typeof self !== "undefined" ? self : this, (LoveCorpus) => {
+  const LEXICON_DIR = "data/lexicons";
+  const TECHNICAL = "technical";
+
+  // Lexicon files: data/lexicons/<register>.json, plus technical.json for the penalty.
+  //   roots  { root: weight }  three radicals, matched on the consonant skeleton of a stem
+  //   cues   { word: weight }  surface forms, matched on the word and its light stems
+  //   idioms [ "two or more words" ]
+  //   exclude [ words ]        forms never counted for the register (ليلى is not the night)
+  // Weights are rarity weights (0.5 generic … 2 rare and diagnostic), the IDF step of the pipeline.
+  const PARAMS = {
+    window: 12, // tokens on either side of an anchor that count as "near" it
+    proximityBoost: 1.5, // non-anchor evidence near an anchor
+    idiomBoost: 2, // evidence added per idiom occurrence
+    penaltyScale: 10, // raw evidence × (1 − min(maxPenalty, penaltyScale × technical share))
+    maxPenalty: 0.5,
+  };
+
+  // ---- Normalize and stem
+
+  // Same folding as corpus search (hamza / alif / tāʾ marbūṭa variants, short vowels, tatweel)
+  function tokenize(text) {
+    return LoveCorpus.foldForSearch(text)
+      .split(/[^ء-ي]+/)
+      .filter((w) => w.length > 1);
+  }
+
+  // Arabic words of a raw text, in order: `forms` as written and their folded `tokens`
+  // (the same sequence tokenize() gives). Markup and Latin text are skipped.
+  function words(text) {
+    const forms = [];
+    const tokens = [];
+    const folded = new Map();
+    for (const [form] of text.matchAll(/[\u0621-\u064a\u064b-\u065f\u0670\u0640]+/g)) {
+      if (!folded.has(form)) folded.set(form, LoveCorpus.foldForSearch(form));
+      const f = folded.get(form);
+      if (f.length < 2) continue;
+      forms.push(form);
+      tokens.push(f);
+    }
+    return { forms, tokens };
+  }
+
+  const CONJUNCTIONS = ["و", "ف"];
+  const PREPOSITIONS = ["ب", "ك", "ل"];
+  const SUFFIXES = ["هما", "كما", "هم", "هن", "كم", "كن", "نا", "ها", "ني", "ات", "ون", "ين", "ان", "وا", "ه", "ي", "ك", "ن", "ا"];
+  const DERIVATIONAL = ["است", "مست", "مت", "م", "ت", "ي", "ن", "ا"];
+
+  // The token and its light stems (proclitics و ف / ب ك ل / ال, one suffix), the token itself first
+  function stems(token) {
+    const out = [token];
+    const add = (s) => {
+      if (s.length > 1 && !out.includes(s)) out.push(s);
+    };
+    let bases = [token];
+    for (const c of CONJUNCTIONS) if (token.startsWith(c) && token.length > 3) bases.push(token.slice(1));
+    for (const b of [...bases]) {
+      for (const p of PREPOSITIONS) if (b.startsWith(p) && b.length > 3) bases.push(b.slice(1));
+      if (b.startsWith("لل") && b.length > 3) bases.push(b.slice(2)); // ل + ال
+    }
+    for (const b of [...bases]) if (b.startsWith("ال") && b.length > 3) bases.push(b.slice(2));
+    bases = [...new Set(bases)];
+    bases.forEach(add);
+    for (const b of bases) {
+      for (const s of SUFFIXES) if (b.endsWith(s) && b.length - s.length >= 2) add(b.slice(0, -s.length));
+    }
+    return out;
+  }
+
+  // First radical plus every later consonant (long vowels ا و ي dropped)
+  const skeleton = (s) => s[0] + s.slice(1).replace(/[اوي]/g, "");
+
+  function rootMatches(stem, root) {
+    const geminate = root.length === 3 && root[1] === root[2];
+    for (const p of ["", ...DERIVATIONAL]) {
+      if (p && !stem.startsWith(p)) continue;
+      const rest = stem.slice(p.length);
+      if (rest.length < 2 || rest.length > root.length + 3) continue;
+      const sk = skeleton(rest);
+      if (sk === root || (geminate && sk === root.slice(0, 2))) return true;
+    }
+    return false;
+  }
+
+  // ---- Lexicons
+
+  function compileEntry(json) {
+    const fold = (s) => tokenize(s).join(" ");
+    const cues = new Map();
+    for (const [w, weight] of Object.entries(json.cues || {})) {
+      const f = fold(w);
+      if (f) cues.set(f, Math.max(weight, cues.get(f) || 0));
+    }
+    return {
+      key: json.register,
+      label: json.label || json.register,
+      cues,
+      exclude: new Set((json.exclude || []).map(fold)),
+      roots: Object.entries(json.roots || {}).map(([r, weight]) => ({ root: fold(r), weight })),
+      idioms: (json.idioms || [])
+        .map((text) => ({ text, words: tokenize(text) }))
+        .filter((d) => d.words.length > 1),
+    };
+  }
+
+  // lexicons: the parsed JSON files, in any order
+  function compile(lexicons) {
+    const byKey = new Map(lexicons.map((json) => [json.register, compileEntry(json)]));
+    const missing = LoveCorpus.REGISTERS.filter((k) => !byKey.has(k));
+    if (missing.length) throw new Error(`Missing lexicon(s): ${missing.join(", ")}`);
+    const registers = LoveCorpus.REGISTERS.map((k) => byKey.get(k));
+    const technical = byKey.get(TECHNICAL) || compileEntry({ register: TECHNICAL });
+    const idiomIndex = new Map();
+    [...registers, technical].forEach((reg, r) => {
+      for (const d of reg.idioms) {
+        const first = d.words[0];
+        if (!idiomIndex.has(first)) idiomIndex.set(first, []);
+        idiomIndex.get(first).push({ register: r < registers.length ? r : -1, ...d });
+      }
+    });
+    return { registers, technical, idiomIndex };
+  }
+
+  let lexiconPromise = null;
+
+  // Browser only (d3.json); Node callers read the files themselves and call compile()
+  function loadLexicons(dir = LEXICON_DIR) {
+    if (!lexiconPromise) {
+      const files = [...LoveCorpus.REGISTERS, TECHNICAL].map((k) => `${dir}/${k}.json`);
+      lexiconPromise = Promise.all(files.map((f) => d3.json(f))).then(compile);
+      lexiconPromise.catch(() => {
+        lexiconPromise = null;
+      });
+    }
+    return lexiconPromise;
+  }
+
+  // ---- Matching
+
+  // Best cue (or, failing that, root) of one register for a token: { entry, kind, weight } or null
+  function matchToken(candidates, reg) {
+    if (reg.exclude.has(candidates[0])) return null;
+    let best = null;
+    for (const c of candidates) {
+      const w = reg.cues.get(c);
+      if (w != null && (!best || w > best.weight)) best = { entry: c, kind: "cue", weight: w };
+    }
+    if (best) return best;
+    for (const { root, weight } of reg.roots) {
+      if (candidates.some((c) => rootMatches(c, root))) return { entry: root, kind: "root", weight };
+    }
+    return null;
+  }
+
+  // Every idiom occurrence: { register (index, -1 = technical), idiom, at, length }.
+  // Idioms are indexed by their first word, so a whole book is one pass.
+  function findIdioms(candidates, lexicon) {
+    const found = [];
+    candidates.forEach((c, i) => {
+      for (const first of c) {
+        for (const d of lexicon.idiomIndex.get(first) || []) {
+          if (d.words.every((w, k) => k === 0 || (i + k < candidates.length && candidates[i + k].includes(w)))) {
+            found.push({ register: d.register, idiom: d.text, at: i, length: d.words.length });
+          }
+        }
+      }
+    });
+    return found;
+  }
+
+  // Matches of a folded token sequence, in text order: cues [{ register, at, entry, kind, weight }],
+  // technical [{ at, entry, kind, weight }] and idioms (see findIdioms). Stems and matches are
+  // computed once per distinct form, so a whole book stays fast.
+  function annotate(tokens, lexicon) {
+    const memo = new Map();
+    const candidates = [];
+    const cues = [];
+    const technical = [];
+    tokens.forEach((tok, at) => {
+      if (!memo.has(tok)) {
+        const c = stems(tok);
+        memo.set(tok, {
+          candidates: c,
+          hits: lexicon.registers.map((reg) => matchToken(c, reg)),
+          technical: matchToken(c, lexicon.technical),
+        });
+      }
+      const m = memo.get(tok);
+      candidates.push(m.candidates);
+      m.hits.forEach((h, register) => {
+        if (h) cues.push({ register, at, ...h });
+      });
+      if (m.technical) technical.push({ at, ...m.technical });
+    });
+    return { cues, technical, idioms: findIdioms(candidates, lexicon) };
+  }
+
+  // Sorted positions → "is i within `window` tokens of one of them?"
+  function proximity(positions, window) {
+    return (i) => {
+      let lo = 0;
+      let hi = positions.length;
+      while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (positions[mid] < i - window) lo = mid + 1;
+        else hi = mid;
+      }
+      return lo < positions.length && positions[lo] <= i + window;
+    };
+  }
+
+  function tally(map, key, form, extra = {}) {
+    if (!map.has(key)) map.set(key, { entry: key, count: 0, forms: new Set(), ...extra });
+    const m = map.get(key);
+    m.count++;
+    if (form) m.forms.add(form);
+  }
+
+  // ---- Score one passage
+
+  function score(text, lexicon, params = {}) {
+    const P = { ...PARAMS, ...params };
+    const tokens = tokenize(text);
+    const n = tokens.length;
+    const found = annotate(tokens, lexicon);
+
+    // Anchors first: every other register is checked for proximity to them
+    const anchor = LoveCorpus.REGISTERS.indexOf("anchor");
+    const anchorAt = found.cues.filter((h) => h.register === anchor).map((h) => h.at);
+    const nearAnchor = proximity(anchorAt, P.window);
+
+    let strongHits = 0;
+    const registers = {};
+    const matches = {};
+    lexicon.registers.forEach((reg, r) => {
+      let evidence = 0;
+      let count = 0;
+      let near = 0;
+      const cues = new Map();
+      for (const h of found.cues) {
+        if (h.register !== r) continue;
+        const boosted = r !== anchor && nearAnchor(h.at);
+        evidence += h.weight * (boosted ? P.proximityBoost : 1);
+        count++;
+        if (boosted) near++;
+        tally(cues, h.entry, tokens[h.at], { kind: h.kind, weight: h.weight });
+      }
+      const idioms = new Map();
+      for (const d of found.idioms) {
+        if (d.register !== r) continue;
+        evidence += P.idiomBoost;
+        strongHits++;
+        tally(idioms, d.idiom);
+      }
+      registers[reg.key] = {
+        label: reg.label,
+        evidence,
+        hits: count,
+        nearAnchor: near,
+        score: Math.log1p(evidence),
+      };
+      matches[reg.key] = {
+        cues: [...cues.values()].sort((a, b) => b.count - a.count || b.weight - a.weight),
+        idioms: [...idioms.values()].sort((a, b) => b.count - a.count),
+      };
+    });
+
+    // Technical penalty: share of the passage made of definitional vocabulary
+    const technical = new Map();
+    let techWeight = 0;
+    for (const h of found.technical) {
+      techWeight += h.weight;
+      tally(technical, h.entry, tokens[h.at]);
+    }
+    for (const d of found.idioms) {
+      if (d.register !== -1) continue;
+      techWeight += 1;
+      tally(technical, d.idiom);
+    }
+    const penalty = n ? techWeight / n : 0;
+
+    const evidence = Object.values(registers).reduce((s, d) => s + d.evidence, 0);
+    const raw = evidence * (1 - Math.min(P.maxPenalty, P.penaltyScale * penalty));
+    return {
+      tokens: n,
+      registers,
+      matches,
+      technical: [...technical.values()].sort((a, b) => b.count - a.count),
+      anchors: anchorAt.length,
+      strongHits,
+      penalty,
+      raw,
+      densityK: n ? (raw / n) * 1000 : 0,
+    };
+  }
+
+  // ---- Placement against a release
+
+  // Rank of x among `sorted` over their count, ties at the mean rank: BoC_pctl_0_1 of a text in
+  // the release, and the mid-point between its neighbours' for a value not in it
+  function percentile(sorted, x) {
+    if (!sorted.length || x == null) return null;
+    let lo = 0;
+    let hi = sorted.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (sorted[mid] < x) lo = mid + 1;
+      else hi = mid;
+    }
+    const below = lo;
+    hi = sorted.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (sorted[mid] <= x) lo = mid + 1;
+      else hi = mid;
+    }
+    return (below + lo + 1) / 2 / sorted.length;
+  }
+
+  // Love Index (0–2) as the release defines it: twice the percentile of the density
+  // among all its texts (BoC_final_0_2 = 2 × BoC_pctl_0_1)
+  function loveIndex(densityK, rows) {
+    const sorted = rows
+      .map((d) => d.scores.BoC_density_k)
+      .filter((v) => v != null)
+      .sort((a, b) => a - b);
+    const p = percentile(sorted, densityK);
+    return p == null ? null : 2 * p;
+  }
+
+  return {
+    LEXICON_DIR,
+    PARAMS,
+    tokenize,
+    words,
+    stems,
+    rootMatches,
+    compile,
+    loadLexicons,
+    annotate,
+    proximity,
+    score,
+    percentile,
+    loveIndex,
+  };
+});
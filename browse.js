@@ -0,0 +1,221 @@
+document.addEventListener("DOMContentLoaded", async () => {
+  const { GENRES, COLORS, MIN_CENTURY, MAX_CENTURY, foldForSearch } = LoveCorpus;
+  const PAGE_SIZE = 50;
+
+  const form = document.getElementById("browse-filters");
+  const qEl = document.getElementById("f-query");
+  const genresEl = document.getElementById("f-genres");
+  const cMinEl = document.getElementById("f-cmin");
+  const cMaxEl = document.getElementById("f-cmax");
+  const lMinEl = document.getElementById("f-lmin");
+  const lMaxEl = document.getElementById("f-lmax");
+  const body = document.getElementById("browse-rows");
+  const countEl = document.getElementById("browse-count");
+  const prevBtn = document.getElementById("pg-prev");
+  const nextBtn = document.getElementById("pg-next");
+  const pageInfo = document.getElementById("pg-info");
+  const headers = Array.from(document.querySelectorAll(".browse-table th[data-sort]"));
+
+  if (!form || !body) return;
+
+  let corpus;
+  try {
+    corpus = await LoveCorpus.load();
+  } catch (e) {
+    console.error(e);
+    body.innerHTML = `<tr><td colspan="5">Could not load CSV at <code>${LoveCorpus.currentRelease().csv}</code>. Check file path + server.</td></tr>`;
+    return;
+  }
+
+  // Search haystack folded once per text
+  const rows = corpus.rows.map((r) => ({
+    ...r,
+    haystack: foldForSearch([r.title, r.titleAr, r.author, r.authorShuhra].join(" ")),
+  }));
+
+  // ---- Facet controls
+  for (const g of GENRES) {
+    const lab = document.createElement("label");
+    lab.className = "filter-genre";
+    lab.innerHTML = `<input type="checkbox" value="${g}" checked /> <span class="swatch" style="background:${COLORS[g]}"></span> <span class="filter-genre-name">${LoveI18n.genreName(g)}</span>`;
+    genresEl.appendChild(lab);
+  }
+
+  for (let c = MIN_CENTURY; c <= MAX_CENTURY; c++) {
+    cMinEl.add(new Option(LoveI18n.centuryOption(c), String(c), c === MIN_CENTURY, c === MIN_CENTURY));
+    cMaxEl.add(new Option(LoveI18n.centuryOption(c), String(c), c === MAX_CENTURY, c === MAX_CENTURY));
+  }
+
+  const state = { sort: "date", dir: 1, page: 0 };
+
+  const SORTERS = {
+    title: (r) => foldForSearch(r.title),
+    author: (r) => foldForSearch(r.author),
+    genre: (r) => r.genre,
+    date: (r) => r.date,
+    love: (r) => r.love,
+  };
+
+  // ---- Filters, sort and page are mirrored in the URL hash (see urlstate.js)
+  function restoreState() {
+    const u = LoveUrlState;
+    qEl.value = u.get("q") || "";
+    const hide = u.getList("hide");
+    genresEl.querySelectorAll("input").forEach((i) => (i.checked = !hide.includes(i.value)));
+    const c = u.getRange("c");
+    if (c && c[0] >= MIN_CENTURY && c[1] <= MAX_CENTURY) {
+      cMinEl.value = String(c[0]);
+      cMaxEl.value = String(c[1]);
+    }
+    const li = u.getRange("li");
+    if (li) {
+      lMinEl.value = String(li[0]);
+      lMaxEl.value = String(li[1]);
+    }
+    if (SORTERS[u.get("sort")]) state.sort = u.get("sort");
+    if (u.get("dir")) state.dir = u.get("dir") === "desc" ? -1 : 1;
+    state.page = Math.max(0, (u.getNumber("page") || 1) - 1);
+  }
+
+  function saveState() {
+    const f = readFilters();
+    LoveUrlState.set({
+      q: qEl.value.trim(),
+      hide: GENRES.filter((g) => !f.genres.has(g)),
+      c: f.cMin === MIN_CENTURY && f.cMax === MAX_CENTURY ? null : `${f.cMin}-${f.cMax}`,
+      li: f.lMin === 0 && f.lMax === 2 ? null : `${f.lMin}-${f.lMax}`,
+      sort: state.sort === "date" ? null : state.sort,
+      dir: state.dir > 0 ? null : "desc",
+      page: state.page ? state.page + 1 : null,
+    });
+  }
+
+  function readFilters() {
+    const num = (el, fallback) => {
+      const v = parseFloat(el.value);
+      return Number.isFinite(v) ? v : fallback;
+    };
+    return {
+      terms: foldForSearch(qEl.value).split(" ").filter(Boolean),
+      genres: new Set(Array.from(genresEl.querySelectorAll("input:checked"), (i) => i.value)),
+      cMin: +cMinEl.value,
+      cMax: +cMaxEl.value,
+      lMin: num(lMinEl, 0),
+      lMax: num(lMaxEl, 2),
+    };
+  }
+
+  function filtered() {
+    const f = readFilters();
+    const key = SORTERS[state.sort];
+    return rows
+      .filter((r) =>
+        f.genres.has(r.genre) &&
+        r.century >= f.cMin && r.century <= f.cMax &&
+        r.love >= f.lMin && r.love <= f.lMax &&
+        f.terms.every((t) => r.haystack.includes(t))
+      )
+      .sort((a, b) => {
+        const ka = key(a);
+        const kb = key(b);
+        if (ka < kb) return -state.dir;
+        if (ka > kb) return state.dir;
+        return a.date - b.date;
+      });
+  }
+
+  function render() {
+    const list = filtered();
+    const pages = Math.max(1, Math.ceil(list.length / PAGE_SIZE));
+    state.page = Math.min(state.page, pages - 1);
+    const start = state.page * PAGE_SIZE;
+    const pageRows = list.slice(start, start + PAGE_SIZE);
+
+    countEl.textContent = LoveI18n.t("list.texts-match", { k: LoveI18n.num(list.length), n: LoveI18n.num(rows.length) });
+    pageInfo.textContent = list.length
+      ? LoveI18n.t("list.page", {
+          a: LoveI18n.num(start + 1),
+          b: LoveI18n.num(start + pageRows.length),
+          p: LoveI18n.num(state.page + 1),
+          n: LoveI18n.num(pages),
+        })
+      : "";
+    prevBtn.disabled = state.page === 0;
+    nextBtn.disabled = state.page >= pages - 1;
+    saveState();
+
+    headers.forEach((th) => {
+      const on = th.dataset.sort === state.sort;
+      th.setAttribute("aria-sort", on ? (state.dir > 0 ? "ascending" : "descending") : "none");
+    });
+
+    body.innerHTML = "";
+    for (const d of pageRows) {
+      const tr = document.createElement("tr");
+      tr.className = "browse-row";
+      tr.tabIndex = 0;
+      const author = d.authorShuhra ? `${d.author}<br/><span class="note">${d.authorShuhra}</span>` : d.author || "—";
+      tr.innerHTML = `
+        <td><strong>${d.title || LoveI18n.t("tip.no-title")}</strong>${d.titleAr ? `<br/><span lang="ar" dir="rtl" class="browse-ar">${d.titleAr}</span>` : ""}</td>
+        <td>${author}</td>
+        <td><span class="swatch" style="background:${COLORS[d.genre]}"></span> ${LoveI18n.genreName(d.genre)}</td>
+        <td>${d.dated ? LoveI18n.yearText(d.date) : LoveI18n.t("chart.undated")}<br/><span class="note">${LoveI18n.centuryText(d.century)}</span></td>
+        <td>${LoveI18n.num(d.love, ".3f")}</td>
+      `;
+      tr.addEventListener("click", () => LoveTextPanel.show(d.uri));
+      tr.addEventListener("keydown", (e) => {
+        if (e.key === "Enter") LoveTextPanel.show(d.uri);
+      });
+      body.appendChild(tr);
+    }
+    if (!pageRows.length) body.innerHTML = `<tr><td colspan="5">${LoveI18n.t("list.no-text")}</td></tr>`;
+  }
+
+  function refilter() {
+    state.page = 0;
+    render();
+  }
+
+  form.addEventListener("input", refilter);
+  form.addEventListener("change", refilter);
+  form.addEventListener("submit", (e) => e.preventDefault());
+  form.addEventListener("reset", () => setTimeout(refilter, 0));
+
+  headers.forEach((th) => {
+    th.querySelector("button").addEventListener("click", () => {
+      const key = th.dataset.sort;
+      if (state.sort === key) state.dir = -state.dir;
+      else {
+        state.sort = key;
+        state.dir = key === "love" ? -1 : 1;
+      }
+      render();
+    });
+  });
+
+  prevBtn.addEventListener("click", () => {
+    state.page = Math.max(0, state.page - 1);
+    render();
+  });
+  nextBtn.addEventListener("click", () => {
+    state.page += 1;
+    render();
+  });
+
+  restoreState();
+  render();
+  LoveI18n.onChange(() => {
+    for (const el of [cMinEl, cMaxEl]) Array.from(el.options).forEach((o) => (o.text = LoveI18n.centuryOption(+o.value)));
+    genresEl.querySelectorAll("input").forEach((box) => {
+      box.parentElement.querySelector(".filter-genre-name").textContent = LoveI18n.genreName(box.value);
+    });
+    render();
+  });
+  LoveExport.attach(document.querySelector(".browse-table").closest(".tablewrap"), {
+    name: "corpus-selection",
+    chart: false,
+    rowsLabel: "matching texts",
+    rows: () => LoveExport.textRows(filtered()),
+  });
+  LoveTextPanel.attach(corpus.rows);
+});
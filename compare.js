@@ -0,0 +1,351 @@
+document.addEventListener("DOMContentLoaded", async () => {
+  const { GENRES, MIN_CENTURY, MAX_CENTURY } = LoveCorpus;
+  const { t, num, genreName } = LoveI18n;
+  const C = LoveI18n.chart;
+
+  const SHOW_ROWS = 100; // table rows shown; exports carry every text
+  const COLOR_A = "#C39A6B";
+  const COLOR_B = "#7A2C2A";
+
+  const aSel = document.getElementById("cmp-a");
+  const bSel = document.getElementById("cmp-b");
+  const scoreSel = document.getElementById("cmp-score");
+  const genreSel = document.getElementById("cmp-genre");
+  const summaryEl = document.getElementById("cmp-summary");
+  if (!aSel || !bSel || !scoreSel) return;
+
+  function setText(id, v) {
+    const el = document.getElementById(id);
+    if (el) el.textContent = v;
+  }
+
+  function fmtSigned(v, digits = 3) {
+    return `${v < 0 ? "−" : "+"}${Math.abs(v).toFixed(digits)}`;
+  }
+
+  const manifest = await LoveCorpus.loadManifest();
+  const releases = manifest.releases.filter((r) => r.csv);
+  const byId = new Map(releases.map((r) => [r.id, r]));
+
+  // ---- Controls; defaults: A = the site's default release, B = the next bundled one
+  for (const r of releases) {
+    aSel.add(new Option(r.label, r.id));
+    bSel.add(new Option(r.label, r.id));
+  }
+  for (const v of LoveCorpus.SCORE_VARIANTS) scoreSel.add(new Option(LoveI18n.scoreLabel(v), v.column));
+  if (genreSel) {
+    genreSel.add(new Option(t("cmp.all-pooled"), ""));
+    for (const g of GENRES) genreSel.add(new Option(genreName(g), g));
+  }
+
+  const defaultA = byId.has(manifest.default) ? manifest.default : releases[0] && releases[0].id;
+  const defaultB = (releases.find((r) => r.id !== defaultA) || releases[0] || {}).id;
+  const pick = (sel, id, fallback) => (sel.value = byId.has(id) ? id : fallback);
+  pick(aSel, LoveUrlState.get("a"), defaultA);
+  pick(bSel, LoveUrlState.get("b"), defaultB);
+  const urlScore = LoveUrlState.get("score");
+  if (LoveCorpus.SCORE_VARIANTS.some((v) => v.column === urlScore)) scoreSel.value = urlScore;
+  if (genreSel && GENRES.includes(LoveUrlState.get("genre"))) genreSel.value = LoveUrlState.get("genre");
+
+  function saveState() {
+    LoveUrlState.set({
+      a: aSel.value === defaultA ? null : aSel.value,
+      b: bSel.value === defaultB ? null : bSel.value,
+      score: scoreSel.value === LoveCorpus.SCORE_VARIANTS[0].column ? null : scoreSel.value,
+      genre: genreSel && genreSel.value ? genreSel.value : null,
+    });
+  }
+
+  function relabelGenres() {
+    if (genreSel) Array.from(genreSel.options).forEach((o) => (o.text = o.value ? genreName(o.value) : t("cmp.all-pooled")));
+  }
+
+  if (releases.length < 2) {
+    const oneRelease = () => {
+      relabelGenres();
+      summaryEl.textContent = t("cmp.one-release", {
+        label: releases.map((r) => r.label).join("") || t("cmp.none"),
+        path: LoveCorpus.MANIFEST_PATH,
+      });
+    };
+    oneRelease();
+    LoveI18n.onChange(oneRelease);
+    document.querySelectorAll("#cmp-controls select").forEach((el) => (el.disabled = true));
+    return;
+  }
+
+  // ---- Rendering
+
+  let state = null; // { a, b, column, cmp, curves }
+
+  function describeReleases() {
+    const { a, b, column, cmp } = state;
+    const changed = cmp.shared.filter((d) => d.delta != null && d.delta !== 0);
+    const moved = cmp.shared.filter((d) => d.genre !== d.genreA || d.dateA !== d.dateB);
+    const paired = cmp.shared.filter((d) => d.a != null && d.b != null);
+    const rho = paired.length > 2 ? LoveStats.spearman(paired.map((d) => d.a), paired.map((d) => d.b)) : null;
+    const meanAbs = changed.length ? d3.mean(changed, (d) => Math.abs(d.delta)) : 0;
+
+    summaryEl.textContent =
+      `A (${a.release.label}): ${num(a.rows.length)} texts · B (${b.release.label}): ${num(b.rows.length)} texts · ` +
+      `${num(cmp.shared.length)} in both · ${num(cmp.added.length)} added · ${num(cmp.removed.length)} removed. ` +
+      `${num(changed.length)} shared texts have a different ${column}` +
+      (changed.length ? ` (mean |Δ| ${num(meanAbs, ".3f")})` : "") +
+      `; ${num(moved.length)} changed genre or date` +
+      (rho != null ? `; Spearman ρ between the two rankings ${num(rho, ".3f")}.` : ".");
+  }
+
+  function cell(v, spec = ".3f") {
+    return v == null ? "—" : num(v, spec);
+  }
+
+  function fillChanges() {
+    const body = document.getElementById("cmp-changes");
+    if (!body) return;
+    body.innerHTML = "";
+    const changed = state.cmp.shared
+      .filter((d) => (d.delta != null && d.delta !== 0) || d.rankChange)
+      .sort((x, y) => Math.abs(y.delta || 0) - Math.abs(x.delta || 0) || Math.abs(y.rankChange || 0) - Math.abs(x.rankChange || 0));
+    setText(
+      "cmp-changes-note",
+      changed.length
+        ? `${num(changed.length)} shared texts changed score or rank; the ${num(Math.min(SHOW_ROWS, changed.length))} largest score changes are listed.`
+        : "No shared text changed score or rank."
+    );
+    for (const d of changed.slice(0, SHOW_ROWS)) {
+      const tr = document.createElement("tr");
+      const rank = d.rankChange ? ` (${d.rankChange > 0 ? "▲" : "▼"} ${num(Math.abs(d.rankChange))})` : "";
+      tr.innerHTML = `
+        <td>${d.title || "(title unavailable)"}</td>
+        <td>${d.author || "—"}</td>
+        <td>${d.genre === d.genreA ? d.genre : `${d.genreA} → ${d.genre}`}</td>
+        <td>${cell(d.a)}</td>
+        <td>${cell(d.b)}</td>
+        <td>${d.delta == null ? "—" : fmtSigned(d.delta)}</td>
+        <td>${d.rankA == null ? "—" : num(d.rankA)} → ${d.rankB == null ? "—" : num(d.rankB)}${rank}</td>
+      `;
+      body.appendChild(tr);
+    }
+  }
+
+  function fillTexts(bodyId, titleId, label, rows) {
+    const body = document.getElementById(bodyId);
+    if (!body) return;
+    body.innerHTML = "";
+    const more = rows.length > SHOW_ROWS ? ` (first ${num(SHOW_ROWS)} shown)` : "";
+    setText(titleId, `${label}: ${num(rows.length)} texts${more}`);
+    if (!rows.length) {
+      body.innerHTML = `<tr><td colspan="5" class="note">None.</td></tr>`;
+      return;
+    }
+    for (const r of rows.slice(0, SHOW_ROWS)) {
+      const tr = document.createElement("tr");
+      tr.innerHTML = `
+        <td>${r.title || "(title unavailable)"}</td>
+        <td>${r.authorName || "—"}</td>
+        <td>${r.genre}</td>
+        <td>${r.dated ? LoveI18n.yearText(r.date) : "undated"}</td>
+        <td>${cell(r.scores[state.column])}</td>
+      `;
+      body.appendChild(tr);
+    }
+  }
+
+  // Pooled (or one genre's) mean by century in both releases
+  function curveRows() {
+    const g = genreSel ? genreSel.value : "";
+    const series = (curve) => new Map((g ? curve.genres[g] : curve.pooled).map((d) => [d.century, d]));
+    const sa = series(state.curves.a);
+    const sb = series(state.curves.b);
+    return d3.range(MIN_CENTURY, MAX_CENTURY + 1)
+      .filter((c) => sa.has(c) || sb.has(c))
+      .map((c) => {
+        const a = sa.get(c);
+        const b = sb.get(c);
+        return {
+          century: c,
+          genre: g || "all",
+          mean_a: a ? a.mean : null,
+          n_a: a ? a.n : 0,
+          mean_b: b ? b.mean : null,
+          n_b: b ? b.n : 0,
+          delta: a && b ? b.mean - a.mean : null,
+        };
+      });
+  }
+
+  function drawCurves(selector) {
+    const container = document.querySelector(selector);
+    if (!container) return;
+    container.innerHTML = "";
+    const data = curveRows();
+
+    const margin = C.margin({ top: 24, right: 150, bottom: 44, left: 54 });
+    const width = Math.max(740, container.clientWidth || 740);
+    const height = 380;
+    const plotW = width - margin.left - margin.right;
+    const plotH = height - margin.top - margin.bottom;
+
+    const svg = d3
+      .select(container)
+      .append("svg")
+      .attr("viewBox", `0 0 ${width} ${height}`)
+      .attr("width", "100%")
+      .attr("height", "100%");
+    const g = svg.append("g").attr("transform", `translate(${margin.left},${margin.top})`);
+
+    const variant = LoveCorpus.SCORE_VARIANTS.find((v) => v.column === state.column);
+    const x = d3.scaleLinear().domain([MIN_CENTURY, MAX_CENTURY]).range(C.range(plotW));
+    const yMax = d3.max(data, (d) => Math.max(d.mean_a ?? 0, d.mean_b ?? 0)) || 1;
+    const y = d3.scaleLinear().domain(variant && variant.domain ? variant.domain : [0, yMax]).range([plotH, 0]);
+    if (!(variant && variant.domain)) y.nice();
+
+    g.append("g")
+      .attr("class", "grid")
+      .attr("transform", `translate(${C.start(plotW)},0)`)
+      .call(C.yAxis(y).ticks(5).tickSize(-plotW).tickFormat(""))
+      .attr("opacity", 0.18);
+    g.append("g")
+      .attr("transform", `translate(0,${plotH})`)
+      .call(d3.axisBottom(x).ticks(MAX_CENTURY - MIN_CENTURY).tickFormat(LoveI18n.centuryTick));
+    g.append("g").attr("transform", `translate(${C.start(plotW)},0)`).call(C.yAxis(y).ticks(5));
+    g.append("text")
+      .attr("x", C.end(plotW))
+      .attr("y", plotH + 36)
+      .attr("text-anchor", C.anchor("end"))
+      .attr("fill", "currentColor")
+      .style("font-weight", 600)
+      .style("font-size", "12px")
+      .text(LoveI18n.centuryAxisTitle());
+
+    const tip = d3.select(container).append("div").attr("class", "viztip").style("opacity", 0);
+
+    const sides = [
+      ["a", COLOR_A, "5 4", `A · ${state.a.release.label}`],
+      ["b", COLOR_B, null, `B · ${state.b.release.label}`],
+    ];
+    for (const [k, color, dash] of sides) {
+      const pts = data.filter((d) => d[`mean_${k}`] != null);
+      g.append("path")
+        .datum(pts)
+        .attr("fill", "none")
+        .attr("stroke", color)
+        .attr("stroke-width", k === "b" ? 2.6 : 1.8)
+        .attr("stroke-dasharray", dash)
+        .attr("d", d3.line().x((d) => x(d.century)).y((d) => y(d[`mean_${k}`])).curve(d3.curveMonotoneX));
+      g.append("g")
+        .selectAll("circle")
+        .data(pts)
+        .join("circle")
+        .attr("cx", (d) => x(d.century))
+        .attr("cy", (d) => y(d[`mean_${k}`]))
+        .attr("r", 3.5)
+        .attr("fill", color)
+        .on("mouseenter", (event, d) => {
+          tip.style("opacity", 1)
+            .html(`<strong>${LoveI18n.centuryText(d.century)}</strong><br/>` +
+              `A: ${cell(d.mean_a)} (n=${num(d.n_a)})<br/>B: ${cell(d.mean_b)} (n=${num(d.n_b)})` +
+              (d.delta != null ? `<br/>Δ ${fmtSigned(d.delta)}` : ""))
+            .style("left", `${event.offsetX + 12}px`)
+            .style("top", `${event.offsetY - 8}px`);
+        })
+        .on("mouseleave", () => tip.style("opacity", 0));
+    }
+
+    const lg = g.append("g").attr("transform", `translate(${C.end(plotW) + C.side(18)}, 6)`);
+    sides.forEach(([, color, dash, label], i) => {
+      const row = lg.append("g").attr("transform", `translate(0, ${i * 18})`);
+      row.append("line")
+        .attr("x1", 0).attr("x2", C.side(22))
+        .attr("stroke", color)
+        .attr("stroke-width", 2.4)
+        .attr("stroke-dasharray", dash);
+      row.append("text")
+        .attr("x", C.side(28)).attr("y", 4)
+        .attr("text-anchor", C.anchor("start"))
+        .style("font-size", "12px")
+        .text(label);
+    });
+  }
+
+  function renderAll() {
+    describeReleases();
+    drawCurves("#chart-compare");
+    fillChanges();
+    fillTexts("cmp-added", "cmp-added-title", "Added in B", state.cmp.added);
+    fillTexts("cmp-removed", "cmp-removed-title", "Removed from A", state.cmp.removed);
+  }
+
+  let token = 0;
+  async function update() {
+    const mine = ++token;
+    const relA = byId.get(aSel.value);
+    const relB = byId.get(bSel.value);
+    const column = scoreSel.value;
+    summaryEl.textContent = t("cmp.loading");
+    let a;
+    let b;
+    try {
+      [a, b] = await Promise.all([LoveCorpus.load(relA.csv), LoveCorpus.load(relB.csv)]);
+    } catch (e) {
+      console.error(e);
+      summaryEl.textContent = t("cmp.no-csv", { a: relA.csv, b: relB.csv });
+      return;
+    }
+    if (mine !== token) return;
+    state = {
+      a: { release: relA, rows: a.rows },
+      b: { release: relB, rows: b.rows },
+      column,
+      cmp: LoveCorpus.compareReleases(a, b, column),
+      curves: { a: LoveCorpus.aggregateScore(a.rows, column), b: LoveCorpus.aggregateScore(b.rows, column) },
+    };
+    renderAll();
+  }
+
+  document.getElementById("cmp-controls").addEventListener("change", () => {
+    update();
+    saveState();
+  });
+  genreSel?.addEventListener("change", () => {
+    if (state) drawCurves("#chart-compare");
+    saveState();
+  });
+  LoveI18n.onChange(() => {
+    relabelGenres();
+    if (state) renderAll();
+  });
+
+  // ---- Export menus (see exportmenu.js)
+  const currentScore = () => scoreSel.value;
+  const textRows = (rows) => LoveExport.textRows(rows);
+
+  LoveExport.attach("#chart-compare", { name: "release-curves", score: currentScore, rows: () => (state ? curveRows() : []) });
+  LoveExport.attach("#cmp-changes-wrap", {
+    name: "release-changes",
+    chart: false,
+    rowsLabel: "shared texts",
+    score: currentScore,
+    rows: () =>
+      state
+        ? state.cmp.shared.map((d) => ({
+          version_uri: d.uri,
+          title_lat: d.title,
+          genre_a: d.genreA,
+          genre_b: d.genre,
+          date_a: d.dateA,
+          date_b: d.dateB,
+          score_a: d.a,
+          score_b: d.b,
+          delta: d.delta,
+          rank_a: d.rankA,
+          rank_b: d.rankB,
+          rank_change: d.rankChange,
+        }))
+        : [],
+  });
+  LoveExport.attach("#cmp-added-wrap", { name: "release-added", chart: false, rowsLabel: "added texts", rows: () => (state ? textRows(state.cmp.added) : []) });
+  LoveExport.attach("#cmp-removed-wrap", { name: "release-removed", chart: false, rowsLabel: "removed texts", rows: () => (state ? textRows(state.cmp.removed) : []) });
+
+  update();
+});
@@ -0,0 +1,402 @@
+document.addEventListener("DOMContentLoaded", async () => {
+  const { REGISTERS, foldForSearch } = LoveCorpus;
+  const { num } = LoveI18n;
+  const C = LoveI18n.chart;
+
+  const SHOW_ROWS = 300; // concordance lines shown; exports carry every cue
+  const MAX_BINS = 120;
+  const MIN_BIN_TOKENS = 50; // short texts get fewer, wider cells
+  const HEAT = "#7A2C2A";
+  const PAPER = "#F6F1E7";
+  const HEADER_END = "#META#Header#End#"; // OpenITI metadata block
+
+  const textEl = document.getElementById("kw-text");
+  const listEl = document.getElementById("kw-texts");
+  const regsEl = document.getElementById("kw-regs");
+  const widthSel = document.getElementById("kw-width");
+  const rootEl = document.getElementById("kw-root");
+  const dirEl = document.getElementById("kw-dir");
+  const statusEl = document.getElementById("kw-status");
+  const allBinsBtn = document.getElementById("kw-all-bins");
+  if (!textEl || !regsEl) return;
+
+  function setText(id, v) {
+    const el = document.getElementById(id);
+    if (el) el.textContent = v;
+  }
+
+  const pct = (p) => num(p, ".1%");
+
+  // ---- Controls
+  for (const k of REGISTERS) {
+    const lab = document.createElement("label");
+    lab.className = "filter-genre";
+    lab.innerHTML = `<input type="checkbox" value="${k}" checked /> ${k}`;
+    regsEl.appendChild(lab);
+  }
+  const regBoxes = () => Array.from(regsEl.querySelectorAll("input"));
+
+  const urlRegs = LoveUrlState.getList("reg").filter((k) => REGISTERS.includes(k));
+  if (urlRegs.length) regBoxes().forEach((el) => (el.checked = urlRegs.includes(el.value)));
+  const urlWidth = LoveUrlState.get("w");
+  if (Array.from(widthSel.options).some((o) => o.value === urlWidth)) widthSel.value = urlWidth;
+
+  const shownRegisters = () => new Set(regBoxes().filter((el) => el.checked).map((el) => el.value));
+  let bin = LoveUrlState.getNumber("bin");
+
+  function saveState() {
+    const regs = [...shownRegisters()];
+    LoveUrlState.set({
+      reg: regs.length === REGISTERS.length ? null : regs,
+      w: widthSel.value === "8" ? null : widthSel.value,
+      bin,
+    });
+  }
+
+  let release;
+  let corpus;
+  let lexicon;
+  try {
+    release = await LoveCorpus.loadRelease();
+    [corpus, lexicon] = await Promise.all([LoveCorpus.load(), LoveBoC.loadLexicons()]);
+  } catch (e) {
+    console.error(e);
+    statusEl.textContent =
+      `Could not load ${LoveCorpus.currentRelease().csv} or the lexicons in ${LoveBoC.LEXICON_DIR}/. ` +
+      "Check file path + server.";
+    return;
+  }
+
+  const byUri = new Map(corpus.rows.map((r) => [r.uri, r]));
+  for (const r of corpus.rows) {
+    const o = document.createElement("option");
+    o.value = r.uri;
+    o.label = `${r.title || r.titleAr || r.uri} · ${r.authorName || "—"}`;
+    listEl.appendChild(o);
+  }
+
+  // ---- Where the source files are
+
+  const defaultRoot = (release.texts && release.texts.root) || LoveCorpus.TEXT_ROOT;
+  rootEl.placeholder = defaultRoot;
+  rootEl.value = LoveCorpus.textRoot(release) === defaultRoot ? "" : LoveCorpus.textRoot(release);
+
+  // Files of a picked folder, by path inside it and by file name
+  let localFiles = null;
+
+  async function readSource(row) {
+    const file = LoveCorpus.textFile(row.absPath, release);
+    if (!file) throw new Error("this row has no abs_path");
+    if (localFiles) {
+      const f = localFiles.get(file) || localFiles.get(file.split("/").pop());
+      if (!f) throw new Error(`${file} is not in the folder you picked`);
+      return { source: `${f.webkitRelativePath || f.name} (your folder)`, text: await f.text() };
+    }
+    const path = LoveCorpus.textPath(row.absPath, release);
+    return { source: path, text: await d3.text(path) };
+  }
+
+  // ---- One text: words, cues, anchors
+
+  let doc = null;
+  let token = 0;
+
+  function findRow(query) {
+    const q = query.trim();
+    if (!q) return null;
+    if (byUri.has(q)) return byUri.get(q);
+    const f = foldForSearch(q);
+    return corpus.rows.find((r) => foldForSearch([r.title, r.titleAr].join(" ")) === f) ||
+      corpus.rows.find((r) => foldForSearch([r.uri, r.title, r.titleAr, r.author, r.authorShuhra].join(" ")).includes(f)) ||
+      null;
+  }
+
+  async function openText(row) {
+    const mine = ++token;
+    textEl.value = row.uri;
+    LoveUrlState.set({ text: row.uri });
+    statusEl.textContent = `Reading ${row.title || row.uri}…`;
+    let src;
+    try {
+      src = await readSource(row);
+    } catch (e) {
+      console.error(e);
+      if (mine !== token) return;
+      doc = null;
+      statusEl.textContent =
+        `Could not read the source of ${row.uri} (${e.message}). ` +
+        "Serve the corpus directory at the address above, change it, or pick your local copy of the corpus folder.";
+      renderAll();
+      return;
+    }
+    if (mine !== token) return;
+
+    const body = src.text.includes(HEADER_END) ? src.text.slice(src.text.indexOf(HEADER_END) + HEADER_END.length) : src.text;
+    const { forms, tokens } = LoveBoC.words(body);
+    const found = LoveBoC.annotate(tokens, lexicon);
+    const anchor = REGISTERS.indexOf("anchor");
+    const nearAnchor = LoveBoC.proximity(
+      found.cues.filter((h) => h.register === anchor).map((h) => h.at),
+      LoveBoC.PARAMS.window
+    );
+    const hits = [
+      ...found.cues.map((h) => ({ ...h, length: 1 })),
+      ...found.idioms
+        .filter((d) => d.register >= 0)
+        .map((d) => ({ register: d.register, at: d.at, length: d.length, entry: d.idiom, kind: "idiom", weight: LoveBoC.PARAMS.idiomBoost })),
+    ]
+      .map((h) => ({ ...h, key: REGISTERS[h.register], near: h.register !== anchor && nearAnchor(h.at) }))
+      .sort((a, b) => a.at - b.at || a.register - b.register);
+
+    doc = { row, source: src.source, forms, n: tokens.length, hits };
+    statusEl.textContent = `${row.title || row.uri}: ${num(doc.n)} Arabic words read from ${src.source}.`;
+    if (bin != null && bin >= binCount()) bin = null;
+    saveState();
+    renderAll();
+  }
+
+  // ---- Density strip
+
+  function binCount() {
+    return doc ? Math.max(1, Math.min(MAX_BINS, Math.floor(doc.n / MIN_BIN_TOKENS))) : 0;
+  }
+
+  const binOf = (at) => Math.min(binCount() - 1, Math.floor((at / doc.n) * binCount()));
+
+  function densityRows() {
+    if (!doc) return [];
+    const bins = binCount();
+    const shown = shownRegisters();
+    const counts = new Map(REGISTERS.filter((k) => shown.has(k)).map((k) => [k, new Array(bins).fill(0)]));
+    for (const h of doc.hits) if (counts.has(h.key)) counts.get(h.key)[binOf(h.at)]++;
+    const out = [];
+    for (const [register, values] of counts) {
+      values.forEach((cues, b) => {
+        const from = Math.ceil((b * doc.n) / bins);
+        const to = Math.ceil(((b + 1) * doc.n) / bins);
+        out.push({ register, bin: b, from_word: from, to_word: to - 1, cues, per_1000: cues ? (cues / (to - from)) * 1000 : 0 });
+      });
+    }
+    return out;
+  }
+
+  function drawDensity(selector) {
+    const container = document.querySelector(selector);
+    if (!container) return;
+    container.innerHTML = "";
+    const data = densityRows();
+    if (!data.length) return;
+
+    const regs = [...new Set(data.map((d) => d.register))];
+    const margin = C.margin({ top: 10, right: 24, bottom: 44, left: 150 });
+    const width = Math.max(640, container.clientWidth || 640);
+    const plotH = 22 * regs.length;
+    const height = plotH + margin.top + margin.bottom;
+    const plotW = width - margin.left - margin.right;
+
+    const svg = d3
+      .select(container)
+      .append("svg")
+      .attr("viewBox", `0 0 ${width} ${height}`)
+      .attr("width", "100%")
+      .attr("height", "100%");
+    const g = svg.append("g").attr("transform", `translate(${margin.left},${margin.top})`);
+
+    const bins = binCount();
+    const x = d3.scaleLinear().domain([0, bins]).range(C.range(plotW));
+    const y = d3.scaleBand().domain(regs).range([0, plotH]).padding(0.12);
+    const heat = d3.scaleSequential(d3.interpolateRgb(PAPER, HEAT)).domain([0, d3.max(data, (d) => d.per_1000) || 1]);
+    const cellW = plotW / bins;
+    const cellX = (b) => Math.min(x(b), x(b + 1));
+
+    const tip = d3.select(container).append("div").attr("class", "viztip").style("opacity", 0);
+
+    g.append("g")
+      .selectAll("rect")
+      .data(data)
+      .join("rect")
+      .attr("x", (d) => cellX(d.bin))
+      .attr("y", (d) => y(d.register))
+      .attr("width", Math.max(1, cellW - 0.4))
+      .attr("height", y.bandwidth())
+      .attr("fill", (d) => heat(d.per_1000))
+      .attr("stroke", (d) => (d.bin === bin ? "currentColor" : "none"))
+      .style("cursor", "pointer")
+      .on("mouseenter", (event, d) => {
+        tip.style("opacity", 1)
+          .html(`<strong>${d.register}</strong> · ${pct(d.from_word / doc.n)}–${pct((d.to_word + 1) / doc.n)} of the text<br/>` +
+            `${num(d.cues)} cue${d.cues === 1 ? "" : "s"} · ${num(d.per_1000, ".1f")} per 1,000 words`)
+          .style("left", `${event.offsetX + 12}px`)
+          .style("top", `${event.offsetY - 8}px`);
+      })
+      .on("mouseleave", () => tip.style("opacity", 0))
+      .on("click", (event, d) => {
+        bin = d.bin === bin ? null : d.bin;
+        saveState();
+        renderAll();
+      });
+
+    // Row labels: the register and the text's score for it in the release
+    g.append("g")
+      .selectAll("text")
+      .data(regs)
+      .join("text")
+      .attr("x", C.start(plotW) + C.side(-8))
+      .attr("y", (k) => y(k) + y.bandwidth() / 2 + 4)
+      .attr("text-anchor", C.anchor("end"))
+      .style("font-size", "12px")
+      .text((k) => {
+        const v = doc.row.scores[`BoC_${k}`];
+        return `${k}${v == null ? "" : ` · ${num(v, ".2f")}`}`;
+      });
+
+    g.append("g")
+      .attr("transform", `translate(0,${plotH})`)
+      .call(d3.axisBottom(x).ticks(5).tickFormat((b) => pct(b / bins)));
+    g.append("text")
+      .attr("x", C.end(plotW))
+      .attr("y", plotH + 36)
+      .attr("text-anchor", C.anchor("end"))
+      .attr("fill", "currentColor")
+      .style("font-weight", 600)
+      .style("font-size", "12px")
+      .text("Position in the text");
+  }
+
+  // ---- Concordance
+
+  function listed() {
+    if (!doc) return [];
+    const shown = shownRegisters();
+    return doc.hits.filter((h) => shown.has(h.key) && (bin == null || binOf(h.at) === bin));
+  }
+
+  function contextOf(h) {
+    const w = +widthSel.value;
+    const end = h.at + h.length;
+    return {
+      before: doc.forms.slice(Math.max(0, h.at - w), h.at).join(" "),
+      cue: doc.forms.slice(h.at, end).join(" "),
+      after: doc.forms.slice(end, end + w).join(" "),
+    };
+  }
+
+  function fillList() {
+    const body = document.getElementById("kw-rows");
+    if (!body) return;
+    body.innerHTML = "";
+    allBinsBtn.hidden = bin == null;
+    if (!doc) {
+      setText("kw-list-note", "");
+      return;
+    }
+    const rows = listed();
+    const where = bin == null ? "" : ` between ${pct(Math.ceil((bin * doc.n) / binCount()) / doc.n)} and ${pct(Math.ceil(((bin + 1) * doc.n) / binCount()) / doc.n)} of the text`;
+    const more = rows.length > SHOW_ROWS ? `; the first ${num(SHOW_ROWS)} are listed` : "";
+    setText("kw-list-note", `${num(rows.length)} cue${rows.length === 1 ? "" : "s"}${where}${more}.`);
+
+    for (const h of rows.slice(0, SHOW_ROWS)) {
+      const ctx = contextOf(h);
+      const kind = h.kind === "cue" ? "" : ` · ${h.kind}`;
+      const tr = document.createElement("tr");
+      tr.innerHTML = `
+        <td title="word ${num(h.at + 1)} of ${num(doc.n)}">${pct(h.at / doc.n)}</td>
+        <td>${h.key}${kind}${h.near ? `<br/><span class="note">near an anchor</span>` : ""}</td>
+        <td class="kwic-after" dir="rtl" lang="ar">${ctx.after}</td>
+        <td class="kwic-cue" dir="rtl" lang="ar" title="${h.entry} · weight ${h.weight}"><mark>${ctx.cue}</mark></td>
+        <td class="kwic-before" dir="rtl" lang="ar">${ctx.before}</td>
+      `;
+      body.appendChild(tr);
+    }
+  }
+
+  function renderSummary() {
+    if (!doc) {
+      setText("kw-summary", "Choose a text to read its cues in context.");
+      return;
+    }
+    const r = doc.row;
+    const counts = d3.rollup(doc.hits, (v) => v.length, (h) => h.key);
+    const top = REGISTERS.filter((k) => counts.get(k)).sort((a, b) => counts.get(b) - counts.get(a));
+    setText(
+      "kw-summary",
+      `${r.title || r.uri} (${r.genre}, ${r.dated ? LoveI18n.yearText(r.date) : "undated"}) · ` +
+        `Love Index ${r.love == null ? "—" : num(r.love, ".2f")} · ${num(doc.hits.length)} cues in ${num(doc.n)} words` +
+        (r.tokens ? ` (the release counts ${num(r.tokens)} tokens)` : "") +
+        (top.length ? `: ${top.map((k) => `${k} ${num(counts.get(k))}`).join(", ")}.` : ".")
+    );
+  }
+
+  function renderAll() {
+    renderSummary();
+    drawDensity("#chart-density");
+    fillList();
+  }
+
+  // ---- Events
+  textEl.addEventListener("change", () => {
+    const row = findRow(textEl.value);
+    if (row) {
+      bin = null;
+      openText(row);
+    } else if (textEl.value.trim()) statusEl.textContent = `No text in ${release.label} matches “${textEl.value.trim()}”.`;
+  });
+  regsEl.addEventListener("change", () => {
+    saveState();
+    renderAll();
+  });
+  widthSel.addEventListener("change", () => {
+    saveState();
+    fillList();
+  });
+  allBinsBtn.addEventListener("click", () => {
+    bin = null;
+    saveState();
+    renderAll();
+  });
+  rootEl.addEventListener("change", () => {
+    const root = rootEl.value.trim();
+    LoveCorpus.setTextRoot(root === defaultRoot ? null : root);
+    localFiles = null;
+    const row = doc ? doc.row : findRow(textEl.value);
+    if (row) openText(row);
+  });
+  dirEl?.addEventListener("change", () => {
+    const files = Array.from(dirEl.files || []);
+    if (!files.length) return;
+    localFiles = new Map();
+    for (const f of files) {
+      const inside = (f.webkitRelativePath || f.name).split("/").slice(1).join("/");
+      if (inside) localFiles.set(inside, f);
+      if (!localFiles.has(f.name)) localFiles.set(f.name, f);
+    }
+    statusEl.textContent = `${num(files.length)} files in the folder you picked.`;
+    const row = doc ? doc.row : findRow(textEl.value);
+    if (row) openText(row);
+  });
+  LoveI18n.onChange(renderAll);
+
+  // ---- Export menus (see exportmenu.js)
+  LoveExport.attach("#chart-density", { name: "cue-density", rows: () => (doc ? densityRows().map((d) => ({ uri: doc.row.uri, ...d })) : []) });
+  LoveExport.attach("#kw-wrap", {
+    name: "concordance",
+    chart: false,
+    rowsLabel: "concordance",
+    rows: () =>
+      listed().map((h) => ({
+        uri: doc.row.uri,
+        word: h.at + 1,
+        register: h.key,
+        kind: h.kind,
+        entry: h.entry,
+        weight: h.weight,
+        near_anchor: h.near,
+        ...contextOf(h),
+      })),
+  });
+
+  // Deep link: concordance.html#text=<version_uri>
+  const initial = byUri.get(LoveUrlState.get("text"));
+  if (initial) openText(initial);
+  else statusEl.textContent = `${num(corpus.rows.length)} texts in ${release.label}. Choose one above.`;
+});
@@ -0,0 +1,611 @@
+// Shared corpus loader: every page reads the scored CSV through this module,
+// so the Data and Results pages always count the same set of texts.
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === "object" && module.exports) module.exports = api;
+  else root.LoveCorpus = api;
+})(typeof self !== "undefined" ? self : this, () => {
+  const CSV_PATH = "data/BoC_v3_EXTENDED_scored.csv";
+
+  // ---- Genres (fixed order)
+  const GENRES = ["BIO", "DEV", "PHI", "POE", "RHE", "THE"];
+
+  // one-letter GenreCode used in the scored CSV
+  const GENRE_MAP = {
+    b: "BIO",
+    d: "DEV",
+    n: "PHI",
+    p: "POE",
+    r: "RHE",
+    k: "THE",
+  };
+
+  const COLORS = {
+    BIO: "#1E1916",  // ink (almost black)
+    DEV: "#0E3A45",  // deep teal
+    PHI: "#3E2A61",  // deep violet
+    POE: "#7A2C2A",  // garnet
+    RHE: "#C46A74",  // dusty rose (brighter)
+    THE: "#C39A6B",  // patinated gold
+  };
+
+  // ---- The nine BoC registers (column = `BoC_${key}`)
+  const REGISTERS = ["anchor", "spirit", "human", "desire", "beauty", "metaphor", "ethic", "family", "modern"];
+
+  // Century window of the current release (see data.html)
+  const MIN_CENTURY = 1;
+  const MAX_CENTURY = 15;
+
+  // OpenITI files pre-Islamic and otherwise undatable authors under the year 0001
+  const UNDATED_YEAR = 1;
+
+  // ---- Declared schema: what the front end expects in a scored CSV.
+  // `key` fields land on the record itself; score columns land in `record.scores`.
+  const FIELDS = [
+    { key: "uri", column: "version_uri", aliases: ["uri", "id"], type: "string", required: true },
+    { key: "title", column: "title_lat", aliases: ["title"], type: "string" },
+    { key: "titleAr", column: "title_ar", type: "string" },
+    { key: "author", column: "author_lat", aliases: ["author"], type: "string" },
+    { key: "authorShuhra", column: "author_lat_shuhra", type: "string" },
+    { key: "date", column: "date", aliases: ["year_ah", "death_ah"], type: "year", required: true },
+    { key: "genreCode", column: "GenreCode", aliases: ["genre_code"], type: "genre", required: true },
+    { key: "genreLabel", column: "GenreLabel", aliases: ["genre"], type: "string" },
+    { key: "absPath", column: "abs_path", type: "string" },
+    { key: "tokens", column: "dl_tokens", type: "number", range: [0, Infinity] },
+  ];
+
+  const SCORES = [
+    { column: "BoC_raw", range: [0, Infinity] },
+    { column: "BoC_density_k", range: [0, Infinity] },
+    { column: "BoC_penalty", range: [0, Infinity] },
+    { column: "BoC_strong_hits", range: [0, Infinity] },
+    ...REGISTERS.map((k) => ({ column: `BoC_${k}`, range: [0, Infinity] })),
+    { column: "BoC_pctl_0_1", range: [0, 1] },
+    { column: "BoC_final_0_2", range: [0, 2], required: true },
+    { column: "BoC_minmax_0_1", range: [0, 1] },
+    { column: "BoC_minmax_0_2", range: [0, 2] },
+  ];
+
+  // Alternative text-level scores a page may plot (`domain` null = data-driven axis)
+  const SCORE_VARIANTS = [
+    { column: "BoC_final_0_2", label: "Love Index (final, 0–2)", domain: [0, 2] },
+    { column: "BoC_pctl_0_1", label: "Percentile rank (0–1)", domain: [0, 1] },
+    { column: "BoC_minmax_0_1", label: "Min–max (0–1)", domain: [0, 1] },
+    { column: "BoC_minmax_0_2", label: "Min–max (0–2)", domain: [0, 2] },
+    { column: "BoC_density_k", label: "Density per 1,000 tokens", domain: null },
+    { column: "BoC_raw", label: "Raw evidence", domain: null },
+  ];
+
+  const SCHEMA = [
+    ...FIELDS,
+    ...SCORES.map((s) => ({ type: "number", ...s })),
+  ];
+
+  const norm = (s) => String(s ?? "").trim();
+  const lower = (s) => norm(s).toLowerCase();
+
+  function findColumn(columns, candidates) {
+    const cols = columns.map((c) => ({ raw: c, low: lower(c) }));
+    for (const cand of candidates) {
+      const hit = cols.find((c) => c.low === cand.toLowerCase());
+      if (hit) return hit.raw;
+    }
+    return null;
+  }
+
+  function coerceNumber(x) {
+    const s = norm(x);
+    if (!s) return null;
+    const n = +s.replace(",", ".");
+    return Number.isFinite(n) ? n : null;
+  }
+
+  function centuryOfYear(y) {
+    return Math.floor((y - 1) / 100) + 1;
+  }
+
+  function normalizeGenre(raw) {
+    const s = norm(raw);
+    if (!s) return null;
+
+    const k = s.toLowerCase();
+    if (GENRE_MAP[k]) return GENRE_MAP[k];
+
+    // "POE", "POE - Poetic (šiʿr)", ...
+    const up = s.toUpperCase();
+    return GENRES.find((g) => up === g || up.startsWith(`${g} `) || up.startsWith(`${g}-`)) || null;
+  }
+
+  // Fold text for search: case, Latin diacritics and transliteration marks (ʿ ʾ),
+  // Arabic short vowels / tatweel, and hamza / alif / tāʾ marbūṭa variants.
+  function foldForSearch(s) {
+    return norm(s)
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .toLowerCase()
+      .replace(/[ʿʾ'`’‘]/g, "")
+      .replace(/[\u0610-\u061a\u064b-\u065f\u0670\u06d6-\u06ed\u0640]/g, "")
+      .replace(/[\u0622\u0623\u0625\u0671]/g, "\u0627") // آ أ إ ٱ → ا
+      .replace(/\u0624/g, "\u0648") // ؤ → و
+      .replace(/[\u0626\u0649]/g, "\u064a") // ئ ى → ي
+      .replace(/\u0621/g, "") // bare hamza
+      .replace(/\u0629/g, "\u0647") // ة → ه
+      .replace(/\s+/g, " ");
+  }
+
+  // OpenITI author id: the first segment of the version URI ("0911Suyuti.Itqan.Shamela0011-ara1" → "0911Suyuti")
+  function authorIdOf(uri) {
+    return norm(uri).split(".")[0];
+  }
+
+  // Short display name: the shuhra if present, else the first " :: "-separated variant of author_lat
+  function authorNameOf(author, shuhra) {
+    return norm(shuhra) || norm(author).split(" :: ")[0];
+  }
+
+  // ---- Calendar: AH year → CE year in which its 1 Muharram falls (tabular Islamic calendar;
+  // Julian dates before the 1582 reform, Gregorian after), e.g. 400 AH → 1009 CE.
+  function hijriToCE(yearAH) {
+    const jd = 1948439.5 + 354 * (yearAH - 1) + Math.floor((3 + 11 * yearAH) / 30);
+    const z = Math.floor(jd + 0.5);
+    const alpha = Math.floor((z - 1867216.25) / 36524.25);
+    const a = z < 2299161 ? z : z + 1 + alpha - Math.floor(alpha / 4);
+    const b = a + 1524;
+    const c = Math.floor((b - 122.1) / 365.25);
+    const e = Math.floor((b - Math.floor(365.25 * c)) / 30.6001);
+    const month = e < 14 ? e - 1 : e - 13;
+    return month > 2 ? c - 4716 : c - 4715;
+  }
+
+  // CE years in which the first and the last year of an AH century begin (4 → [913, 1009])
+  function centuryToCE(century) {
+    return [hijriToCE((century - 1) * 100 + 1), hijriToCE(century * 100)];
+  }
+
+  // Map each schema entry to the actual CSV header (case-insensitive, with aliases).
+  function resolveColumns(columns) {
+    const resolved = {};
+    const missing = [];
+    for (const f of SCHEMA) {
+      const hit = findColumn(columns, [f.column, ...(f.aliases || [])]);
+      if (hit) resolved[f.column] = hit;
+      else missing.push({ column: f.column, required: !!f.required });
+    }
+    return { resolved, missing };
+  }
+
+  function parse(raw, options = {}) {
+    const minCentury = options.minCentury ?? MIN_CENTURY;
+    const maxCentury = options.maxCentury ?? MAX_CENTURY;
+    const columns = (raw && raw.columns) || [];
+    const { resolved, missing } = resolveColumns(columns);
+
+    const diagnostics = {
+      ok: true,
+      total: raw ? raw.length : 0,
+      accepted: 0,
+      columns: resolved,
+      missingColumns: missing,
+      rejected: [],
+      byReason: {},
+    };
+
+    if (missing.some((m) => m.required)) {
+      diagnostics.ok = false;
+      return { rows: [], columns, diagnostics };
+    }
+
+    const col = (r, name) => (resolved[name] ? r[resolved[name]] : undefined);
+
+    function reject(i, r, reason, column) {
+      diagnostics.rejected.push({
+        line: i + 2, // header is line 1
+        uri: norm(col(r, "version_uri")),
+        reason,
+        column: column || null,
+        value: column ? norm(col(r, column)) : null,
+      });
+      diagnostics.byReason[reason] = (diagnostics.byReason[reason] || 0) + 1;
+    }
+
+    const rows = [];
+    raw.forEach((r, i) => {
+      const uri = norm(col(r, "version_uri"));
+      if (!uri) return reject(i, r, "missing-uri", "version_uri");
+
+      const genre = normalizeGenre(col(r, "GenreCode")) || normalizeGenre(col(r, "GenreLabel"));
+      if (!genre) return reject(i, r, "unknown-genre", "GenreCode");
+
+      const date = coerceNumber(col(r, "date"));
+      if (date == null || date < 1) return reject(i, r, "undated", "date");
+
+      const century = centuryOfYear(date);
+      if (century < minCentury || century > maxCentury) return reject(i, r, "outside-century-window", "date");
+
+      const scores = {};
+      for (const s of SCORES) {
+        if (!resolved[s.column]) {
+          scores[s.column] = null;
+          continue;
+        }
+        const v = coerceNumber(col(r, s.column));
+        if (v == null) {
+          if (s.required) return reject(i, r, "non-numeric-score", s.column);
+          scores[s.column] = null;
+          continue;
+        }
+        if (v < s.range[0] || v > s.range[1]) return reject(i, r, "score-out-of-range", s.column);
+        scores[s.column] = v;
+      }
+
+      const author = norm(col(r, "author_lat"));
+      const authorShuhra = norm(col(r, "author_lat_shuhra"));
+      rows.push({
+        uri,
+        title: norm(col(r, "title_lat")),
+        titleAr: norm(col(r, "title_ar")),
+        author,
+        authorShuhra,
+        authorId: authorIdOf(uri),
+        authorName: authorNameOf(author, authorShuhra),
+        genre,
+        genreLabel: norm(col(r, "GenreLabel")),
+        date,
+        dated: date !== UNDATED_YEAR,
+        century,
+        absPath: norm(col(r, "abs_path")),
+        tokens: coerceNumber(col(r, "dl_tokens")),
+        love: scores.BoC_final_0_2,
+        scores,
+      });
+    });
+
+    diagnostics.accepted = rows.length;
+    return { rows, columns, diagnostics };
+  }
+
+  // One-line, human-readable account of what the loader dropped.
+  function describe(diagnostics) {
+    const d = diagnostics;
+    if (!d.ok) {
+      const req = d.missingColumns.filter((m) => m.required).map((m) => m.column);
+      return `Missing required column(s): ${req.join(", ")}.`;
+    }
+    const reasons = Object.entries(d.byReason).map(([k, n]) => `${n} ${k.replace(/-/g, " ")}`);
+    return reasons.length
+      ? `${d.accepted} of ${d.total} texts loaded (excluded: ${reasons.join(", ")}).`
+      : `${d.accepted} of ${d.total} texts loaded.`;
+  }
+
+  // ---- Two releases joined on version_uri (the Compare page and tools/check-compare.js)
+
+  // Competition ranks within one release, highest score = 1 (texts without the score are unranked)
+  function rankMap(rows, column) {
+    const scored = rows.filter((r) => r.scores[column] != null).sort((x, y) => y.scores[column] - x.scores[column]);
+    const out = new Map();
+    scored.forEach((r, i) => {
+      const prev = scored[i - 1];
+      out.set(r.uri, prev && prev.scores[column] === r.scores[column] ? out.get(prev.uri) : i + 1);
+    });
+    return out;
+  }
+
+  // Texts in both (with score and rank in each), added in b, removed from a
+  function compareReleases(a, b, column) {
+    const inA = new Map(a.rows.map((r) => [r.uri, r]));
+    const inB = new Map(b.rows.map((r) => [r.uri, r]));
+    const rankA = rankMap(a.rows, column);
+    const rankB = rankMap(b.rows, column);
+
+    const shared = b.rows
+      .filter((r) => inA.has(r.uri))
+      .map((rb) => {
+        const ra = inA.get(rb.uri);
+        const va = ra.scores[column];
+        const vb = rb.scores[column];
+        const ka = rankA.get(rb.uri) ?? null;
+        const kb = rankB.get(rb.uri) ?? null;
+        return {
+          uri: rb.uri,
+          title: rb.title,
+          author: rb.authorName,
+          genre: rb.genre,
+          genreA: ra.genre,
+          dateA: ra.date,
+          dateB: rb.date,
+          a: va,
+          b: vb,
+          delta: va != null && vb != null ? vb - va : null,
+          rankA: ka,
+          rankB: kb,
+          rankChange: ka != null && kb != null ? ka - kb : null,
+        };
+      });
+
+    return {
+      shared,
+      added: b.rows.filter((r) => !inA.has(r.uri)),
+      removed: a.rows.filter((r) => !inB.has(r.uri)),
+    };
+  }
+
+  // ---- Aggregates: century × genre summaries built ahead of time by tools/build-aggregates.js,
+  // so pages that only draw counts and means never download the full CSV.
+  const COUNTS_PATH = "data/aggregates/counts.json";
+  const AGGREGATES_DIR = "data/aggregates";
+
+  const round6 = (v) => (v == null ? null : Math.round(v * 1e6) / 1e6);
+
+  // Linear interpolation between order statistics (same rule as d3.quantileSorted)
+  function quantileSorted(sorted, p) {
+    const i = (sorted.length - 1) * p;
+    const lo = Math.floor(i);
+    return lo + 1 < sorted.length ? sorted[lo] + (sorted[lo + 1] - sorted[lo]) * (i - lo) : sorted[lo];
+  }
+
+  // n, mean, sample SD (null below n = 2) and five-number summary of one cell
+  function summarize(values) {
+    const sorted = values.slice().sort((a, b) => a - b);
+    const n = sorted.length;
+    const mean = sorted.reduce((s, v) => s + v, 0) / n;
+    const sd = n > 1 ? Math.sqrt(sorted.reduce((s, v) => s + (v - mean) ** 2, 0) / (n - 1)) : null;
+    return {
+      n,
+      mean: round6(mean),
+      sd: round6(sd),
+      min: round6(sorted[0]),
+      q1: round6(quantileSorted(sorted, 0.25)),
+      median: round6(quantileSorted(sorted, 0.5)),
+      q3: round6(quantileSorted(sorted, 0.75)),
+      max: round6(sorted[n - 1]),
+    };
+  }
+
+  // Per-century cells of one score column, all genres pooled and genre by genre (empty cells omitted)
+  function aggregateScore(rows, column) {
+    const cells = (subset) => {
+      const out = [];
+      for (let c = MIN_CENTURY; c <= MAX_CENTURY; c++) {
+        const vals = subset.filter((r) => r.century === c).map((r) => r.scores[column]).filter((v) => v != null);
+        if (vals.length) out.push({ century: c, ...summarize(vals) });
+      }
+      return out;
+    };
+    return {
+      column,
+      pooled: cells(rows),
+      genres: Object.fromEntries(GENRES.map((g) => [g, cells(rows.filter((r) => r.genre === g))])),
+    };
+  }
+
+  // Texts per century and genre, one row per century (the shape of data/corpus_size.json)
+  function centuryCounts(rows) {
+    const out = [];
+    for (let c = MIN_CENTURY; c <= MAX_CENTURY; c++) {
+      const row = { century: c };
+      for (const g of GENRES) row[g] = 0;
+      out.push(row);
+    }
+    for (const r of rows) {
+      const row = out[r.century - MIN_CENTURY];
+      if (row) row[r.genre] += 1;
+    }
+    return out;
+  }
+
+  // What the loader made of the CSV the aggregates were built from
+  function aggregateIndex(corpus, built = null) {
+    const d = corpus.diagnostics;
+    return {
+      source: corpus.path || CSV_PATH,
+      built,
+      minCentury: MIN_CENTURY,
+      maxCentury: MAX_CENTURY,
+      total: d.total,
+      accepted: d.accepted,
+      byReason: d.byReason,
+      summary: describe(d),
+      scores: SCORES.map((s) => s.column).filter((col) => corpus.rows.some((r) => r.scores[col] != null)),
+    };
+  }
+
+  // ---- Releases: data/datasets.json lists the scored releases ({ id, label, csv, counts, aggregates,
+  // texts, notes }; `csv: null` = known but not bundled). A page reads the one picked in the dataset selector
+  // (hash `release`, then the saved choice), else the manifest default.
+  const MANIFEST_PATH = "data/datasets.json";
+  const RELEASE_KEY = "love-release";
+  const DEFAULT_RELEASE = {
+    id: "v3_EXTENDED",
+    label: "v3 extended",
+    csv: CSV_PATH,
+    counts: COUNTS_PATH,
+    aggregates: AGGREGATES_DIR,
+  };
+
+  const isAvailable = (release) => !!(release && release.csv);
+
+  let manifestPromise = null;
+  let releasePromise = null;
+  let release = DEFAULT_RELEASE;
+
+  function loadManifest() {
+    if (!manifestPromise) {
+      manifestPromise = d3.json(MANIFEST_PATH).catch((e) => {
+        console.info(`No release manifest at ${MANIFEST_PATH} (${e.message}); using ${CSV_PATH}.`);
+        return { default: DEFAULT_RELEASE.id, releases: [DEFAULT_RELEASE] };
+      });
+    }
+    return manifestPromise;
+  }
+
+  function requestedRelease() {
+    const fromHash = new URLSearchParams(location.hash.replace(/^#/, "")).get("release");
+    try {
+      return fromHash || localStorage.getItem(RELEASE_KEY);
+    } catch (e) {
+      return fromHash;
+    }
+  }
+
+  // Resolve the page's release once; later calls share the answer
+  function loadRelease() {
+    if (!releasePromise) {
+      releasePromise = loadManifest().then((manifest) => {
+        const available = manifest.releases.filter(isAvailable);
+        const wanted = requestedRelease();
+        release =
+          available.find((r) => r.id === wanted) ||
+          available.find((r) => r.id === manifest.default) ||
+          available[0] ||
+          DEFAULT_RELEASE;
+        return release;
+      });
+    }
+    return releasePromise;
+  }
+
+  // The release this page reads (the default until loadRelease() has resolved)
+  const currentRelease = () => release;
+
+  // Save the reader's choice; pages pick it up on their next load
+  function chooseRelease(id) {
+    try {
+      localStorage.setItem(RELEASE_KEY, id);
+    } catch (e) {
+      // private mode: the hash still carries the choice
+    }
+  }
+
+  // ---- Source texts. abs_path is where the scoring pipeline read a file; the release's
+  // `texts: { from, root }` maps it under a directory the site can fetch (`from` is the prefix
+  // replaced by `root`). Readers with the corpus elsewhere can override the root.
+  const TEXT_ROOT = "corpus/";
+  const TEXT_ROOT_KEY = "love-text-root";
+
+  function textRoot(r = release) {
+    try {
+      const saved = localStorage.getItem(TEXT_ROOT_KEY);
+      if (saved) return saved;
+    } catch (e) {
+      // no storage (private mode, Node): the release's root
+    }
+    return (r.texts && r.texts.root) || TEXT_ROOT;
+  }
+
+  // Empty or null: back to the release's root
+  function setTextRoot(root) {
+    try {
+      if (root) localStorage.setItem(TEXT_ROOT_KEY, root);
+      else localStorage.removeItem(TEXT_ROOT_KEY);
+    } catch (e) {
+      // private mode: the override lasts for this page only
+    }
+  }
+
+  // abs_path relative to the corpus root: what follows the `from` prefix, else the file name
+  function textFile(absPath, r = release) {
+    const p = norm(absPath).replace(/\\/g, "/");
+    const from = r.texts && r.texts.from;
+    return from && p.startsWith(from) ? p.slice(from.length).replace(/^\/+/, "") : p.split("/").pop();
+  }
+
+  function textPath(absPath, r = release, root = textRoot(r)) {
+    const file = textFile(absPath, r);
+    return file ? `${root.replace(/\/*$/, "/")}${file}` : null;
+  }
+
+  const cache = new Map();
+
+  // Fetch + parse once per path; every caller on the page shares the same promise.
+  // Without a path, reads the page's release.
+  function load(path, options = {}) {
+    if (path == null) return loadRelease().then((r) => load(r.csv, options));
+    const key = `${path}|${options.minCentury ?? MIN_CENTURY}|${options.maxCentury ?? MAX_CENTURY}`;
+    if (!cache.has(key)) {
+      const p = d3.csv(path).then((raw) => ({ path, ...parse(raw, options) }));
+      p.catch(() => cache.delete(key));
+      cache.set(key, p);
+    }
+    return cache.get(key);
+  }
+
+  // A prebuilt aggregate file of the page's release, or the same numbers computed from its CSV
+  // when the file (or the release's aggregate path) is missing
+  function loadAggregate(name, pathOf, compute) {
+    return loadRelease().then((r) => {
+      const key = `${r.id}|${name}`;
+      if (!cache.has(key)) {
+        const path = pathOf(r);
+        const fromCsv = () => load(r.csv).then(compute);
+        const p = path
+          ? d3.json(path).catch((e) => {
+            console.info(`No aggregate file at ${path} (${e.message}); computing it from ${r.csv}.`);
+            return fromCsv();
+          })
+          : fromCsv();
+        p.catch(() => cache.delete(key));
+        cache.set(key, p);
+      }
+      return cache.get(key);
+    });
+  }
+
+  const loadCounts = () => loadAggregate("counts", (r) => r.counts, (corpus) => centuryCounts(corpus.rows));
+  const loadIndex = () =>
+    loadAggregate("index", (r) => r.aggregates && `${r.aggregates}/index.json`, (corpus) => aggregateIndex(corpus));
+  const loadScoreAggregate = (column) =>
+    loadAggregate(
+      column,
+      (r) => r.aggregates && `${r.aggregates}/${column}.json`,
+      (corpus) => aggregateScore(corpus.rows, column)
+    );
+
+  return {
+    CSV_PATH,
+    GENRES,
+    GENRE_MAP,
+    COLORS,
+    REGISTERS,
+    MIN_CENTURY,
+    MAX_CENTURY,
+    UNDATED_YEAR,
+    SCHEMA,
+    SCORES,
+    SCORE_VARIANTS,
+    norm,
+    findColumn,
+    coerceNumber,
+    centuryOfYear,
+    normalizeGenre,
+    foldForSearch,
+    authorIdOf,
+    authorNameOf,
+    hijriToCE,
+    centuryToCE,
+    resolveColumns,
+    parse,
+    describe,
+    compareReleases,
+    COUNTS_PATH,
+    AGGREGATES_DIR,
+    summarize,
+    aggregateScore,
+    centuryCounts,
+    aggregateIndex,
+    MANIFEST_PATH,
+    DEFAULT_RELEASE,
+    loadManifest,
+    loadRelease,
+    currentRelease,
+    chooseRelease,
+    TEXT_ROOT,
+    textRoot,
+    setTextRoot,
+    textFile,
+    textPath,
+    load,
+    loadCounts,
+    loadIndex,
+    loadScoreAggregate,
+  };
+});
@@ -1,93 +1,9 @@
 
 
 document.addEventListener("DOMContentLoaded", async () => {
-  const CSV_PATH = "data/BoC_v3_EXTENDED_scored.csv";
-
-  // ---- Genres (fixed order)
-  const GENRES = ["BIO", "DEV", "PHI", "POE", "RHE", "THE"];
-  const GENRE_LABEL = {
-    BIO: "BIO",
-    DEV: "DEV",
-    PHI: "PHI",
-    POE: "POE",
-    RHE: "RHE",
-    THE: "THE",
-  };
-
-
-  const COLORS = {
-    BIO: "#1E1916",  // ink (almost black)
-    DEV: "#0E3A45",  // deep teal
-    PHI: "#3E2A61",  // deep violet
-    POE: "#7A2C2A",  // garnet
-    RHE: "#C46A74",  // dusty rose (brighter)
-    THE: "#C39A6B",  // patinated gold
-  };
-
-
-  const norm = (s) => String(s || "").trim();
-  const lower = (s) => norm(s).toLowerCase();
-
-  function findColumn(columns, candidates) {
-    const cols = columns.map((c) => ({ raw: c, low: lower(c) }));
-    for (const cand of candidates) {
-      const cLow = cand.toLowerCase();
-      const hit = cols.find((c) => c.low === cLow);
-      if (hit) return hit.raw;
-    }
-    return null;
-  }
-
-  function findColumnFuzzy(columns, includesAny) {
-    const cols = columns.map((c) => ({ raw: c, low: lower(c) }));
-    for (const inc of includesAny) {
-      const hit = cols.find((c) => c.low.includes(inc.toLowerCase()));
-      if (hit) return hit.raw;
-    }
-    return null;
-  }
-
-  function coerceNumber(x) {
-    const n = +String(x ?? "").replace(",", ".").trim();
-    return Number.isFinite(n) ? n : null;
-  }
-
-  function toCenturyFromYear(y) {
-
-    return Math.floor((y - 1) / 100) + 1;
-  }
-
-  function inferGenreValue(row, genreCol) {
-    const v = norm(row[genreCol]);
-    if (!v) return null;
-    const upper = v.toUpperCase();
-
-
-    const found = GENRES.find(
-      (g) =>
-        upper === g ||
-        upper.startsWith(g) ||
-        upper.includes(` ${g}`) ||
-        upper.includes(`${g} `)
-    );
-    return found || (GENRES.includes(upper) ? upper : null);
-  }
-
-  function inferCenturyValue(row, centuryCol) {
-    if (!centuryCol) return null;
-    const v = coerceNumber(row[centuryCol]);
-    if (!v) return null;
-
-
-    if (v >= 2 && v <= 20) return Math.round(v);
-
-
-    if (v >= 50 && v <= 2000) {
-      const c = toCenturyFromYear(v);
-      if (c >= 1 && c <= 30) return c;
-    }
-    return null;
-  }
+  const { GENRES, COLORS } = LoveCorpus;
+  const { t, num, genreName } = LoveI18n;
+  const C = LoveI18n.chart;
 
   function niceLogTicks(maxVal) {
     const base = [1, 2, 5, 10, 20, 50, 100, 200, 500, 1000, 2000, 5000];
@@ -95,84 +11,34 @@ document.addEventListener("DOMContentLoaded", async () => {
   }
 
 
-  let raw;
+  // Counts come precomputed (tools/build-aggregates.js); this page never downloads the full CSV
+  let dataByCentury, index;
   try {
-    raw = await d3.csv(CSV_PATH);
+    [dataByCentury, index] = await Promise.all([LoveCorpus.loadCounts(), LoveCorpus.loadIndex()]);
   } catch (e) {
     console.error(e);
     const el1 = document.getElementById("chart-lines");
     const el2 = document.getElementById("chart-pie");
-    if (el1) el1.innerHTML = `<p style="padding:1rem">Could not load CSV at <code>${CSV_PATH}</code>. Check file path + server.</p>`;
-    if (el2) el2.innerHTML = `<p style="padding:1rem">Could not load CSV at <code>${CSV_PATH}</code>.</p>`;
-    return;
-  }
-
-  if (!raw || !raw.columns) {
-    console.warn("CSV loaded but has no columns?");
+    if (el1) el1.innerHTML = `<p style="padding:1rem">Could not load the corpus counts or the CSV at <code>${LoveCorpus.currentRelease().csv}</code>. Check file path + server.</p>`;
+    if (el2) el2.innerHTML = `<p style="padding:1rem">Could not load the corpus counts.</p>`;
     return;
   }
 
-  const columns = raw.columns;
-
+  const diagEl = document.getElementById("corpus-diag");
+  if (diagEl) diagEl.textContent = index.summary;
 
-  const genreCol =
-    findColumn(columns, ["genre", "Genre", "GenreLabel", "genrelabel", "GenreCode", "genre_code", "genre_abbr"]) ||
-    findColumnFuzzy(columns, ["genre"]);
-
-
-  let centuryCol =
-    findColumn(columns, ["century", "Century", "century_ah", "Century_AH", "ah_century", "centuryAH", "century_hijri"]) ||
-    findColumnFuzzy(columns, ["century"]);
-
-
-  const yearCol =
-    findColumn(columns, ["year", "Year", "date", "Date", "year_ah", "ah_year", "hijri_year"]) ||
-    findColumnFuzzy(columns, ["year", "date", "hijri", "ah"]);
-
-  if (!genreCol) {
-    document.getElementById("chart-lines").innerHTML =
-      `<p style="padding:1rem">Could not detect a <strong>genre</strong> column. Columns found: <code>${columns.join(", ")}</code></p>`;
-    return;
-  }
-
-
-  const rows = [];
-  for (const r of raw) {
-    const g = inferGenreValue(r, genreCol);
-    if (!g) continue;
-
-    let c = inferCenturyValue(r, centuryCol);
-
-    if (!c && yearCol) {
-      const y = coerceNumber(r[yearCol]);
-      if (y) {
-
-        const cy = toCenturyFromYear(y);
-        if (cy) c = cy;
-      }
-    }
-
-    if (!c) continue;
-    if (c < 2 || c > 15) continue; 
-
-    rows.push({ genre: g, century: c });
-  }
-
-  if (rows.length < 10) {
+  if (index.accepted < 10) {
     document.getElementById("chart-lines").innerHTML =
       `<p style="padding:1rem">
         Data loaded, but I couldn't build enough (century, genre) points.
-        <br/>Detected genre column: <code>${genreCol}</code>
-        <br/>Detected century column: <code>${centuryCol || "none"}</code>
-        <br/>Detected year/date column: <code>${yearCol || "none"}</code>
-        <br/>CSV columns: <code>${columns.join(", ")}</code>
+        <br/>${index.summary}
       </p>`;
     return;
   }
 
 
-  const countsByGenre = new Map(GENRES.map((g) => [g, 0]));
-  for (const r of rows) countsByGenre.set(r.genre, (countsByGenre.get(r.genre) || 0) + 1);
+  const countsByGenre = new Map(GENRES.map((g) => [g, d3.sum(dataByCentury, (d) => d[g])]));
+  const totalTexts = d3.sum(countsByGenre.values());
 
 
   for (const g of GENRES) {
@@ -181,23 +47,19 @@ document.addEventListener("DOMContentLoaded", async () => {
   }
 
 
-  const centuries = d3.range(2, 16); // 2..15
-  const dataByCentury = centuries.map((c) => {
-    const obj = { century: c };
-    for (const g of GENRES) obj[g] = 0;
-    return obj;
-  });
-
-  const idx = new Map(centuries.map((c, i) => [c, i]));
-  for (const r of rows) {
-    const i = idx.get(r.century);
-    if (i == null) continue;
-    dataByCentury[i][r.genre] += 1;
+  function drawCharts() {
+    drawLineChart("#chart-lines", dataByCentury, GENRES, COLORS);
+    drawPie("#chart-pie", "#pie-legend", countsByGenre, COLORS);
   }
 
+  drawCharts();
+  LoveI18n.onChange(drawCharts);
 
-  drawLineChart("#chart-lines", dataByCentury, GENRES, COLORS);
-  drawPie("#chart-pie", "#pie-legend", countsByGenre, COLORS);
+  LoveExport.attach("#chart-lines", { name: "texts-by-century-genre", rows: () => dataByCentury });
+  LoveExport.attach("#chart-pie", {
+    name: "texts-by-genre",
+    rows: () => GENRES.map((g) => ({ genre: g, n: countsByGenre.get(g) || 0, share: (countsByGenre.get(g) || 0) / totalTexts })),
+  });
 
 
 
@@ -206,7 +68,7 @@ document.addEventListener("DOMContentLoaded", async () => {
     if (!container) return;
     container.innerHTML = "";
 
-    const margin = { top: 28, right: 110, bottom: 44, left: 54 };
+    const margin = C.margin({ top: 28, right: 110, bottom: 44, left: 54 });
     const width = Math.max(740, container.clientWidth || 740);
     const height = 420;
 
@@ -225,7 +87,7 @@ document.addEventListener("DOMContentLoaded", async () => {
     const x = d3
       .scaleLinear()
       .domain(d3.extent(series, (d) => d.century))
-      .range([0, plotW]);
+      .range(C.range(plotW));
 
     const maxVal = d3.max(series, (d) => d3.max(genres, (k) => d[k])) || 1;
 
@@ -238,38 +100,41 @@ document.addEventListener("DOMContentLoaded", async () => {
 
     g.append("g")
       .attr("class", "grid")
-      .call(d3.axisLeft(y).tickValues(niceLogTicks(maxVal)).tickSize(-plotW).tickFormat(""))
+      .attr("transform", `translate(${C.start(plotW)},0)`)
+      .call(C.yAxis(y).tickValues(niceLogTicks(maxVal)).tickSize(-plotW).tickFormat(""))
       .attr("opacity", 0.22);
 
 
     g.append("g")
       .attr("transform", `translate(0,${plotH})`)
-      .call(d3.axisBottom(x).ticks(14).tickFormat(d3.format("d")));
+      .call(d3.axisBottom(x).ticks(14).tickFormat(LoveI18n.centuryTick));
 
-    g.append("g").call(
-      d3
-        .axisLeft(y)
-        .tickValues(niceLogTicks(maxVal))
-        .tickFormat((d) => (d >= 1000 ? `${d / 1000}k` : d))
-    );
+    g.append("g")
+      .attr("transform", `translate(${C.start(plotW)},0)`)
+      .call(
+        C.yAxis(y)
+          .tickValues(niceLogTicks(maxVal))
+          .tickFormat((d) => (d >= 1000 ? `${num(d / 1000)}k` : num(d)))
+      );
 
 
     g.append("text")
-      .attr("x", 0)
+      .attr("x", C.start(plotW))
       .attr("y", -10)
+      .attr("text-anchor", C.anchor("start"))
       .attr("fill", "currentColor")
       .style("font-weight", 600)
       .style("font-size", "12px")
-      .text("Texts (log scale)");
+      .text(t("axis.texts-log"));
 
     g.append("text")
-      .attr("x", plotW)
+      .attr("x", C.end(plotW))
       .attr("y", plotH + 36)
-      .attr("text-anchor", "end")
+      .attr("text-anchor", C.anchor("end"))
       .attr("fill", "currentColor")
       .style("font-weight", 600)
       .style("font-size", "12px")
-      .text("Century (AH)");
+      .text(LoveI18n.centuryAxisTitle());
 
 
     const tip = d3
@@ -286,9 +151,13 @@ document.addEventListener("DOMContentLoaded", async () => {
       .curve(d3.curveMonotoneX);
 
 
-    const visible = Object.fromEntries(genres.map((gg) => [gg, true]));
+    // Hidden genres survive reloads and shared links (#hide=POE,THE)
+    const hiddenInUrl = LoveUrlState.getList("hide");
+    const visible = Object.fromEntries(genres.map((gg) => [gg, !hiddenInUrl.includes(gg)]));
 
     function applyVisibility() {
+      LoveUrlState.set({ hide: genres.filter((k) => !visible[k]) });
+
       genres.forEach((k) => {
         const on = visible[k];
 
@@ -345,7 +214,7 @@ document.addEventListener("DOMContentLoaded", async () => {
           d3.select(event.currentTarget).attr("opacity", 0.95);
           tip
             .style("opacity", 1)
-            .html(`<strong>${GENRE_LABEL[k] || k}</strong> · century ${d.century} AH<br/>texts: ${d.value}`)
+            .html(`<strong>${genreName(k)}</strong> · ${LoveI18n.centuryText(d.century)}<br/>${t("tip.texts", { n: num(d.value) })}`)
             .style("left", `${event.offsetX + 12}px`)
             .style("top", `${event.offsetY - 8}px`);
         })
@@ -358,7 +227,7 @@ document.addEventListener("DOMContentLoaded", async () => {
         });
     }
 
-    const lg = g.append("g").attr("transform", `translate(${plotW + 18}, 10)`);
+    const lg = g.append("g").attr("transform", `translate(${C.end(plotW) + C.side(18)}, 10)`);
 
     genres.forEach((k, i) => {
       const row = lg
@@ -373,11 +242,12 @@ document.addEventListener("DOMContentLoaded", async () => {
         .attr("class", `legend-dot legend-dot-${k}`);
 
       row.append("text")
-        .attr("x", 14)
+        .attr("x", C.side(14))
         .attr("y", 4)
+        .attr("text-anchor", C.anchor("start"))
         .style("font-size", "12px")
         .style("font-weight", 700)
-        .text(GENRE_LABEL[k] || k)
+        .text(genreName(k))
         .attr("class", `legend-label legend-label-${k}`);
 
       row.on("click", () => {
@@ -443,10 +313,9 @@ document.addEventListener("DOMContentLoaded", async () => {
       .attr("stroke-width", 1)
       .on("mouseenter", function (event, d) {
         d3.select(this).attr("d", arcHover);
-        const pct = ((d.data.value / total) * 100).toFixed(1);
         tip
           .style("opacity", 1)
-          .html(`<strong>${d.data.key}</strong><br/>${d.data.value} texts · ${pct}%`)
+          .html(`<strong>${genreName(d.data.key)}</strong><br/>${t("tip.share", { n: num(d.data.value), pct: num((d.data.value / total) * 100, ".1f") })}`)
           .style("left", `${event.offsetX + 12}px`)
           .style("top", `${event.offsetY - 8}px`);
       })
@@ -463,22 +332,22 @@ document.addEventListener("DOMContentLoaded", async () => {
       .attr("y", -2)
       .style("font-weight", 700)
       .style("font-size", "14px")
-      .text("Genres");
+      .text(t("chart.genres"));
 
     g.append("text")
       .attr("text-anchor", "middle")
       .attr("y", 16)
       .style("font-size", "12px")
       .style("opacity", 0.9)
-      .text(`${total} texts`);
+      .text(t("chart.n-texts", { n: num(total) }));
 
     if (legend) {
       for (const e of entries) {
-        const pct = ((e.value / total) * 100).toFixed(1);
+        const pct = num((e.value / total) * 100, ".1f");
         const li = document.createElement("li");
         li.innerHTML = `
           <span class="swatch" style="background:${colors[e.key] || "#999"}"></span>
-          <span class="lab"><strong>${e.key}</strong> <span class="muted">${pct}%</span></span>
+          <span class="lab"><strong>${genreName(e.key)}</strong> <span class="muted">${pct}%</span></span>
         `;
         legend.appendChild(li);
       }
@@ -0,0 +1,40 @@
+// Dataset selector in the page header: lists the releases in data/datasets.json and reloads
+// the page on the chosen one (saved for the next visit and carried in the hash as `release`).
+(() => {
+  const label = (key, fallback) => (window.LoveI18n ? LoveI18n.t(key) : fallback);
+
+  async function mount() {
+    const hdr = document.querySelector(".site-hdr .hdr__in");
+    if (!hdr || hdr.querySelector(".release-switch")) return;
+    const [manifest, current] = await Promise.all([LoveCorpus.loadManifest(), LoveCorpus.loadRelease()]);
+
+    // Shared links name a non-default release explicitly
+    const saveState = (id) => LoveUrlState.set({ release: id === manifest.default ? null : id });
+    saveState(current.id);
+    if (manifest.releases.length < 2) return;
+
+    const sw = document.createElement("label");
+    sw.className = "release-switch";
+    sw.innerHTML = `<span data-i18n="ui.release">Dataset</span> <select class="release-select"></select>`;
+    const sel = sw.querySelector("select");
+    for (const r of manifest.releases) {
+      const available = !!r.csv;
+      const opt = new Option(available ? r.label : `${r.label} (${label("ui.not-bundled", "not bundled")})`, r.id);
+      opt.disabled = !available;
+      if (r.notes) opt.title = r.notes;
+      sel.add(opt);
+    }
+    sel.value = current.id;
+    hdr.insertBefore(sw, hdr.querySelector(".lang-switch"));
+    if (window.LoveI18n) LoveI18n.apply(sw);
+
+    sel.addEventListener("change", () => {
+      LoveCorpus.chooseRelease(sel.value);
+      saveState(sel.value);
+      location.reload();
+    });
+  }
+
+  window.LoveDatasets = { mount };
+  mount();
+})();
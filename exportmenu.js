@@ -0,0 +1,169 @@
+// Export menu for charts and tables: standalone SVG (styles inlined), high-DPI PNG,
+// and the data behind the view as CSV / JSON. Every file carries a provenance footer.
+(() => {
+  const PNG_SCALE = 3;
+  const PAPER = "#F6F1E7";
+
+  // Presentation properties copied from the live chart onto the exported clone
+  const STYLE_PROPS = [
+    "fill", "fill-opacity", "stroke", "stroke-opacity", "stroke-width", "stroke-dasharray",
+    "opacity", "display", "visibility",
+    "font-family", "font-size", "font-weight", "font-style", "text-anchor", "dominant-baseline",
+  ];
+  const NOT_INHERITED = new Set(["opacity", "display", "dominant-baseline"]);
+
+  // One line naming the dataset, the score column and the exact view (URL with its hash).
+  function provenance(score) {
+    const release = LoveCorpus.currentRelease();
+    const parts = [
+      `Source: ${release.csv} (release ${release.id})`,
+      score ? `score: ${score}` : null,
+      `view: ${location.href}`,
+      `exported ${new Date().toISOString().slice(0, 10)}`,
+    ];
+    return parts.filter(Boolean).join(" · ");
+  }
+
+  function download(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  // Clone the chart's <svg> with computed styles inlined, a paper background and the footer.
+  function standaloneSvg(svgEl, footer) {
+    const clone = svgEl.cloneNode(true);
+    const src = [svgEl, ...svgEl.querySelectorAll("*")];
+    const dst = [clone, ...clone.querySelectorAll("*")];
+    const computed = new Map();
+    src.forEach((el, i) => {
+      const cs = getComputedStyle(el);
+      computed.set(el, cs);
+      // Inherited values equal to the parent's are left to inheritance (keeps dense plots small)
+      const parent = el === svgEl ? null : computed.get(el.parentNode);
+      const decl = STYLE_PROPS.map((p) => [p, cs.getPropertyValue(p)])
+        .filter(([p, v]) => v && !(parent && !NOT_INHERITED.has(p) && parent.getPropertyValue(p) === v))
+        .map(([p, v]) => `${p}:${v}`)
+        .join(";");
+      if (decl) dst[i].setAttribute("style", `${decl};${dst[i].getAttribute("style") || ""}`);
+      dst[i].removeAttribute("class");
+    });
+
+    const vb = (svgEl.getAttribute("viewBox") || "0 0 800 400").split(/[\s,]+/).map(Number);
+    const [x0, y0, w, h] = vb;
+    const footH = 26;
+    clone.setAttribute("viewBox", `${x0} ${y0} ${w} ${h + footH}`);
+    clone.setAttribute("width", w);
+    clone.setAttribute("height", h + footH);
+
+    const ns = "http://www.w3.org/2000/svg";
+    const bg = document.createElementNS(ns, "rect");
+    bg.setAttribute("x", x0);
+    bg.setAttribute("y", y0);
+    bg.setAttribute("width", w);
+    bg.setAttribute("height", h + footH);
+    bg.setAttribute("fill", PAPER);
+    clone.insertBefore(bg, clone.firstChild);
+
+    const text = document.createElementNS(ns, "text");
+    text.setAttribute("x", x0 + 8);
+    text.setAttribute("y", y0 + h + footH - 9);
+    text.setAttribute("style", "font-family:Inter,sans-serif;font-size:10px;fill:#5a4f47");
+    text.textContent = footer;
+    clone.appendChild(text);
+
+    return { markup: new XMLSerializer().serializeToString(clone), width: w, height: h + footH };
+  }
+
+  function exportSvg(svgEl, base, footer) {
+    const { markup } = standaloneSvg(svgEl, footer);
+    download(new Blob([markup], { type: "image/svg+xml;charset=utf-8" }), `${base}.svg`);
+  }
+
+  function exportPng(svgEl, base, footer) {
+    const { markup, width, height } = standaloneSvg(svgEl, footer);
+    const img = new Image();
+    img.onload = () => {
+      const canvas = document.createElement("canvas");
+      canvas.width = width * PNG_SCALE;
+      canvas.height = height * PNG_SCALE;
+      const ctx = canvas.getContext("2d");
+      ctx.scale(PNG_SCALE, PNG_SCALE);
+      ctx.drawImage(img, 0, 0, width, height);
+      canvas.toBlob((blob) => download(blob, `${base}@${PNG_SCALE}x.png`), "image/png");
+    };
+    img.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(markup)}`;
+  }
+
+  // CSV footer lines start with "#" (read.csv(comment.char = "#"), pandas comment="#")
+  function exportCsv(rows, base, footer) {
+    const body = rows.length ? d3.csvFormat(rows) : "";
+    download(new Blob([`${body}\n# ${footer}\n`], { type: "text/csv;charset=utf-8" }), `${base}.csv`);
+  }
+
+  function exportJson(rows, base, footer) {
+    const payload = { provenance: footer, rows };
+    download(new Blob([JSON.stringify(payload, null, 2)], { type: "application/json" }), `${base}.json`);
+  }
+
+  // Flat, CSV-friendly copy of corpus records (original column names, every score column)
+  function textRows(records) {
+    return records.map((r) => {
+      const out = {
+        version_uri: r.uri,
+        title_lat: r.title,
+        author_lat: r.author,
+        genre: r.genre,
+        date: r.date,
+        century: r.century,
+      };
+      for (const s of LoveCorpus.SCORES) out[s.column] = r.scores[s.column];
+      return out;
+    });
+  }
+
+  // Add an export menu before `target` (a chart container or a table wrapper).
+  // opts.name: file stem · opts.rows(): data rows of the current view · opts.score(): score column
+  // opts.chart (default true): offer SVG / PNG of the <svg> inside `target`
+  function attach(target, opts) {
+    const el = typeof target === "string" ? document.querySelector(target) : target;
+    if (!el || el.previousElementSibling?.classList.contains("export-menu")) return;
+    const chart = opts.chart !== false;
+
+    const menu = document.createElement("details");
+    menu.className = "export-menu";
+    menu.innerHTML = `
+      <summary data-i18n="export.menu">Export</summary>
+      <div class="export-items">
+        ${chart ? `<button type="button" class="btn-flat" data-fmt="svg">SVG</button>
+        <button type="button" class="btn-flat" data-fmt="png">PNG (${PNG_SCALE}×)</button>` : ""}
+        <button type="button" class="btn-flat" data-fmt="csv">${opts.rowsLabel || "data"} CSV</button>
+        <button type="button" class="btn-flat" data-fmt="json">${opts.rowsLabel || "data"} JSON</button>
+      </div>
+    `;
+    el.parentNode.insertBefore(menu, el);
+    if (window.LoveI18n) LoveI18n.apply(menu);
+
+    menu.addEventListener("click", (e) => {
+      const fmt = e.target.dataset && e.target.dataset.fmt;
+      if (!fmt) return;
+      const score = opts.score ? opts.score() : null;
+      const footer = provenance(score);
+      const base = ["love", opts.name, score].filter(Boolean).join("-");
+      const svgEl = el.querySelector("svg");
+
+      if (fmt === "svg" && svgEl) exportSvg(svgEl, base, footer);
+      if (fmt === "png" && svgEl) exportPng(svgEl, base, footer);
+      if (fmt === "csv") exportCsv(opts.rows(), base, footer);
+      if (fmt === "json") exportJson(opts.rows(), base, footer);
+      menu.open = false;
+    });
+  }
+
+  window.LoveExport = { attach, provenance, standaloneSvg, textRows };
+})();
@@ -0,0 +1,566 @@
+// Interface language (EN / AR), numerals and calendar (AH / CE). Chart strings go through t(); static page
+// text carries data-i18n keys, with the English markup itself as the fallback.
+// Another language (e.g. FR) = one LANGS entry plus a dictionary; missing keys fall back to English.
+(() => {
+  const LANGS = [
+    { code: "en", label: "English", dir: "ltr" },
+    { code: "ar", label: "العربية", dir: "rtl" },
+  ];
+
+  const STORE_LANG = "love-lang";
+  const STORE_NUM = "love-numerals";
+  const STORE_CAL = "love-calendar";
+  const CALENDARS = ["ah", "ce"];
+
+  // Arabic labels follow the genre table on data.html
+  const GENRE_NAMES = {
+    en: { BIO: "BIO", DEV: "DEV", PHI: "PHI", POE: "POE", RHE: "RHE", THE: "THE" },
+    ar: { BIO: "تراجم", DEV: "تعبدي / صوفي", PHI: "فلسفي", POE: "شعري", RHE: "أدبي", THE: "كلامي" },
+  };
+
+  const DICT = {
+    en: {
+      "ui.language": "Language",
+      "ui.numerals": "Arabic-Indic numerals",
+      "ui.calendar": "Calendar",
+      "ui.release": "Dataset",
+      "ui.not-bundled": "not bundled",
+      "cal.ah": "AH",
+      "cal.ce": "CE",
+      "cal.year-ah": "{y} AH",
+      "cal.year-ce": "{y} CE",
+      "cal.century-ah": "century {c} AH",
+      "cal.century-ce": "{c} c. AH ≈ {a}–{b} CE",
+      "axis.century": "Century (AH)",
+      "axis.century-ce": "Century (CE year in which it begins)",
+      "axis.texts-log": "Texts (log scale)",
+      "axis.mean": "mean {label}",
+      "chart.genres": "Genres",
+      "chart.n-texts": "{n} texts",
+      "chart.all-genres": "All genres",
+      "chart.pooled": "pooled",
+      "chart.undated": "undated",
+      "chart.raw-pooled": "raw pooled mean",
+      "chart.standardized": "genre-standardized",
+      "chart.current-weights": "current weights",
+      "chart.median-draws": "median of draws",
+      "chart.default-weights": "default weights",
+      "chart.best-break": "best break: c. {c}",
+      "chart.best-break-ci": "best break: c. {c} (95% CI {lo}–{hi})",
+      "tip.texts": "texts: {n}",
+      "tip.share": "{n} texts · {pct}%",
+      "tip.mean": "mean {col}: {v}",
+      "tip.ci": " (95% CI {lo}–{hi})",
+      "tip.thin": "below n ≥ {m}, read with caution",
+      "tip.standardized": "Genre-standardized",
+      "tip.genres-present": "{k} of {n} genres present",
+      "tip.mean-visible": "mean (visible genres): {v}",
+      "tip.died": "d. {y}",
+      "tip.undated": "undated (placed within {c})",
+      "tip.no-title": "(title unavailable)",
+      "tip.no-author": "(author unavailable)",
+      "gt.all": "All centuries",
+      "gt.kruskal": "Kruskal–Wallis",
+      "gt.anova": "One-way ANOVA",
+      "gt.delta": "Cliff's δ",
+      "gt.d": "Cohen's d",
+      "gt.sep": ", ",
+      "gt.vs": "{a} vs {b}",
+      "gt.k-of-n": "{k} of {n}",
+      "gt.holm-p": "Holm p",
+      "gt.size-negligible": "negligible",
+      "gt.size-small": "small",
+      "gt.size-medium": "medium",
+      "gt.size-large": "large",
+      "gt.summary": "{test} on {col}, centuries {w}, {g} genres, {n} texts: {stat} (df {df}), p {p}, {effect}: {verdict}",
+      "gt.differ": "the genres do not share one baseline ({size} effect); {k} of {n} pairs differ after Holm correction.",
+      "gt.same": "no evidence that the genres' baselines differ in this window.",
+      "gt.too-few": "Centuries {w}: fewer than two genres with {m} texts or more, nothing to test.",
+      "gt.no-variance": "Centuries {w}: the scores do not vary within the genres, nothing to test.",
+      "gt.dropped": " Left out (fewer than {m} texts): {genres}.",
+      "gt.matrix-title": "{effect}, row vs column · centuries {w}",
+      "spot.none-above": "no register above the corpus average",
+      "spot.none-below": "no register below the corpus average",
+      "spot.empty": "No text in this selection.",
+      "models.loading": "Loading the text-level data…",
+      "models.no-csv": "Could not load CSV at {path}.",
+      "models.all-genres": "all genres",
+      "models.no-genre": "no genre",
+      "models.scope": "Fitted on {n} texts ({scope}) · response: {col} · predictor: century (AH){se}.",
+      "models.clustered": " · standard errors clustered by author ({k} authors)",
+      "models.too-few": "Not enough texts in this selection to fit the models.",
+      "q.flat": "The quadratic term is not significant (p ≥ 0.05): no clear evidence of curvature in this selection.",
+      "q.turn": " (turning point near {c})",
+      "q.rebound": "The positive quadratic term indicates curvature: after a long decline, the trend bends upward in later centuries{turn}.",
+      "q.convex": "The positive quadratic term indicates a convex trend that steepens in later centuries{turn}.",
+      "q.concave": "The negative quadratic term indicates a concave trend that flattens or turns down in later centuries{turn}.",
+      "s.none": "No significant break at {c} in this selection.",
+      "s.slopes": "the slope goes from {before} per century before the break to {after} after it",
+      "s.rebound": "The model detects a break at {c}: {slopes}, consistent with a late rebound.",
+      "s.change":
+        "The model detects a break at {c}: {slopes}. The period after the break does not form a clean recovery slope, which suggests a change in dynamics rather than a simple monotonic return.",
+      "bp.too-few": "Not enough texts in this selection to scan breakpoints.",
+      "bp.head": "Best break: {c} (AIC {aic}, {d} below a single linear trend).",
+      "bp.booting": "{head} Bootstrapping the break location…",
+      "bp.boot": "{head} Bootstrap ({b} resamples): 95% interval for the break at centuries {lo}–{hi}; {c} is selected in {share}% of resamples. {stability}",
+      "bp.stable": "The location is stable across resamples.",
+      "bp.unstable": "The location is poorly identified across resamples, so the timing of any late change should be read with caution.",
+      "list.texts-match": "{k} of {n} texts match.",
+      "list.authors-match": "{k} of {n} authors match.",
+      "list.page": "{a}–{b} · page {p} of {n}",
+      "list.no-text": "No text matches these filters.",
+      "list.no-author": "No author matches these filters.",
+      "author.work": "{n} work",
+      "author.works": "{n} works",
+      "author.summary": "{works} in the corpus ({share} of {c}). Love Index: mean {mean}{spread} · {c} mean {cmean}.",
+      "author.spread": ", SD {sd}, range {lo}–{hi}",
+      "cmp.all-pooled": "All genres pooled",
+      "cmp.none": "none",
+      "cmp.one-release": "Only one release ({label}) is bundled with the site. Add another to {path} to compare releases.",
+      "cmp.loading": "Loading both releases…",
+      "cmp.no-csv": "Could not load {a} or {b}. Check file path + server.",
+      "tp.title": "Text profile",
+      "tp.close": "Close text profile",
+      "tp.all-works": "all works",
+      "tp.registers": "Registers",
+      "tp.chart": "Bar chart: the nine BoC register scores",
+      "tp.this-text": "this text",
+      "tp.genre-mean": "{genre} mean",
+      "tp.variants": "Score variants",
+      "tp.diagnostics": "Diagnostics",
+      "tp.identifier": "Identifier",
+      "tp.permalink": "Permalink to this profile",
+      "tp.cues": "Cues in context",
+      "ss.step": "{from} → {to}",
+      "ss.summary":
+        "Summed over {from} to {to}, within-genre change contributes {within} and shifts in genre composition {between} to the change in the pooled mean of {col}.",
+    },
+    ar: {
+      "ui.language": "اللغة",
+      "ui.numerals": "أرقام هندية",
+      "ui.calendar": "التقويم",
+      "ui.release": "الإصدار",
+      "ui.not-bundled": "غير متاح",
+      "cal.ah": "هجري",
+      "cal.ce": "ميلادي",
+      "cal.year-ah": "{y} هـ",
+      "cal.year-ce": "{y} م",
+      "cal.century-ah": "القرن {c} هـ",
+      "cal.century-ce": "القرن {c} هـ ≈ {a}–{b} م",
+      "axis.century": "القرن (هـ)",
+      "axis.century-ce": "القرن (السنة الميلادية التي يبدأ فيها)",
+      "axis.texts-log": "عدد النصوص (مقياس لوغاريتمي)",
+      "axis.mean": "متوسط {label}",
+      "chart.genres": "الأجناس",
+      "chart.n-texts": "النصوص: {n}",
+      "chart.all-genres": "كل الأجناس",
+      "chart.pooled": "الكل",
+      "chart.undated": "غير مؤرَّخ",
+      "chart.raw-pooled": "المتوسط العام الخام",
+      "chart.standardized": "معيَّر حسب الجنس",
+      "chart.current-weights": "الأوزان الحالية",
+      "chart.median-draws": "وسيط السحبات",
+      "chart.default-weights": "الأوزان الافتراضية",
+      "chart.best-break": "أفضل نقطة انقطاع: القرن {c}",
+      "chart.best-break-ci": "أفضل نقطة انقطاع: القرن {c} (فترة ثقة 95٪: {lo}–{hi})",
+      "tip.texts": "النصوص: {n}",
+      "tip.share": "النصوص: {n} · {pct}٪",
+      "tip.mean": "متوسط {col}: {v}",
+      "tip.ci": " (فترة ثقة 95٪: {lo}–{hi})",
+      "tip.thin": "أقل من n ≥ {m}، يُقرأ بحذر",
+      "tip.standardized": "معيَّر حسب الجنس",
+      "tip.genres-present": "{k} من {n} أجناس ممثَّلة",
+      "tip.mean-visible": "المتوسط (الأجناس الظاهرة): {v}",
+      "tip.died": "ت. {y}",
+      "tip.undated": "غير مؤرَّخ (موضوع داخل {c})",
+      "tip.no-title": "(العنوان غير متوفر)",
+      "tip.no-author": "(المؤلف غير متوفر)",
+      "gt.all": "كل القرون",
+      "gt.kruskal": "اختبار كروسكال–واليس",
+      "gt.anova": "تحليل التباين الأحادي",
+      "gt.delta": "دلتا كليف",
+      "gt.d": "d كوهين",
+      "gt.sep": "، ",
+      "gt.vs": "{a} مقابل {b}",
+      "gt.k-of-n": "{k} من {n}",
+      "gt.holm-p": "p بعد تصحيح هولم",
+      "gt.size-negligible": "مهمل",
+      "gt.size-small": "صغير",
+      "gt.size-medium": "متوسط",
+      "gt.size-large": "كبير",
+      "gt.summary": "{test} على {col}، القرون {w}، الأجناس: {g}، النصوص: {n}: {stat} (درجات الحرية {df})، p {p}، {effect}: {verdict}",
+      "gt.differ": "لا تشترك الأجناس في خط أساس واحد (أثر {size})؛ {k} من {n} أزواج تختلف بعد تصحيح هولم.",
+      "gt.same": "لا دليل على اختلاف خطوط أساس الأجناس في هذه الفترة.",
+      "gt.too-few": "القرون {w}: أقل من جنسين فيهما {m} نصوص أو أكثر، فلا اختبار.",
+      "gt.no-variance": "القرون {w}: لا تتباين الدرجات داخل الأجناس، فلا اختبار.",
+      "gt.dropped": " مستبعد (أقل من {m} نصوص): {genres}.",
+      "gt.matrix-title": "{effect}، الصف مقابل العمود · القرون {w}",
+      "spot.none-above": "لا سجل فوق متوسط المدوّنة",
+      "spot.none-below": "لا سجل دون متوسط المدوّنة",
+      "spot.empty": "لا نص في هذا الاختيار.",
+      "models.loading": "جارٍ تحميل بيانات النصوص…",
+      "models.no-csv": "تعذّر تحميل ملف CSV في {path}.",
+      "models.all-genres": "كل الأجناس",
+      "models.no-genre": "لا جنس",
+      "models.scope": "النصوص المستعملة في التقدير: {n} ({scope}) · المتغير التابع: {col} · المتنبئ: القرن (هـ){se}.",
+      "models.clustered": " · أخطاء معيارية عنقودية حسب المؤلف (المؤلفون: {k})",
+      "models.too-few": "لا تكفي النصوص في هذا الاختيار لتقدير النماذج.",
+      "q.flat": "الحد التربيعي غير دال (p ≥ 0.05): لا دليل واضح على انحناء في هذا الاختيار.",
+      "q.turn": " (نقطة انعطاف قرب {c})",
+      "q.rebound": "يدل الحد التربيعي الموجب على انحناء: بعد تراجع طويل ينعطف الاتجاه صعودًا في القرون المتأخرة{turn}.",
+      "q.convex": "يدل الحد التربيعي الموجب على اتجاه محدَّب يشتد في القرون المتأخرة{turn}.",
+      "q.concave": "يدل الحد التربيعي السالب على اتجاه مقعَّر يستوي أو ينحدر في القرون المتأخرة{turn}.",
+      "s.none": "لا انقطاع دالًّا عند {c} في هذا الاختيار.",
+      "s.slopes": "ينتقل الميل من {before} لكل قرن قبل الانقطاع إلى {after} بعده",
+      "s.rebound": "يرصد النموذج انقطاعًا عند {c}: {slopes}، بما يتسق مع انتعاش متأخر.",
+      "s.change":
+        "يرصد النموذج انقطاعًا عند {c}: {slopes}. لا تشكّل المرحلة التالية للانقطاع منحدر تعافٍ واضحًا، ما يشير إلى تغيّر في الديناميات لا إلى عودة رتيبة بسيطة.",
+      "bp.too-few": "لا تكفي النصوص في هذا الاختيار للبحث عن نقاط الانقطاع.",
+      "bp.head": "أفضل نقطة انقطاع: {c} (AIC {aic}، أدنى بـ {d} من اتجاه خطي واحد).",
+      "bp.booting": "{head} جارٍ تقدير موضع الانقطاع بالبوتستراب…",
+      "bp.boot": "{head} البوتستراب (إعادات المعاينة: {b}): فترة 95٪ لموضع الانقطاع بين القرنين {lo} و{hi}؛ اختير {c} في {share}٪ من إعادات المعاينة. {stability}",
+      "bp.stable": "الموضع مستقر عبر إعادات المعاينة.",
+      "bp.unstable": "الموضع غير محدَّد جيدًا عبر إعادات المعاينة، لذا ينبغي قراءة توقيت أي تغيّر متأخر بحذر.",
+      "list.texts-match": "النصوص المطابقة: {k} من {n}.",
+      "list.authors-match": "المؤلفون المطابقون: {k} من {n}.",
+      "list.page": "{a}–{b} · الصفحة {p} من {n}",
+      "list.no-text": "لا نص يطابق هذه المرشِّحات.",
+      "list.no-author": "لا مؤلف يطابق هذه المرشِّحات.",
+      "author.work": "عمل واحد",
+      "author.works": "الأعمال: {n}",
+      "author.summary": "{works} في المدوّنة ({share} من {c}). مؤشر الحب: المتوسط {mean}{spread} · متوسط {c}: {cmean}.",
+      "author.spread": "، الانحراف المعياري {sd}، المدى {lo}–{hi}",
+      "cmp.all-pooled": "كل الأجناس مجتمعة",
+      "cmp.none": "لا شيء",
+      "cmp.one-release": "لا يتيح الموقع إلا إصدارًا واحدًا ({label}). أضف إصدارًا آخر إلى {path} لمقارنة الإصدارات.",
+      "cmp.loading": "جارٍ تحميل الإصدارين…",
+      "cmp.no-csv": "تعذّر تحميل {a} أو {b}. تحقّق من المسار والخادم.",
+      "tp.title": "ملف النص",
+      "tp.close": "إغلاق ملف النص",
+      "tp.all-works": "كل الأعمال",
+      "tp.registers": "السجلّات",
+      "tp.chart": "مخطط أعمدة: درجات سجلّات BoC التسعة",
+      "tp.this-text": "هذا النص",
+      "tp.genre-mean": "متوسط {genre}",
+      "tp.variants": "صيغ المقياس",
+      "tp.diagnostics": "مؤشرات تشخيصية",
+      "tp.identifier": "المعرِّف",
+      "tp.permalink": "رابط دائم لهذا الملف",
+      "tp.cues": "الإشارات في سياقها",
+      "ss.step": "{from} ← {to}",
+      "ss.summary":
+        "بالجمع من {from} إلى {to}: يسهم التغير داخل الأجناس بـ {within} وتحوّل تركيب الأجناس بـ {between} في تغير المتوسط المجمَّع لـ {col}.",
+
+      "score.BoC_final_0_2": "مؤشر الحب (النهائي، 0–2)",
+      "score.BoC_pctl_0_1": "الرتبة المئينية (0–1)",
+      "score.BoC_minmax_0_1": "تطبيع أدنى–أقصى (0–1)",
+      "score.BoC_minmax_0_2": "تطبيع أدنى–أقصى (0–2)",
+      "score.BoC_density_k": "الكثافة لكل 1000 كلمة",
+      "score.BoC_raw": "الشواهد الخام",
+      "score.BoC_penalty": "عقوبة اللغة التقنية",
+      "score.BoC_strong_hits": "إصابات المرساة القوية",
+      "score.dl_tokens": "عدد الكلمات",
+
+      "nav.home": "الرئيسية",
+      "nav.about": "عن المشروع",
+      "nav.data": "البيانات",
+      "nav.corpus": "المدوّنة",
+      "nav.authors": "المؤلفون",
+      "nav.methods": "المنهج",
+      "nav.results": "النتائج",
+      "nav.team": "الفريق",
+      "nav.contact": "اتصل بنا",
+      "export.menu": "تصدير",
+
+      "data.overview": "نظرة عامة على المدوّنة",
+      "data.fig-lines": "الشكل 1 — حجم المدوّنة حسب القرن والجنس (مقياس لوغاريتمي)",
+      "data.fig-pie": "الشكل 2 — نِسَب الأجناس في المدوّنة",
+      "data.table": "جدول — تسميات الأجناس وأعدادها",
+      "data.th-code": "الرمز",
+      "data.th-en": "التسمية (بالإنجليزية)",
+      "data.th-ar": "التسمية (بالعربية)",
+      "data.th-texts": "النصوص",
+
+      "results.score": "المقياس المعروض في كل الرسوم أدناه",
+      "results.min-n": "أدنى عدد من النصوص لكل نقطة قرن",
+      "results.global": "المنحنى الطويل الأمد (كل الأجناس مجتمعة)",
+      "results.genre": "حسب الجنس: مسارات مختلفة وخطوط أساس مختلفة",
+      "results.shift-share": "التغيّر داخل الجنس مقابل تركيب الأجناس",
+      "results.th-centuries": "القرون",
+      "results.th-delta": "Δ المتوسط العام",
+      "results.th-within": "داخل الجنس",
+      "results.th-between": "بين الأجناس",
+      "results.registers": "كيف يُقال الحب: السجلّات التسعة عبر الزمن",
+      "results.stats": "مؤشرات إحصائية (اختبارات مختارة)",
+      "results.th-break": "نقطة الانقطاع",
+      "results.th-boot": "نسبة البوتستراب",
+      "results.scatter": "استكشف المدوّنة: كل نص على الخط الزمني",
+      "results.reset-zoom": "إلغاء التكبير",
+      "results.sp-n": "عدد النصوص في كل قائمة",
+      "results.sp-genre": "الجنس",
+      "results.gt-title": "الفروق بين الأجناس (هل خطوط الأساس مختلفة؟)",
+      "results.gt-test": "الاختبار",
+      "results.gt-window": "القرون (هـ)",
+      "results.th-texts": "النصوص",
+      "results.th-genres": "الأجناس",
+      "results.th-statistic": "الإحصاءة",
+      "results.th-effect": "حجم الأثر",
+      "results.th-pairs": "الأزواج المختلفة",
+      "results.cluster": "أخطاء معيارية عنقودية حسب المؤلف (أعمال المؤلف الواحد ليست مستقلة)",
+      "results.quadratic": "الانحدار التربيعي (اتجاه غير خطي)",
+      "results.segmented": "الانحدار المجزَّأ (انقطاع عند القرن 12 هـ)",
+      "results.breakpoints": "البحث عن نقطة الانقطاع (القرون 3–14)",
+    },
+  };
+
+  const ARABIC_INDIC = ["٠", "١", "٢", "٣", "٤", "٥", "٦", "٧", "٨", "٩"];
+
+  const hashParams = () => new URLSearchParams(location.hash.replace(/^#/, ""));
+  const stored = (key) => {
+    try {
+      return localStorage.getItem(key);
+    } catch (e) {
+      return null;
+    }
+  };
+  const store = (key, value) => {
+    try {
+      localStorage.setItem(key, value);
+    } catch (e) {
+      // private mode: the choice lasts for this page only
+    }
+  };
+
+  // A shared link (#lang=ar&num=1) wins over the reader's saved choice
+  const findLang = (code) => LANGS.find((l) => l.code === code);
+  let current = findLang(hashParams().get("lang")) || findLang(stored(STORE_LANG)) || LANGS[0];
+  const hashNum = hashParams().get("num");
+  let arabicNumerals = hashNum != null ? hashNum === "1" : stored(STORE_NUM) === "1";
+  let cal = [hashParams().get("cal"), stored(STORE_CAL)].find((c) => CALENDARS.includes(c)) || CALENDARS[0];
+  const listeners = [];
+
+  function lang() {
+    return current.code;
+  }
+
+  function isRtl() {
+    return current.dir === "rtl";
+  }
+
+  // Digits written into dictionary strings follow the numeral setting too
+  function digits(s) {
+    return arabicNumerals ? s.replace(/[0-9]/g, (d) => ARABIC_INDIC[d]) : s;
+  }
+
+  function t(key, vars = {}) {
+    const s = digits(DICT[current.code][key] ?? DICT.en[key] ?? key);
+    return s.replace(/\{(\w+)\}/g, (m, k) => (vars[k] == null ? m : String(vars[k])));
+  }
+
+  function genreName(code) {
+    return (GENRE_NAMES[current.code] || GENRE_NAMES.en)[code] || code;
+  }
+
+  // Score variants keep their corpus.js label unless the language has its own
+  function scoreLabel(variant) {
+    return digits(DICT[current.code][`score.${variant.column}`] || variant.label);
+  }
+
+  // Numbers in the current numeral system (d3 format spec, default integer)
+  function num(v, spec = "d") {
+    return window.d3 ? d3.format(spec)(v) : String(v);
+  }
+
+  // ---- Calendar. Dates stay AH in the data; CE is a display conversion (LoveCorpus.hijriToCE).
+
+  function calendar() {
+    return cal;
+  }
+
+  function ordinal(n) {
+    const suffix = n % 100 >= 11 && n % 100 <= 13 ? "th" : ["th", "st", "nd", "rd"][n % 10] || "th";
+    return `${num(n)}${suffix}`;
+  }
+
+  function yearText(yearAH) {
+    return cal === "ce"
+      ? t("cal.year-ce", { y: num(LoveCorpus.hijriToCE(yearAH)) })
+      : t("cal.year-ah", { y: num(yearAH) });
+  }
+
+  // "century 4 AH" or "4th c. AH ≈ 913–1009 CE"
+  function centuryText(c) {
+    if (cal !== "ce") return t("cal.century-ah", { c: num(c) });
+    const [a, b] = LoveCorpus.centuryToCE(c);
+    return t("cal.century-ce", { c: current.code === "en" ? ordinal(c) : num(c), a: num(a), b: num(b) });
+  }
+
+  // Century axes keep one tick per AH century; in CE each is labelled with the year it begins
+  function centuryTick(c) {
+    return cal === "ce" ? num(LoveCorpus.centuryToCE(c)[0]) : num(c);
+  }
+
+  // Century pickers: the bare number in AH, the full CE span otherwise
+  function centuryOption(c) {
+    return cal === "ce" ? centuryText(c) : num(c);
+  }
+
+  function centuryAxisTitle() {
+    return t(cal === "ce" ? "axis.century-ce" : "axis.century");
+  }
+
+  // Year axes are linear in AH. CE ticks are placed with the mean Hijri year
+  // (1 AH began in July 622; a lunar year is 0.970224 solar years).
+  const ceOf = (yearAH) => 622.54 + (yearAH - 1) * 0.970224;
+  const ahOf = (yearCE) => (yearCE - 622.54) / 0.970224 + 1;
+
+  // Nice tick positions (in AH) for a year axis over `domain` (AH), in the current calendar
+  function yearTicks(domain, count) {
+    if (cal !== "ce") return d3.ticks(domain[0], domain[1], count);
+    return d3.ticks(ceOf(domain[0]), ceOf(domain[1]), count).map(ahOf);
+  }
+
+  function yearTick(yearAH) {
+    return num(cal === "ce" ? Math.round(ceOf(yearAH)) : yearAH);
+  }
+
+  function applyNumerals() {
+    if (!window.d3) return;
+    d3.formatDefaultLocale(arabicNumerals
+      ? { decimal: "٫", thousands: "٬", grouping: [3], currency: ["", ""], numerals: ARABIC_INDIC, percent: "٪", minus: "−" }
+      : { decimal: ".", thousands: ",", grouping: [3], currency: ["$", ""], minus: "−" });
+  }
+
+  // Swap every [data-i18n] element under `root` to the current language (English = original markup)
+  function apply(root = document) {
+    root.querySelectorAll("[data-i18n]").forEach((el) => {
+      if (el.dataset.i18nEn == null) el.dataset.i18nEn = el.innerHTML;
+      const s = DICT[current.code][el.dataset.i18n];
+      if (current.code === "en" || s == null) el.innerHTML = el.dataset.i18nEn;
+      else el.textContent = digits(s);
+    });
+  }
+
+  function applyDocument() {
+    document.documentElement.lang = current.code;
+    document.documentElement.dir = current.dir;
+    apply();
+    const sw = document.querySelector(".lang-switch");
+    if (sw) {
+      sw.querySelector(".lang-select").setAttribute("aria-label", t("ui.language"));
+      sw.querySelector(".lang-num-label").textContent = t("ui.numerals");
+      const calSel = sw.querySelector(".cal-select");
+      if (calSel) {
+        calSel.setAttribute("aria-label", t("ui.calendar"));
+        Array.from(calSel.options).forEach((o) => (o.text = t(`cal.${o.value}`)));
+      }
+    }
+  }
+
+  function changed() {
+    if (window.LoveUrlState) {
+      LoveUrlState.set({
+        lang: current.code === LANGS[0].code ? null : current.code,
+        num: arabicNumerals ? 1 : null,
+        cal: cal === CALENDARS[0] ? null : cal,
+      });
+    }
+    applyNumerals();
+    applyDocument();
+    listeners.forEach((fn) => fn());
+  }
+
+  function setLang(code) {
+    const next = findLang(code);
+    if (!next || next === current) return;
+    current = next;
+    store(STORE_LANG, current.code);
+    changed();
+  }
+
+  function setNumerals(on) {
+    if (arabicNumerals === !!on) return;
+    arabicNumerals = !!on;
+    store(STORE_NUM, arabicNumerals ? "1" : "0");
+    changed();
+  }
+
+  function setCalendar(next) {
+    if (!CALENDARS.includes(next) || next === cal) return;
+    cal = next;
+    store(STORE_CAL, cal);
+    changed();
+  }
+
+  // Pages redraw their charts here
+  function onChange(fn) {
+    listeners.push(fn);
+  }
+
+  function mountSwitch() {
+    const hdr = document.querySelector(".site-hdr .hdr__in");
+    if (!hdr || hdr.querySelector(".lang-switch")) return;
+    const sw = document.createElement("div");
+    sw.className = "lang-switch";
+    // The calendar only matters on pages that show dates (they all load corpus.js)
+    sw.innerHTML = `
+      <select class="lang-select">${LANGS.map((l) => `<option value="${l.code}" lang="${l.code}">${l.label}</option>`).join("")}</select>
+      ${window.LoveCorpus ? `<select class="cal-select">${CALENDARS.map((c) => `<option value="${c}"></option>`).join("")}</select>` : ""}
+      <label><input type="checkbox" /> <span class="lang-num-label"></span></label>
+    `;
+    hdr.appendChild(sw);
+    const sel = sw.querySelector(".lang-select");
+    const calSel = sw.querySelector(".cal-select");
+    const box = sw.querySelector("input");
+    sel.value = current.code;
+    box.checked = arabicNumerals;
+    sel.addEventListener("change", () => setLang(sel.value));
+    box.addEventListener("change", () => setNumerals(box.checked));
+    if (calSel) {
+      calSel.value = cal;
+      calSel.addEventListener("change", () => setCalendar(calSel.value));
+    }
+  }
+
+  // ---- Chart mirroring: in RTL, time runs right-to-left and the value axis sits on the right
+  const chart = {
+    range: (w) => (isRtl() ? [w, 0] : [0, w]),
+    margin: (m) => (isRtl() ? { ...m, left: m.right, right: m.left } : m),
+    yAxis: (scale) => (isRtl() ? d3.axisRight(scale) : d3.axisLeft(scale)),
+    // x of the reading-start / reading-end edge of a plot `w` wide, and the matching text-anchor
+    start: (w) => (isRtl() ? w : 0),
+    end: (w) => (isRtl() ? 0 : w),
+    anchor: (side) => (isRtl() === (side === "start") ? "end" : "start"),
+    // offset `dx` in reading direction; x of a `w`-wide box that starts at the current point
+    side: (dx) => (isRtl() ? -dx : dx),
+    box: (w) => (isRtl() ? -w : 0),
+  };
+
+  applyNumerals();
+  mountSwitch();
+  applyDocument();
+
+  window.LoveI18n = {
+    LANGS,
+    lang,
+    isRtl,
+    t,
+    genreName,
+    scoreLabel,
+    num,
+    calendar,
+    yearText,
+    centuryText,
+    centuryTick,
+    centuryOption,
+    centuryAxisTitle,
+    yearTicks,
+    yearTick,
+    apply,
+    setLang,
+    setNumerals,
+    setCalendar,
+    onChange,
+    chart,
+  };
+})();
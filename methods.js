@@ -1,4 +1,5 @@
 document.addEventListener("DOMContentLoaded", () => {
+  const C = LoveI18n.chart;
   const details = Array.from(document.querySelectorAll(".acc details"));
   details.forEach((d) => {
     d.addEventListener("toggle", () => {
@@ -33,14 +34,37 @@ document.addEventListener("DOMContentLoaded", () => {
     ["ethic", "moral/virtue framing"],
   ];
 
+  const BREAK_C = 12; // same break as the segmented model on the Results page
+
   const grid = document.getElementById("weightsGrid");
   const eqStr = document.getElementById("eqStr");
   const resetBtn = document.getElementById("resetWeights");
+  const trendEl = document.getElementById("wTrend");
+  const rhoEl = document.getElementById("wRho");
+  const topEl = document.getElementById("wTop");
+  const botEl = document.getElementById("wBottom");
+  const strategyEl = document.getElementById("aggStrategy");
+  const aggNoteEl = document.getElementById("aggNote");
 
   if (!grid || !eqStr) return;
 
   let weights = { ...DEFAULT_WEIGHTS };
 
+  // Edited weights live in the URL hash as #w=desire:1.1,ethic:0 (defaults are left out)
+  for (const item of LoveUrlState.getList("w")) {
+    const [k, v] = item.split(":");
+    const n = parseFloat(v);
+    if (k in DEFAULT_WEIGHTS && Number.isFinite(n)) weights[k] = Math.min(1.25, Math.max(0, n));
+  }
+
+  let strategy = "arith";
+
+  function saveWeights() {
+    LoveUrlState.set({
+      w: ORDER.filter(([k]) => weights[k] !== DEFAULT_WEIGHTS[k]).map(([k]) => `${k}:${fmt(weights[k])}`),
+    });
+  }
+
   function fmt(n) {
     return (Math.round(n * 100) / 100).toFixed(2);
   }
@@ -51,8 +75,22 @@ document.addEventListener("DOMContentLoaded", () => {
 
   function renderFormula() {
     const S = sumWeights();
-    const terms = ORDER.map(([k]) => `${fmt(weights[k])}·${k}`).join(" + ");
-    eqStr.textContent = `LoveIndex = (${terms}) / ${fmt(S)}`;
+    const used = ORDER.filter(([k]) => weights[k] > 0).map(([k]) => k);
+    const d = (k) => `d(${k})`;
+    const weighted = (term) => ORDER.map(([k]) => `${fmt(weights[k])}·${term(k)}`).join(" + ");
+    const formulas = {
+      arith: () => `LoveIndex = (${weighted(d)}) / ${fmt(S)}`,
+      geo: () => `LoveIndex = exp((${weighted((k) => `ln(${d(k)} + ${GEO_EPS})`)}) / ${fmt(S)}) − ${GEO_EPS}`,
+      max: () => `LoveIndex = max(${used.map(d).join(", ")})`,
+      topk: () => `LoveIndex = mean of the ${TOP_K} highest of (${used.map(d).join(", ")})`,
+      pca: () =>
+        pca
+          ? `LoveIndex = ${ORDER.map(([k], j) => `${pca.loadings[j].toFixed(2)}·z(${d(k)})`).join(" + ")}`
+          : "LoveIndex = first principal component of z(d(anchor)) … z(d(ethic))",
+      zgenre: () => `LoveIndex = (${weighted((k) => `z_genre(${d(k)})`)}) / ${fmt(S)}`,
+    };
+    eqStr.textContent = `${formulas[strategy]()}, with d(register) = 1000 · register / tokens`;
+    if (aggNoteEl) aggNoteEl.textContent = STRATEGY_NOTES[strategy]();
   }
 
   function renderUI() {
@@ -87,6 +125,11 @@ document.addEventListener("DOMContentLoaded", () => {
         weights[k] = parseFloat(input.value);
         val.textContent = fmt(weights[k]);
         renderFormula();
+        scheduleLive();
+      });
+      input.addEventListener("change", () => {
+        saveWeights();
+        renderCompare();
       });
 
       right.appendChild(input);
@@ -98,12 +141,967 @@ document.addEventListener("DOMContentLoaded", () => {
     });
 
     renderFormula();
+    scheduleLive();
+  }
+
+  // ---- Live recomputation over the corpus (weighted mean of the nine register densities)
+  let corpusRows = null;
+  let livePending = false;
+  let defaultRho = null; // Spearman ρ of the default weighted mean with the shipped index, the sanity check
+
+  // The BoC_* register columns grow with text length; like the shipped index (BoC_density_k),
+  // every aggregation works on them per 1,000 tokens
+  function registerDensity(r, k) {
+    const v = r.scores[`BoC_${k}`];
+    return v == null || !(r.tokens > 0) ? null : (1000 * v) / r.tokens;
+  }
+
+  function weightedIndex(r, w) {
+    let num = 0;
+    let den = 0;
+    for (const [k] of ORDER) {
+      const v = registerDensity(r, k);
+      if (v == null) continue;
+      num += w[k] * v;
+      den += w[k];
+    }
+    return den > 0 ? num / den : null;
+  }
+
+  function centuryTrend(rows, values) {
+    const byC = new Map();
+    rows.forEach((r, i) => {
+      if (values[i] == null) return;
+      if (!byC.has(r.century)) byC.set(r.century, []);
+      byC.get(r.century).push(values[i]);
+    });
+    return Array.from(byC, ([century, vals]) => ({ century, mean: d3.mean(vals), n: vals.length }))
+      .sort((a, b) => a.century - b.century);
+  }
+
+  // ---- Aggregation strategies: each turns the nine register columns into one score per text
+  const GEO_EPS = 0.01; // keeps zero register scores from collapsing the geometric mean
+  const TOP_K = 3;
+  const STRATEGIES = [
+    ["arith", "Weighted arithmetic mean"],
+    ["geo", "Weighted geometric mean"],
+    ["max", "Max register"],
+    ["topk", `Mean of the top ${TOP_K} registers`],
+    ["pca", "PCA first component"],
+    ["zgenre", "Per-genre z-scores, weighted mean"],
+  ];
+  // The comparison also carries the shipped index, which comes from the offline pipeline, not from these columns
+  const COMPARED = [...STRATEGIES, ["love", "Shipped Love Index (reference)"]];
+  const STRATEGY_LABEL = new Map(COMPARED);
+  const STRATEGY_NOTES = {
+    arith: () =>
+      "Normalized weighted mean of the nine register densities: the readable counterpart of the shipped Love Index, " +
+      "which ranks texts by their overall cue density (BoC_density_k).",
+    geo: () =>
+      `Weighted geometric mean (registers offset by ${GEO_EPS}): a text needs several registers at once to score high; ` +
+      "one strong register cannot carry it.",
+    max: () => "The text's strongest register among those with a non-zero weight; the weights themselves are not used.",
+    topk: () => `Mean of the text's ${TOP_K} strongest registers among those with a non-zero weight; the weights themselves are not used.`,
+    pca: () =>
+      "Projection on the first principal component of the standardized registers (the direction along which texts vary most); " +
+      (pca ? `it explains ${(100 * pca.share).toFixed(1)}% of the variance. ` : "") +
+      "The weights are not used.",
+    zgenre: () =>
+      "Each register is z-scored among texts of the same genre before the weighted mean, so a text is scored against its " +
+      "own genre's baseline rather than the whole corpus.",
+  };
+
+  let pca = null; // first principal component of the standardized registers (fixed for a release)
+  let genreStats = null; // genre → per-register { mean, sd }
+  const baselineByStrategy = new Map();
+
+  function registerScores(r) {
+    return ORDER.map(([k]) => registerDensity(r, k));
+  }
+
+  function rowValue(kind, r, w) {
+    const vals = registerScores(r);
+    if (kind === "geo") {
+      let num = 0;
+      let den = 0;
+      ORDER.forEach(([k], j) => {
+        if (vals[j] == null || !(w[k] > 0)) return;
+        num += w[k] * Math.log(vals[j] + GEO_EPS);
+        den += w[k];
+      });
+      return den > 0 ? Math.exp(num / den) - GEO_EPS : null;
+    }
+    const used = vals.filter((v, j) => v != null && w[ORDER[j][0]] > 0).sort((a, b) => b - a);
+    if (!used.length) return null;
+    if (kind === "max") return used[0];
+    return d3.mean(used.slice(0, TOP_K));
+  }
+
+  // Power iteration on the correlation matrix of the texts that have all nine registers.
+  function computePca(rows) {
+    const complete = rows.map(registerScores).map((v) => (v.every((x) => x != null) ? v : null));
+    const full = complete.filter(Boolean);
+    const K = ORDER.length;
+    const mu = d3.range(K).map((j) => d3.mean(full, (v) => v[j]));
+    const sd = d3.range(K).map((j) => d3.deviation(full, (v) => v[j]) || 1);
+    const Z = full.map((v) => v.map((x, j) => (x - mu[j]) / sd[j]));
+    const R = d3.range(K).map((a) => d3.range(K).map((b) => d3.sum(Z, (z) => z[a] * z[b]) / (Z.length - 1)));
+
+    let vec = new Array(K).fill(1 / Math.sqrt(K));
+    let lambda = 0;
+    for (let it = 0; it < 500; it++) {
+      const next = R.map((row) => row.reduce((s, v, b) => s + v * vec[b], 0));
+      const norm = Math.sqrt(d3.sum(next, (v) => v * v));
+      const done = d3.max(next, (v, j) => Math.abs(v / norm - vec[j])) < 1e-10;
+      vec = next.map((v) => v / norm);
+      lambda = norm;
+      if (done) break;
+    }
+    // Orient the component so that more love vocabulary means a higher score
+    if (d3.sum(vec) < 0) vec = vec.map((v) => -v);
+
+    const values = complete.map((v) => (v ? v.reduce((s, x, j) => s + vec[j] * ((x - mu[j]) / sd[j]), 0) : null));
+    return { loadings: vec, share: lambda / K, values };
+  }
+
+  function computeGenreStats(rows) {
+    return new Map(
+      d3.groups(rows, (r) => r.genre).map(([genre, rs]) => [
+        genre,
+        ORDER.map(([k]) => {
+          const vals = rs.map((r) => registerDensity(r, k)).filter((v) => v != null);
+          return { mean: d3.mean(vals), sd: d3.deviation(vals) };
+        }),
+      ])
+    );
+  }
+
+  function zGenreValue(r, w) {
+    const st = genreStats.get(r.genre);
+    let num = 0;
+    let den = 0;
+    ORDER.forEach(([k], j) => {
+      const v = registerDensity(r, k);
+      if (v == null || !(w[k] > 0) || !st[j].sd) return;
+      num += w[k] * ((v - st[j].mean) / st[j].sd);
+      den += w[k];
+    });
+    return den > 0 ? num / den : null;
+  }
+
+  function strategyValues(kind, w) {
+    if (kind === "love") return corpusRows.map((r) => r.love);
+    if (kind === "arith") return corpusRows.map((r) => weightedIndex(r, w));
+    if (kind === "pca") return pca.values;
+    if (kind === "zgenre") return corpusRows.map((r) => zGenreValue(r, w));
+    return corpusRows.map((r) => rowValue(kind, r, w));
+  }
+
+  function baselineFor(kind) {
+    if (!baselineByStrategy.has(kind)) baselineByStrategy.set(kind, strategyValues(kind, DEFAULT_WEIGHTS));
+    return baselineByStrategy.get(kind);
+  }
+
+  function scheduleLive() {
+    if (!corpusRows || livePending) return;
+    livePending = true;
+    requestAnimationFrame(() => {
+      livePending = false;
+      renderLive();
+    });
+  }
+
+  function renderLive() {
+    const values = strategyValues(strategy, weights);
+    const scored = corpusRows.map((r, i) => ({ ...r, index: values[i] })).filter((r) => r.index != null);
+
+    if (!scored.length) {
+      if (trendEl) trendEl.innerHTML = `<p style="padding:1rem">All weights are zero: nothing to aggregate.</p>`;
+      if (rhoEl) rhoEl.textContent = "";
+      if (topEl) topEl.innerHTML = "";
+      if (botEl) botEl.innerHTML = "";
+      return;
+    }
+
+    drawTrend(trendEl, centuryTrend(corpusRows, values), centuryTrend(corpusRows, baselineFor(strategy)));
+
+    if (rhoEl) {
+      const rho = LoveStats.spearman(scored.map((r) => r.index), scored.map((r) => r.love));
+      if (defaultRho == null) {
+        const base = baselineFor("arith");
+        const keep = corpusRows.map((r, i) => base[i] != null && r.love != null);
+        defaultRho = LoveStats.spearman(base.filter((v, i) => keep[i]), corpusRows.filter((r, i) => keep[i]).map((r) => r.love));
+      }
+      const fmtRho = (v) => (v == null ? "—" : v.toFixed(3));
+      rhoEl.textContent =
+        `Spearman rank correlation with the shipped Love Index (BoC_final_0_2): ρ = ${fmtRho(rho)} · ${scored.length} texts. ` +
+        `Sanity check: the weighted mean at the default weights gives ρ = ${fmtRho(defaultRho)}.`;
+    }
+
+    const sorted = [...scored].sort((a, b) => b.index - a.index);
+    fillList(topEl, sorted.slice(0, 5));
+    fillList(botEl, sorted.slice(-5).reverse());
+  }
+
+  function fillList(el, items) {
+    if (!el) return;
+    el.innerHTML = "";
+    for (const d of items) {
+      const li = document.createElement("li");
+      const t = d.title || "(title unavailable)";
+      const a = d.author ? ` — ${d.author}` : "";
+      const when = d.dated ? LoveI18n.yearText(d.date) : "undated";
+      li.innerHTML = `<strong>${t}</strong>${a}<br/><span class="note">${d.genre} · ${when} · index: ${d.index.toFixed(3)}</span>`;
+      el.appendChild(li);
+    }
+  }
+
+  // ---- Strategies side by side, with the current weights
+  const aggMatrixHead = document.getElementById("agg-matrix-head");
+  const aggMatrix = document.getElementById("agg-matrix");
+  const aggTrend = document.getElementById("agg-trend");
+  const aggA = document.getElementById("agg-a");
+  const aggB = document.getElementById("agg-b");
+  const aggPairNote = document.getElementById("agg-pair-note");
+  const SHOW_DISAGREE = 10;
+
+  let compare = null;
+
+  function fmtSigned(b, digits = 4) {
+    return `${b < 0 ? "−" : "+"}${Math.abs(b).toFixed(digits)}`;
+  }
+
+  function fmtP(p) {
+    if (p == null) return "—";
+    return p < 0.001 ? "< 0.001" : p.toFixed(3);
+  }
+
+  function renderCompare() {
+    if (!corpusRows || !aggMatrix) return;
+    const all = COMPARED.map(([kind]) => strategyValues(kind, weights));
+    const keep = corpusRows.map((r, i) => all.every((vals) => vals[i] != null));
+    const rows = corpusRows.filter((r, i) => keep[i]);
+    const vals = all.map((v) => v.filter((x, i) => keep[i]));
+    const ranks = vals.map((v) => LoveStats.ranks(v));
+    const matrix = ranks.map((a) => ranks.map((b) => LoveStats.pearson(a, b)));
+
+    const xs = rows.map((r) => r.century);
+    const trend = COMPARED.map(([kind, label], s) => {
+      const seg = LoveStats.segmentedTrend(xs, vals[s], BREAK_C);
+      const means = centuryTrend(rows, vals[s]);
+      const trough = means.reduce((a, b) => (b.mean < a.mean ? b : a), means[0]);
+      if (!seg) return { strategy: kind, label, trough: trough ? trough.century : null };
+      const [, c, post, cpost] = seg.coef;
+      const before = c.b;
+      const after = c.b + cpost.b;
+      const breakP = Math.min(post.p ?? 1, cpost.p ?? 1);
+      const shape = before < 0 && after > 0;
+      return {
+        strategy: kind,
+        label,
+        trough: trough ? trough.century : null,
+        slope_before: before,
+        slope_after: after,
+        break_p: breakP,
+        decline_rebound: shape && breakP < 0.05 ? "yes" : shape ? "shape only" : "no",
+      };
+    });
+
+    compare = { rows, vals, ranks, matrix, trend };
+    renderMatrix();
+    renderTrendTable();
+    renderPair();
+  }
+
+  function renderMatrix() {
+    const { matrix } = compare;
+    aggMatrixHead.innerHTML = `<tr><th>Spearman ρ</th>${COMPARED.map(([, label]) => `<th>${label}</th>`).join("")}</tr>`;
+    aggMatrix.innerHTML = "";
+    COMPARED.forEach(([, label], a) => {
+      const tr = document.createElement("tr");
+      tr.innerHTML =
+        `<th scope="row">${label}</th>` +
+        matrix[a]
+          .map((rho) => {
+            const tint = rho == null ? 0 : 0.45 * Math.max(0, rho) ** 2;
+            return `<td style="background: rgba(122,44,42,${tint.toFixed(2)})">${rho == null ? "—" : rho.toFixed(2)}</td>`;
+          })
+          .join("");
+      aggMatrix.appendChild(tr);
+    });
+  }
+
+  function renderTrendTable() {
+    aggTrend.innerHTML = "";
+    for (const d of compare.trend) {
+      const tr = document.createElement("tr");
+      if (d.strategy === strategy) tr.className = "is-current";
+      tr.innerHTML = d.slope_before === undefined
+        ? `<td>${d.label}</td><td colspan="5">Not enough texts to fit the model.</td>`
+        : `<td>${d.label}</td><td>${d.trough == null ? "—" : LoveI18n.centuryText(d.trough)}</td>` +
+          `<td>${fmtSigned(d.slope_before)}</td><td>${fmtSigned(d.slope_after)}</td><td>${fmtP(d.break_p)}</td>` +
+          `<td>${d.decline_rebound}</td>`;
+      aggTrend.appendChild(tr);
+    }
+  }
+
+  // Texts whose rank moves most between strategy A and strategy B (ranks from the top, 1 = highest).
+  function renderPair() {
+    if (!compare || !aggA) return;
+    const a = COMPARED.findIndex(([kind]) => kind === aggA.value);
+    const b = COMPARED.findIndex(([kind]) => kind === aggB.value);
+    const { rows, ranks, matrix } = compare;
+    const n = rows.length;
+    const moves = rows.map((r, i) => ({ ...r, rankA: n + 1 - ranks[a][i], rankB: n + 1 - ranks[b][i] }));
+    moves.forEach((d) => {
+      d.shift = d.rankB - d.rankA;
+    });
+    const byShift = [...moves].sort((x, y) => y.shift - x.shift);
+
+    const labelA = STRATEGY_LABEL.get(aggA.value);
+    const labelB = STRATEGY_LABEL.get(aggB.value);
+    document.getElementById("agg-up-title").textContent = `Ranked higher by ${labelA}`;
+    document.getElementById("agg-down-title").textContent = `Ranked higher by ${labelB}`;
+    aggPairNote.textContent = a === b
+      ? "Pick two different strategies to list where they disagree."
+      : `Spearman ρ = ${matrix[a][b].toFixed(3)} over ${n} texts. Ranks count from the top (1 = highest score).`;
+
+    const fill = (id, items) => {
+      const el = document.getElementById(id);
+      el.innerHTML = "";
+      if (a === b) return;
+      for (const d of items) {
+        const li = document.createElement("li");
+        const t = d.title || "(title unavailable)";
+        const au = d.author ? ` — ${d.author}` : "";
+        li.innerHTML = `<strong>${t}</strong>${au}<br/><span class="note">${d.genre} · rank ${d.rankA} vs ${d.rankB}</span>`;
+        el.appendChild(li);
+      }
+    };
+    fill("agg-up", byShift.slice(0, SHOW_DISAGREE).filter((d) => d.shift > 0));
+    fill("agg-down", byShift.slice(-SHOW_DISAGREE).reverse().filter((d) => d.shift < 0));
+  }
+
+  function initCompare() {
+    if (!aggA) return;
+    const options = COMPARED.map(([kind, label]) => `<option value="${kind}">${label}</option>`).join("");
+    aggA.innerHTML = options;
+    aggB.innerHTML = options;
+    const [a, b] = LoveUrlState.getList("cmp");
+    aggA.value = STRATEGY_LABEL.has(a) ? a : "arith";
+    aggB.value = STRATEGY_LABEL.has(b) ? b : "pca";
+    const onPick = () => {
+      const pair = [aggA.value, aggB.value];
+      LoveUrlState.set({ cmp: pair.join(",") === "arith,pca" ? null : pair });
+      renderPair();
+    };
+    aggA.addEventListener("change", onPick);
+    aggB.addEventListener("change", onPick);
+
+    if (window.LoveExport) {
+      LoveExport.attach("#agg-matrix-wrap", {
+        name: "aggregation-spearman",
+        chart: false,
+        rowsLabel: "matrix",
+        rows: () =>
+          compare
+            ? COMPARED.map(([kind], s) => ({
+              strategy: kind,
+              ...Object.fromEntries(COMPARED.map(([other], t) => [other, compare.matrix[s][t]])),
+            }))
+            : [],
+      });
+      LoveExport.attach("#agg-trend-wrap", {
+        name: "aggregation-trend",
+        chart: false,
+        rowsLabel: "models",
+        rows: () => (compare ? compare.trend.map(({ label, ...d }) => d) : []),
+      });
+      LoveExport.attach("#agg-pair", {
+        name: "aggregation-scores",
+        chart: false,
+        rowsLabel: "texts",
+        rows: () =>
+          compare
+            ? compare.rows.map((r, i) => ({
+              uri: r.uri,
+              title: r.title,
+              genre: r.genre,
+              century: r.century,
+              ...Object.fromEntries(
+                COMPARED.flatMap(([kind], s) => [
+                  [kind, compare.vals[s][i]],
+                  [`${kind}_rank`, compare.rows.length + 1 - compare.ranks[s][i]],
+                ])
+              ),
+            }))
+            : [],
+      });
+    }
+  }
+
+  function drawTrend(container, current, baseline) {
+    if (!container) return;
+    container.innerHTML = "";
+
+    const margin = C.margin({ top: 20, right: 24, bottom: 36, left: 48 });
+    const width = Math.max(600, container.clientWidth || 600);
+    const height = 260;
+    const plotW = width - margin.left - margin.right;
+    const plotH = height - margin.top - margin.bottom;
+
+    const svg = d3
+      .select(container)
+      .append("svg")
+      .attr("viewBox", `0 0 ${width} ${height}`)
+      .attr("width", "100%")
+      .attr("height", "100%");
+
+    const g = svg.append("g").attr("transform", `translate(${margin.left},${margin.top})`);
+
+    const x = d3
+      .scaleLinear()
+      .domain([LoveCorpus.MIN_CENTURY, LoveCorpus.MAX_CENTURY])
+      .range(C.range(plotW));
+
+    // PCA and z-score strategies go below zero
+    const yMin = Math.min(0, d3.min([...current, ...baseline], (d) => d.mean));
+    const yMax = d3.max([...current, ...baseline], (d) => d.mean) || 1;
+    const y = d3.scaleLinear().domain([yMin, yMax]).nice().range([plotH, 0]);
+
+    g.append("g")
+      .attr("class", "grid")
+      .attr("transform", `translate(${C.start(plotW)},0)`)
+      .call(C.yAxis(y).ticks(4).tickSize(-plotW).tickFormat(""))
+      .attr("opacity", 0.18);
+
+    g.append("g")
+      .attr("transform", `translate(0,${plotH})`)
+      .call(d3.axisBottom(x).ticks(LoveCorpus.MAX_CENTURY - LoveCorpus.MIN_CENTURY).tickFormat(LoveI18n.centuryTick));
+
+    g.append("g").attr("transform", `translate(${C.start(plotW)},0)`).call(C.yAxis(y).ticks(4));
+
+    const line = d3.line()
+      .x((d) => x(d.century))
+      .y((d) => y(d.mean))
+      .curve(d3.curveMonotoneX);
+
+    g.append("path")
+      .datum(baseline)
+      .attr("fill", "none")
+      .attr("stroke", "#C39A6B")
+      .attr("stroke-width", 1.8)
+      .attr("stroke-dasharray", "5 4")
+      .attr("d", line);
+
+    g.append("path")
+      .datum(current)
+      .attr("fill", "none")
+      .attr("stroke", "#7A2C2A")
+      .attr("stroke-width", 2.6)
+      .attr("d", line);
+
+    g.append("text")
+      .attr("x", C.end(plotW))
+      .attr("y", plotH + 30)
+      .attr("text-anchor", C.anchor("end"))
+      .attr("fill", "currentColor")
+      .style("font-weight", 600)
+      .style("font-size", "12px")
+      .text(LoveI18n.centuryAxisTitle());
+
+    const lg = g.append("g").attr("transform", `translate(${C.end(plotW) + C.side(-170)}, 0)`);
+    [[LoveI18n.t("chart.current-weights"), "#7A2C2A", null], [LoveI18n.t("chart.default-weights"), "#C39A6B", "5 4"]].forEach(([label, color, dash], i) => {
+      const row = lg.append("g").attr("transform", `translate(0, ${i * 16})`);
+      row.append("line")
+        .attr("x1", 0).attr("x2", C.side(22))
+        .attr("stroke", color)
+        .attr("stroke-width", 2.4)
+        .attr("stroke-dasharray", dash);
+      row.append("text")
+        .attr("x", C.side(28)).attr("y", 4)
+        .attr("text-anchor", C.anchor("start"))
+        .style("font-size", "12px")
+        .text(label);
+    });
+  }
+
+  // ---- Weight sensitivity: Monte Carlo draws around the default weights
+  const TOP_N = 20;
+  const MC_CHUNK = 50;
+  const MC_SEED = 1;
+  const MC_MODES = { jitter: "log-normal jitter", dirichlet: "centred Dirichlet", flat: "flat Dirichlet" };
+  const MC_DRAWS = [500, 1000, 2000, 5000];
+  // Per spread: σ of the log-normal jitter, concentration of the centred Dirichlet
+  const MC_SPREAD = { narrow: [0.1, 200], medium: [0.25, 50], wide: [0.5, 10] };
+  const MC_LOVE_RHO = 0.75; // rank agreement with the shipped index that still counts as the same measure
+  // [model, coefficient position, export column, label]
+  const COEFS = [
+    ["quad", 1, "quad_century", "Quadratic trend: century term"],
+    ["quad", 2, "quad_century2", "Quadratic trend: century² term"],
+    ["seg", 2, "seg_post", `Segmented trend: level shift at century ${BREAK_C}`],
+    ["seg", 3, "seg_century_post", `Segmented trend: slope change from century ${BREAK_C}`],
+  ];
+
+  const mcRunBtn = document.getElementById("mc-run");
+  const mcMode = document.getElementById("mc-mode");
+  const mcSpread = document.getElementById("mc-spread");
+  const mcDraws = document.getElementById("mc-draws");
+  const mcStatus = document.getElementById("mc-status");
+  const mcEnvelope = document.getElementById("mc-envelope");
+  const mcStability = document.getElementById("mc-stability");
+  const mcTop = document.getElementById("mc-top");
+
+  let mc = null; // texts with the shipped index and all nine register densities, those densities and the default-weights reference
+  let mcResult = null;
+  let mcToken = 0;
+
+  if (mcMode) {
+    const mode = LoveUrlState.get("mc");
+    const spread = LoveUrlState.get("mcs");
+    const draws = LoveUrlState.getNumber("mcn");
+    if (mode in MC_MODES) mcMode.value = mode;
+    if (spread in MC_SPREAD) mcSpread.value = spread;
+    mcDraws.value = String(MC_DRAWS.includes(draws) ? draws : 1000);
+    mcSpread.disabled = mcMode.value === "flat";
+    mcMode.addEventListener("change", () => {
+      mcSpread.disabled = mcMode.value === "flat";
+    });
+  }
+
+  function indexInto(out, w) {
+    const wj = ORDER.map(([k]) => w[k]);
+    const den = wj.reduce((a, b) => a + b, 0);
+    for (let i = 0; i < out.length; i++) {
+      let num = 0;
+      for (let j = 0; j < wj.length; j++) num += wj[j] * mc.cols[j][i];
+      out[i] = num / den;
+    }
+    return out;
+  }
+
+  function centuryMeans(values) {
+    const sums = new Array(mc.centuries.length).fill(0);
+    for (let i = 0; i < values.length; i++) sums[mc.cIndex[i]] += values[i];
+    return sums.map((s, j) => s / mc.cCount[j]);
+  }
+
+  function argmax(xs) {
+    let best = 0;
+    for (let j = 1; j < xs.length; j++) if (xs[j] > xs[best]) best = j;
+    return best;
+  }
+
+  function fitModels(values) {
+    return {
+      quad: LoveStats.ols(mc.Xquad, values, ["const", "century", "century2"]),
+      seg: LoveStats.ols(mc.Xseg, values, ["const", "century", "post", "century_post"]),
+    };
+  }
+
+  function prepareMC(rows) {
+    const complete = rows.filter((r) => r.love != null && ORDER.every(([k]) => Number.isFinite(registerDensity(r, k))));
+    const centuries = Array.from(new Set(complete.map((r) => r.century))).sort((a, b) => a - b);
+    const cPos = new Map(centuries.map((c, j) => [c, j]));
+    const cIndex = complete.map((r) => cPos.get(r.century));
+    const cCount = centuries.map((c, j) => cIndex.filter((v) => v === j).length);
+    mc = {
+      rows: complete,
+      cols: ORDER.map(([k]) => complete.map((r) => registerDensity(r, k))),
+      loveRanks: LoveStats.ranks(complete.map((r) => r.love)),
+      centuries,
+      cIndex,
+      cCount,
+      Xquad: complete.map((r) => [1, r.century, r.century * r.century]),
+      Xseg: complete.map((r) => {
+        const post = r.century >= BREAK_C ? 1 : 0;
+        return [1, r.century, post, r.century * post];
+      }),
+    };
+    const values = indexInto(new Array(complete.length), DEFAULT_WEIGHTS);
+    const ranks = LoveStats.ranks(values);
+    mc.ref = {
+      values,
+      ranks,
+      means: centuryMeans(values),
+      fits: fitModels(values),
+      top: values.map((v, i) => i).sort((a, b) => values[b] - values[a]).slice(0, TOP_N),
+      loveRho: LoveStats.pearson(ranks, mc.loveRanks),
+    };
+    mc.ref.peak = argmax(mc.ref.means);
+  }
+
+  function drawWeights(rand, mode, spread) {
+    const base = ORDER.map(([k]) => DEFAULT_WEIGHTS[k]);
+    const total = base.reduce((a, b) => a + b, 0);
+    const [sigma, conc] = MC_SPREAD[spread];
+    let w;
+    if (mode === "jitter") w = base.map((b) => b * Math.exp(sigma * LoveStats.normal(rand)));
+    else if (mode === "dirichlet") w = LoveStats.dirichlet(rand, base.map((b) => (conc * b) / total));
+    else w = LoveStats.dirichlet(rand, base.map(() => 1));
+    const s = w.reduce((a, b) => a + b, 0);
+    return Object.fromEntries(ORDER.map(([k], j) => [k, w[j] / s]));
+  }
+
+  // One draw: recompute every text, then compare trend shape, model signs and ranking with the defaults.
+  function runDraw(w, values) {
+    indexInto(values, w);
+    const means = centuryMeans(values);
+    const fits = fitModels(values);
+    const ranks = LoveStats.ranks(values);
+    const n = values.length;
+    const topRanks = mc.ref.top.map((i) => n + 1 - ranks[i]);
+    return {
+      w,
+      means,
+      trendRho: LoveStats.spearman(means, mc.ref.means),
+      peak: mc.centuries[argmax(means)],
+      coefs: COEFS.map(([m, j]) => (fits[m] ? fits[m].coef[j] : null)),
+      topRanks,
+      overlap: topRanks.filter((r) => r <= TOP_N).length,
+      top: ranks.flatMap((r, i) => (n + 1 - r <= TOP_N ? [i] : [])),
+      rankRho: LoveStats.pearson(ranks, mc.ref.ranks),
+      loveRho: LoveStats.pearson(ranks, mc.loveRanks),
+    };
+  }
+
+  function runMC() {
+    if (!mc) return;
+    const mode = mcMode.value;
+    const spread = mcSpread.value;
+    const total = +mcDraws.value;
+    LoveUrlState.set({ mc: mode, mcs: mode === "flat" ? null : spread, mcn: total });
+
+    const token = ++mcToken;
+    const rand = LoveStats.rng(MC_SEED);
+    const values = new Array(mc.rows.length);
+    const draws = [];
+    const started = performance.now();
+
+    function step() {
+      if (token !== mcToken) return;
+      const stop = Math.min(total, draws.length + MC_CHUNK);
+      while (draws.length < stop) draws.push(runDraw(drawWeights(rand, mode, spread), values));
+      if (draws.length < total) {
+        mcStatus.textContent = `Drawing weights… ${draws.length.toLocaleString("en")} / ${total.toLocaleString("en")}`;
+        setTimeout(step, 0);
+        return;
+      }
+      const secs = (performance.now() - started) / 1000;
+      mcResult = { mode, spread, draws };
+      mcStatus.textContent =
+        `${total.toLocaleString("en")} draws (${MC_MODES[mode]}` +
+        `${mode === "flat" ? "" : `, ${spread} spread`}, seed ${MC_SEED}) over ${mc.rows.length} texts · ${secs.toFixed(1)} s.`;
+      renderMC();
+    }
+    step();
+  }
+
+  function share(k, total) {
+    return `${((100 * k) / total).toFixed(1)}%`;
+  }
+
+  function sign(b) {
+    return b < 0 ? "negative" : "positive";
+  }
+
+  function renderMC() {
+    if (!mcResult) return;
+    const { draws } = mcResult;
+    const N = draws.length;
+    const ref = mc.ref;
+    const sorted = (f) => draws.map(f).filter((v) => v != null).sort((a, b) => a - b);
+    const q = LoveStats.quantile;
+
+    drawEnvelope(mcEnvelope, envelopeRows());
+
+    const rows = [];
+    const trendRhos = sorted((d) => d.trendRho);
+    rows.push([
+      "Same century curve shape (Spearman ρ ≥ 0.9 with the default curve)",
+      share(trendRhos.filter((r) => r >= 0.9).length, N),
+      `median ρ = ${q(trendRhos, 0.5).toFixed(3)} · 5th percentile ${q(trendRhos, 0.05).toFixed(3)}`,
+    ]);
+
+    const peaks = d3.rollups(draws, (v) => v.length, (d) => d.peak).sort((a, b) => b[1] - a[1]);
+    const refPeak = mc.centuries[ref.peak];
+    const others = peaks.filter(([c]) => c !== refPeak).slice(0, 3);
+    rows.push([
+      `Highest mean in ${LoveI18n.centuryText(refPeak)}`,
+      share(draws.filter((d) => d.peak === refPeak).length, N),
+      others.length ? `otherwise: ${others.map(([c, k]) => `${LoveI18n.centuryText(c)} (${share(k, N)})`).join(", ")}` : "no other peak drawn",
+    ]);
+
+    COEFS.forEach(([m, j, , label], ci) => {
+      const c0 = ref.fits[m] ? ref.fits[m].coef[j] : null;
+      if (!c0) return;
+      const same = draws.filter((d) => d.coefs[ci] && Math.sign(d.coefs[ci].b) === Math.sign(c0.b));
+      const sig = same.filter((d) => d.coefs[ci].p < 0.05);
+      rows.push([
+        `${label} is ${sign(c0.b)} (default b = ${c0.b.toFixed(4)}, p ${c0.p < 0.001 ? "< 0.001" : `= ${c0.p.toFixed(3)}`})`,
+        share(same.length, N),
+        `same sign and p < 0.05 in ${share(sig.length, N)}`,
+      ]);
+    });
+
+    const overlaps = sorted((d) => d.overlap);
+    const entrants = new Set(draws.flatMap((d) => d.top));
+    rows.push([
+      `Top ${TOP_N} texts (share of the default top ${TOP_N} kept, on average)`,
+      share(d3.sum(overlaps), N * TOP_N),
+      `all ${TOP_N} kept in ${share(overlaps.filter((v) => v === TOP_N).length, N)} · 5th percentile ${q(overlaps, 0.05)} of ${TOP_N}` +
+        ` · ${entrants.size} texts reach the top ${TOP_N} at least once`,
+    ]);
+
+    const rankRhos = sorted((d) => d.rankRho);
+    rows.push([
+      "Ranking of all texts (Spearman ρ ≥ 0.95 with the default ranking)",
+      share(rankRhos.filter((r) => r >= 0.95).length, N),
+      `median ρ = ${q(rankRhos, 0.5).toFixed(3)} · 5th percentile ${q(rankRhos, 0.05).toFixed(3)}`,
+    ]);
+
+    // The draws vary the readable weighted mean; this row says how far that stays a proxy for the shipped index
+    const loveRhos = sorted((d) => d.loveRho);
+    rows.push([
+      `Agreement with the shipped Love Index (Spearman ρ ≥ ${MC_LOVE_RHO}; ${ref.loveRho.toFixed(3)} at the default weights)`,
+      share(loveRhos.filter((r) => r >= MC_LOVE_RHO).length, N),
+      `median ρ = ${q(loveRhos, 0.5).toFixed(3)} · 5th percentile ${q(loveRhos, 0.05).toFixed(3)}`,
+    ]);
+
+    mcStability.innerHTML = "";
+    for (const [claim, holds, detail] of rows) {
+      const tr = document.createElement("tr");
+      tr.innerHTML = `<td>${claim}</td><td>${holds}</td><td>${detail}</td>`;
+      mcStability.appendChild(tr);
+    }
+
+    mcTop.innerHTML = "";
+    for (const d of topRows()) {
+      const tr = document.createElement("tr");
+      tr.innerHTML =
+        `<td>${d.rank}</td><td>${d.title}${d.author ? ` — ${d.author}` : ""}</td><td>${d.genre}</td>` +
+        `<td>${d.index.toFixed(3)}</td><td>${share(d.kept, N)}</td><td>${d.median_rank}</td>`;
+      mcTop.appendChild(tr);
+    }
+  }
+
+  function envelopeRows() {
+    const q = LoveStats.quantile;
+    return mc.centuries.map((century, j) => {
+      const vals = mcResult.draws.map((d) => d.means[j]).sort((a, b) => a - b);
+      return {
+        century,
+        n: mc.cCount[j],
+        default_mean: mc.ref.means[j],
+        q05: q(vals, 0.05),
+        q25: q(vals, 0.25),
+        median: q(vals, 0.5),
+        q75: q(vals, 0.75),
+        q95: q(vals, 0.95),
+      };
+    });
+  }
+
+  function topRows() {
+    const { draws } = mcResult;
+    return mc.ref.top.map((i, t) => {
+      const r = mc.rows[i];
+      const ranks = draws.map((d) => d.topRanks[t]).sort((a, b) => a - b);
+      return {
+        rank: t + 1,
+        uri: r.uri,
+        title: r.title || "(title unavailable)",
+        author: r.author,
+        genre: r.genre,
+        index: mc.ref.values[i],
+        kept: ranks.filter((v) => v <= TOP_N).length,
+        median_rank: LoveStats.quantile(ranks, 0.5),
+      };
+    });
+  }
+
+  function drawEnvelope(container, data) {
+    if (!container) return;
+    container.innerHTML = "";
+
+    const margin = C.margin({ top: 20, right: 24, bottom: 36, left: 48 });
+    const width = Math.max(600, container.clientWidth || 600);
+    const height = 260;
+    const plotW = width - margin.left - margin.right;
+    const plotH = height - margin.top - margin.bottom;
+
+    const svg = d3
+      .select(container)
+      .append("svg")
+      .attr("viewBox", `0 0 ${width} ${height}`)
+      .attr("width", "100%")
+      .attr("height", "100%");
+
+    const g = svg.append("g").attr("transform", `translate(${margin.left},${margin.top})`);
+
+    const x = d3
+      .scaleLinear()
+      .domain([LoveCorpus.MIN_CENTURY, LoveCorpus.MAX_CENTURY])
+      .range(C.range(plotW));
+
+    const yMax = d3.max(data, (d) => Math.max(d.q95, d.default_mean)) || 1;
+    const y = d3.scaleLinear().domain([0, yMax]).nice().range([plotH, 0]);
+
+    g.append("g")
+      .attr("class", "grid")
+      .attr("transform", `translate(${C.start(plotW)},0)`)
+      .call(C.yAxis(y).ticks(4).tickSize(-plotW).tickFormat(""))
+      .attr("opacity", 0.18);
+
+    g.append("g")
+      .attr("transform", `translate(0,${plotH})`)
+      .call(d3.axisBottom(x).ticks(LoveCorpus.MAX_CENTURY - LoveCorpus.MIN_CENTURY).tickFormat(LoveI18n.centuryTick));
+
+    g.append("g").attr("transform", `translate(${C.start(plotW)},0)`).call(C.yAxis(y).ticks(4));
+
+    const band = (lo, hi) => d3.area()
+      .x((d) => x(d.century))
+      .y0((d) => y(d[lo]))
+      .y1((d) => y(d[hi]))
+      .curve(d3.curveMonotoneX);
+
+    g.append("path")
+      .datum(data)
+      .attr("fill", "#7A2C2A")
+      .attr("fill-opacity", 0.12)
+      .attr("d", band("q05", "q95"));
+
+    g.append("path")
+      .datum(data)
+      .attr("fill", "#7A2C2A")
+      .attr("fill-opacity", 0.22)
+      .attr("d", band("q25", "q75"));
+
+    const line = (key) => d3.line()
+      .x((d) => x(d.century))
+      .y((d) => y(d[key]))
+      .curve(d3.curveMonotoneX);
+
+    g.append("path")
+      .datum(data)
+      .attr("fill", "none")
+      .attr("stroke", "#7A2C2A")
+      .attr("stroke-width", 2.2)
+      .attr("d", line("median"));
+
+    g.append("path")
+      .datum(data)
+      .attr("fill", "none")
+      .attr("stroke", "#C39A6B")
+      .attr("stroke-width", 1.8)
+      .attr("stroke-dasharray", "5 4")
+      .attr("d", line("default_mean"));
+
+    g.append("text")
+      .attr("x", C.end(plotW))
+      .attr("y", plotH + 30)
+      .attr("text-anchor", C.anchor("end"))
+      .attr("fill", "currentColor")
+      .style("font-weight", 600)
+      .style("font-size", "12px")
+      .text(LoveI18n.centuryAxisTitle());
+
+    const lg = g.append("g").attr("transform", `translate(${C.end(plotW) + C.side(-170)}, 0)`);
+    [[LoveI18n.t("chart.median-draws"), "#7A2C2A", null], [LoveI18n.t("chart.default-weights"), "#C39A6B", "5 4"]].forEach(([label, color, dash], i) => {
+      const row = lg.append("g").attr("transform", `translate(0, ${i * 16})`);
+      row.append("line")
+        .attr("x1", 0).attr("x2", C.side(22))
+        .attr("stroke", color)
+        .attr("stroke-width", 2.4)
+        .attr("stroke-dasharray", dash);
+      row.append("text")
+        .attr("x", C.side(28)).attr("y", 4)
+        .attr("text-anchor", C.anchor("start"))
+        .style("font-size", "12px")
+        .text(label);
+    });
+  }
+
+  mcRunBtn?.addEventListener("click", runMC);
+
+  if (window.LoveExport) {
+    LoveExport.attach("#mc-envelope", {
+      name: "weight-sensitivity-envelope",
+      rows: () => (mcResult ? envelopeRows() : []),
+    });
+    LoveExport.attach("#mc-stability-wrap", {
+      name: "weight-sensitivity-draws",
+      chart: false,
+      rowsLabel: "draws",
+      rows: () =>
+        mcResult
+          ? mcResult.draws.map((d, i) => ({
+            draw: i + 1,
+            ...Object.fromEntries(ORDER.map(([k]) => [`w_${k}`, d.w[k]])),
+            trend_rho: d.trendRho,
+            peak_century: d.peak,
+            ...Object.fromEntries(COEFS.map(([, , col], ci) => [`${col}_b`, d.coefs[ci] ? d.coefs[ci].b : null])),
+            top20_kept: d.overlap,
+            rank_rho: d.rankRho,
+            love_rho: d.loveRho,
+          }))
+          : [],
+    });
+    LoveExport.attach("#mc-top-wrap", {
+      name: "weight-sensitivity-top20",
+      chart: false,
+      rowsLabel: "top 20",
+      rows: () => (mcResult ? topRows() : []),
+    });
   }
 
   resetBtn?.addEventListener("click", () => {
     weights = { ...DEFAULT_WEIGHTS };
     renderUI();
+    saveWeights();
+    renderCompare();
   });
 
+  if (strategyEl) {
+    strategyEl.innerHTML = STRATEGIES.map(([kind, label]) => `<option value="${kind}">${label}</option>`).join("");
+    const saved = LoveUrlState.get("agg");
+    // Only the selectable strategies: the shipped index ("love") is a comparison column, not an aggregation
+    if (STRATEGIES.some(([kind]) => kind === saved)) strategy = saved;
+    strategyEl.value = strategy;
+    strategyEl.addEventListener("change", () => {
+      strategy = strategyEl.value;
+      LoveUrlState.set({ agg: strategy === "arith" ? null : strategy });
+      renderFormula();
+      scheduleLive();
+      if (compare) renderTrendTable();
+    });
+  }
+
+  initCompare();
   renderUI();
+
+  if (trendEl && window.LoveCorpus && window.d3) {
+    LoveCorpus.load()
+      .then(({ rows }) => {
+        corpusRows = rows;
+        pca = computePca(rows);
+        genreStats = computeGenreStats(rows);
+        renderFormula();
+        renderLive();
+        renderCompare();
+        LoveI18n.onChange(() => {
+          renderLive();
+          if (compare) renderTrendTable();
+        });
+        if (mcRunBtn) {
+          prepareMC(rows);
+          if (LoveUrlState.get("mc")) runMC();
+          LoveI18n.onChange(renderMC);
+        }
+      })
+      .catch((e) => {
+        console.error(e);
+        trendEl.innerHTML = `<p style="padding:1rem">Could not load CSV at <code>${LoveCorpus.currentRelease().csv}</code>.</p>`;
+      });
+  }
 });
@@ -1,55 +1,8 @@
-console.log("✅ results.js loaded — v1500");
+console.log("✅ results.js loaded — v1501");
 document.addEventListener("DOMContentLoaded", async () => {
-  const CSV_PATH = "data/BoC_v3_EXTENDED_scored.csv";
-
-  const GENRES = ["BIO", "DEV", "PHI", "POE", "RHE", "THE"];
-
-  const COLORS = {
-    BIO: "#1E1916",
-    DEV: "#0E3A45",
-    PHI: "#3E2A61",
-    POE: "#7A2C2A",
-    RHE: "#C46A74",
-    THE: "#C39A6B",
-  };
-
-  const GENRE_MAP = {
-    b: "BIO",
-    d: "DEV",
-    n: "PHI",
-    p: "POE",
-    r: "RHE",
-    k: "THE",
-  };
-
-  const SCATTER_X_MIN = 0;
-  const SCATTER_X_MAX = 1500;
-
-  const norm = (s) => String(s ?? "").trim();
-  const lower = (s) => norm(s).toLowerCase();
-
-  function findColumn(columns, candidates) {
-    const cols = columns.map((c) => ({ raw: c, low: lower(c) }));
-    for (const cand of candidates) {
-      const hit = cols.find((c) => c.low === cand.toLowerCase());
-      if (hit) return hit.raw;
-    }
-    return null;
-  }
-
-  function findColumnFuzzy(columns, includesAny) {
-    const cols = columns.map((c) => ({ raw: c, low: lower(c) }));
-    for (const inc of includesAny) {
-      const hit = cols.find((c) => c.low.includes(inc.toLowerCase()));
-      if (hit) return hit.raw;
-    }
-    return null;
-  }
-
-  function coerceNumber(x) {
-    const n = +String(x ?? "").replace(",", ".").trim();
-    return Number.isFinite(n) ? n : null;
-  }
+  const { GENRES, COLORS } = LoveCorpus;
+  const { t, num, genreName } = LoveI18n;
+  const C = LoveI18n.chart;
 
   function showError(selector, msg) {
     const el = document.querySelector(selector);
@@ -72,171 +25,833 @@ document.addEventListener("DOMContentLoaded", async () => {
     return (h >>> 0) / 4294967296; // [0,1)
   }
 
-  function normalizeGenre(raw) {
-    if (!raw) return null;
-    const s = norm(raw);
 
-    const up = s.toUpperCase();
-    if (GENRES.includes(up)) return up;
+  const MIN_C = LoveCorpus.MIN_CENTURY;
+  const MAX_C = LoveCorpus.MAX_CENTURY;
+  const centuries = d3.range(MIN_C, MAX_C + 1);
 
-    const k = s.toLowerCase();
-    if (GENRE_MAP[k]) return GENRE_MAP[k];
+  const BREAK_C = 12;
+  const BREAK_CANDIDATES = d3.range(3, 15); // 3..14
+  const BOOT_B = 200;
+  let bootToken = 0;
+
+  // Genre difference tests: omnibus test and pairs per window of three centuries (null = all)
+  const GT_MIN_N = 5;
+  const GT_WINDOWS = [null, ...d3.range(MIN_C, MAX_C + 1, 3).map((c) => [c, Math.min(c + 2, MAX_C)])];
+  // ε² cuts after Tomczak & Tomczak (2014), η² cuts after Cohen (1988)
+  const GT_TESTS = {
+    kruskal: { stat: "H", effect: "ε²", pair: "z", pairEffect: "delta", cuts: [0.01, 0.08, 0.26] },
+    anova: { stat: "F", effect: "η²", pair: "t", pairEffect: "d", cuts: [0.01, 0.06, 0.14] },
+  };
+  let gtTest = "kruskal";
+  let gtWindow = null;
+  let gtShown = null;
+  let gtAll = [];
+  const windowKey = (w) => (w ? `${w[0]}-${w[1]}` : "all");
+  const windowText = (w) => (w ? `${num(w[0])}–${num(w[1])}` : `${num(MIN_C)}–${num(MAX_C)}`);
+  const gtWindowLabel = (w) => (w ? `${LoveI18n.centuryOption(w[0])} – ${LoveI18n.centuryOption(w[1])}` : t("gt.all"));
+
+  // Century means from fewer texts than this are drawn hollow and break the line
+  const MIN_N_DEFAULT = 5;
+  let minN = MIN_N_DEFAULT;
+
+  // ---- Score shown by every chart (see LoveCorpus.SCORE_VARIANTS)
+  const SCORE_VARIANTS = LoveCorpus.SCORE_VARIANTS;
+  let score = SCORE_VARIANTS[0];
+  let scoreAgg = null;
+  let rows = [];
+  let pooled = [];
+  let adjusted = [];
+  let byGenre = [];
+  let breakInfo = null;
+  let clusterByAuthor = false;
+
+  const hiddenGenres = new Set();
+  const scatterHidden = new Set();
+  let scatterDomain = null; // zoomed year window of the scatter, null = full span
+  const registerHidden = new Set();
+
+  // ---- Century × genre aggregates (tools/build-aggregates.js) draw the mean charts; the full CSV
+  // is fetched only for the text-level views (models, scatter, spotlights, text panel), see loadTexts()
+
+  // 95% normal interval from the standard error (needs n ≥ 2)
+  function meanSeries(cells) {
+    return cells.map((d) => {
+      const se = d.n > 1 && d.sd != null ? d.sd / Math.sqrt(d.n) : null;
+      return { century: d.century, mean: d.mean, n: d.n, se, lo: se == null ? null : d.mean - 1.96 * se, hi: se == null ? null : d.mean + 1.96 * se };
+    });
+  }
 
+  // Pooled mean of the chosen genres' cells, century by century (n-weighted)
+  function poolCells(agg, genres) {
+    return centuries
+      .map((c) => {
+        const cells = genres.map((g) => (agg.genres[g] || []).find((d) => d.century === c)).filter(Boolean);
+        const n = d3.sum(cells, (d) => d.n);
+        return n ? { century: c, n, mean: d3.sum(cells, (d) => d.n * d.mean) / n } : null;
+      })
+      .filter(Boolean);
+  }
+
+  // Resolves false when a later call superseded this one while its aggregates loaded
+  let scoreToken = 0;
+  async function applyScore(column) {
+    const next = SCORE_VARIANTS.find((v) => v.column === column) || SCORE_VARIANTS[0];
+    const token = ++scoreToken;
+    const agg = await LoveCorpus.loadScoreAggregate(next.column);
+    if (token !== scoreToken) return false;
+    score = next;
+    scoreAgg = agg;
+    rows = scoreRows();
+    pooled = meanSeries(agg.pooled);
+    byGenre = GENRES.map((g) => ({ genre: g, values: meanSeries(agg.genres[g] || []) }));
+    adjusted = standardizedByCentury(agg);
+    document.querySelectorAll(".score-name").forEach((el) => (el.textContent = score.label));
+    return true;
+  }
+
+  // ---- Genre composition: fixed-weight (direct) standardization and shift-share
+
+  function genreCells(agg, c) {
+    const cells = new Map();
     for (const g of GENRES) {
-      if (up.startsWith(g)) return g;
+      const d = (agg.genres[g] || []).find((cell) => cell.century === c);
+      if (d) cells.set(g, { n: d.n, mean: d.mean });
     }
-    return null;
+    return cells;
   }
 
-  function inferCenturyFromDate(v) {
-    const n = coerceNumber(v);
-    if (n == null) return null;
+  // Weights = each genre's share of the whole corpus
+  function standardizedByCentury(agg) {
+    const total = d3.sum(agg.pooled, (d) => d.n);
+    const weights = new Map(GENRES.map((g) => [g, d3.sum(agg.genres[g] || [], (d) => d.n) / total]));
+    return centuries
+      .map((c) => {
+        const cells = genreCells(agg, c);
+        return { century: c, mean: LoveStats.standardizedMean(cells, weights), genresPresent: cells.size };
+      })
+      .filter((d) => d.mean != null);
+  }
 
+  function renderDecomposition(agg) {
+    const body = document.getElementById("ss_rows");
+    if (!body) return;
+    body.innerHTML = "";
+
+    const present = agg.pooled.map((d) => d.century);
+    let within = 0;
+    let between = 0;
+    for (let i = 1; i < present.length; i++) {
+      const ss = LoveStats.shiftShare(genreCells(agg, present[i - 1]), genreCells(agg, present[i]));
+      if (!ss) continue;
+      within += ss.within;
+      between += ss.between;
+      const tr = document.createElement("tr");
+      tr.innerHTML = `
+        <td><strong>${t("ss.step", { from: LoveI18n.centuryText(present[i - 1]), to: LoveI18n.centuryText(present[i]) })}</strong></td>
+        <td>${num(ss.total, "+.3f")}</td>
+        <td>${num(ss.within, "+.3f")}</td>
+        <td>${num(ss.between, "+.3f")}</td>
+      `;
+      body.appendChild(tr);
+    }
 
-    if (n >= 1 && n <= 30) return Math.round(n);
+    setText(
+      "ss_summary",
+      t("ss.summary", {
+        from: LoveI18n.centuryText(present[0]),
+        to: LoveI18n.centuryText(present[present.length - 1]),
+        within: num(within, "+.3f"),
+        between: num(between, "+.3f"),
+        col: score.column,
+      })
+    );
+  }
 
+  // Fixed domain for bounded scores, data-driven otherwise
+  function yScale(values, plotH) {
+    const domain = score.domain || [0, d3.max(values) || 1];
+    const y = d3.scaleLinear().domain(domain).range([plotH, 0]).clamp(true);
+    return score.domain ? y : y.nice();
+  }
 
-    if (n >= 50 && n <= 2000) {
-      const c = Math.floor((n - 1) / 100) + 1;
-      return c >= 1 && c <= 30 ? c : null;
-    }
-    return null;
+  function drawMeanCharts() {
+    drawGlobalLine("#chart-global", pooled, MIN_C, MAX_C, COLORS.POE, breakInfo, adjusted);
+    drawGenreLines("#chart-genre", byGenre, MIN_C, MAX_C, GENRES, COLORS, () => {
+      if (baseRows) {
+        renderModels(rows, hiddenGenres);
+        renderGenreTests(rows, hiddenGenres);
+      }
+      saveState();
+    });
+  }
+
+  function renderAll() {
+    breakInfo = null;
+    drawMeanCharts();
+    renderDecomposition(scoreAgg);
+    renderTextViews();
+  }
+
+  function renderTextViews() {
+    if (!baseRows) return;
+    drawScatter("#chart-scatter", rows);
+    updateSpotlights();
+    renderModels(rows, hiddenGenres);
+    renderGenreTests(rows, hiddenGenres);
   }
 
+  // ---- Text-level data: the full CSV, fetched once a view that lists or models single texts is near
+
+  let baseRows = null;
+  let textsPromise = null;
+
+  function scoreRows() {
+    if (!baseRows) return [];
+    return baseRows
+      .map((r) => ({ ...r, value: r.scores[score.column] }))
+      .filter((r) => r.value != null);
+  }
+
+  function loadTexts() {
+    if (textsPromise) return textsPromise;
+    textsPromise = LoveCorpus.load()
+      .then((corpus) => {
+        // Scatter x-position: the death year; placeholder-dated texts get a stable position within their century
+        baseRows = corpus.rows.map((r) => {
+          if (r.dated) return { ...r, year: r.date };
+          const baseYear = (r.century - 1) * 100;
+          const jitter = Math.floor(hashToUnit(r.uri || r.title || r.author) * 100);
+          return { ...r, year: baseYear + jitter + 1 };
+        });
+        rows = scoreRows();
+        setupSpotlights(baseRows);
+        renderTextViews();
+        LoveTextPanel.attach(baseRows);
+      })
+      .catch((e) => {
+        console.error(e);
+        const path = LoveCorpus.currentRelease().csv;
+        setText("stats-scope", t("models.no-csv", { path }));
+        showError("#chart-scatter", `Could not load CSV at <code>${path}</code>. Check path + server.`);
+      });
+    return textsPromise;
+  }
+
+  // ---- View state in the URL hash: restored once here, rewritten after every change
+
+  const urlGenres = (key) => LoveUrlState.getList(key).filter((g) => GENRES.includes(g));
+  urlGenres("hide").forEach((g) => hiddenGenres.add(g));
+  urlGenres("shide").forEach((g) => scatterHidden.add(g));
+  urlGenres("rhide").forEach((g) => registerHidden.add(g));
+  score = SCORE_VARIANTS.find((v) => v.column === LoveUrlState.get("score")) || score;
+  const urlMinN = LoveUrlState.getNumber("minn");
+  if (urlMinN >= 1) minN = Math.round(urlMinN);
+  clusterByAuthor = LoveUrlState.get("cluster") === "1";
+  if (LoveUrlState.get("gtest") in GT_TESTS) gtTest = LoveUrlState.get("gtest");
+  const urlWindow = LoveUrlState.getRange("gwin");
+  gtWindow = GT_WINDOWS.find((w) => w && urlWindow && w[0] === urlWindow[0] && w[1] === urlWindow[1]) || null;
+  const urlZoom = LoveUrlState.getRange("zoom");
+  if (urlZoom && urlZoom[0] >= 0 && urlZoom[0] < urlZoom[1] && urlZoom[1] <= MAX_C * 100) scatterDomain = urlZoom;
+
+  function saveState() {
+    LoveUrlState.set({
+      score: score === SCORE_VARIANTS[0] ? null : score.column,
+      hide: GENRES.filter((g) => hiddenGenres.has(g)),
+      shide: GENRES.filter((g) => scatterHidden.has(g)),
+      rhide: GENRES.filter((g) => registerHidden.has(g)),
+      minn: minN === MIN_N_DEFAULT ? null : minN,
+      cluster: clusterByAuthor ? 1 : null,
+      gtest: gtTest === "kruskal" ? null : gtTest,
+      gwin: gtWindow ? windowKey(gtWindow) : null,
+      zoom: scatterDomain ? scatterDomain.map(Math.round).join("-") : null,
+      ...spotlightState(),
+    });
+  }
+
+  const scoreSel = document.getElementById("score-select");
+  if (scoreSel) {
+    for (const v of SCORE_VARIANTS) scoreSel.add(new Option(LoveI18n.scoreLabel(v), v.column));
+    scoreSel.value = score.column;
+    scoreSel.addEventListener("change", async () => {
+      if (!(await applyScore(scoreSel.value))) return;
+      renderAll();
+      saveState();
+    });
+  }
 
-  let raw;
+  const minNEl = document.getElementById("min-n");
+  if (minNEl) {
+    minNEl.value = String(minN);
+    minNEl.addEventListener("change", () => {
+      const v = Math.round(+minNEl.value);
+      minN = Number.isFinite(v) && v >= 1 ? v : MIN_N_DEFAULT;
+      minNEl.value = String(minN);
+      drawMeanCharts();
+      saveState();
+    });
+  }
+
+  const clusterEl = document.getElementById("cluster-authors");
+  if (clusterEl) {
+    clusterEl.checked = clusterByAuthor;
+    clusterEl.addEventListener("change", () => {
+      clusterByAuthor = clusterEl.checked;
+      if (baseRows) renderModels(rows, hiddenGenres);
+      saveState();
+    });
+  }
+
+  const gtTestEl = document.getElementById("gt-test");
+  const gtWindowEl = document.getElementById("gt-window");
+  if (gtTestEl && gtWindowEl) {
+    gtTestEl.value = gtTest;
+    for (const w of GT_WINDOWS) gtWindowEl.add(new Option(gtWindowLabel(w), windowKey(w)));
+    gtWindowEl.value = windowKey(gtWindow);
+    const onPick = () => {
+      gtTest = gtTestEl.value;
+      gtWindow = GT_WINDOWS.find((w) => windowKey(w) === gtWindowEl.value) || null;
+      if (baseRows) renderGenreTests(rows, hiddenGenres);
+      saveState();
+    };
+    gtTestEl.addEventListener("change", onPick);
+    gtWindowEl.addEventListener("change", onPick);
+  }
+
+  let updateSpotlights = () => {};
+  let spotlightState = () => ({});
+
+  let index;
+  let registerAggs;
   try {
-    raw = await d3.csv(CSV_PATH);
+    [index, registerAggs] = await Promise.all([
+      LoveCorpus.loadIndex(),
+      Promise.all(LoveCorpus.REGISTERS.map((k) => LoveCorpus.loadScoreAggregate(`BoC_${k}`))),
+      applyScore(score.column),
+    ]);
   } catch (e) {
     console.error(e);
-    showError("#chart-global", `Could not load CSV at <code>${CSV_PATH}</code>. Check path + server.`);
-    showError("#chart-genre", `Could not load CSV at <code>${CSV_PATH}</code>.`);
-    showError("#chart-scatter", `Could not load CSV at <code>${CSV_PATH}</code>.`);
+    const path = LoveCorpus.currentRelease().csv;
+    showError("#chart-global", `Could not load the aggregates or the CSV at <code>${path}</code>. Check path + server.`);
+    showError("#chart-genre", `Could not load CSV at <code>${path}</code>.`);
+    showError("#chart-scatter", `Could not load CSV at <code>${path}</code>.`);
     return;
   }
 
-  if (!raw || !raw.columns) {
-    showError("#chart-global", "CSV loaded but columns are missing.");
+  if (index.accepted < 20) {
+    showError("#chart-global", `Data loaded but too few usable rows after parsing (${index.accepted}).<br/>${index.summary}`);
     return;
   }
 
-  const columns = raw.columns;
+  const registerAgg = new Map(LoveCorpus.REGISTERS.map((k, i) => [k, registerAggs[i]]));
+  renderAll();
+  drawRegisterMultiples("#chart-registers", registerAgg, MIN_C, MAX_C, GENRES, COLORS);
+
+  setText("stats-scope", t("models.loading"));
+  showError("#chart-scatter", "Loading texts…");
+  const textViews = ["stats-scope", "chart-scatter", "spot-controls"]
+    .map((id) => document.getElementById(id)?.closest("section"))
+    .filter(Boolean);
+  if (LoveUrlState.get("text") || !("IntersectionObserver" in window)) loadTexts();
+  else {
+    const io = new IntersectionObserver(
+      (entries) => {
+        if (!entries.some((e) => e.isIntersecting)) return;
+        io.disconnect();
+        loadTexts();
+      },
+      { rootMargin: "400px 0px" }
+    );
+    textViews.forEach((el) => io.observe(el));
+  }
+  // A text link pasted into the address bar opens the panel once the texts are in
+  window.addEventListener("hashchange", () => {
+    if (LoveUrlState.get("text")) loadTexts();
+  });
+
+  // Language / numerals / calendar switch: relabel and redraw the charts, model notes, genre tests and shift-share
+  LoveI18n.onChange(() => {
+    if (scoreSel) Array.from(scoreSel.options).forEach((o, i) => (o.text = LoveI18n.scoreLabel(SCORE_VARIANTS[i])));
+    const spGenre = document.getElementById("sp-genre");
+    if (spGenre) Array.from(spGenre.options).forEach((o) => o.value && (o.text = genreName(o.value)));
+    for (const id of ["sp-cmin", "sp-cmax"]) {
+      const sel = document.getElementById(id);
+      if (sel) Array.from(sel.options).forEach((o) => (o.text = LoveI18n.centuryOption(+o.value)));
+    }
+    if (gtWindowEl) Array.from(gtWindowEl.options).forEach((o, i) => (o.text = gtWindowLabel(GT_WINDOWS[i])));
+    if (baseRows) {
+      renderModels(rows, hiddenGenres);
+      renderGenreTests(rows, hiddenGenres);
+    }
+    if (scoreAgg) renderDecomposition(scoreAgg);
+    updateSpotlights();
+    drawMeanCharts();
+    if (baseRows) drawScatter("#chart-scatter", rows);
+    drawRegisterMultiples("#chart-registers", registerAgg, MIN_C, MAX_C, GENRES, COLORS);
+  });
+
+  // ---- Export menus: figure as SVG / PNG, aggregates behind it as CSV / JSON (see exportmenu.js)
+
+  const meanRow = (d) => ({
+    century: d.century,
+    n: d.n,
+    mean: d.mean,
+    se: d.se,
+    ci95_low: d.lo,
+    ci95_high: d.hi,
+    below_min_n: d.n < minN,
+  });
+  const currentScore = () => score.column;
+
+  LoveExport.attach("#chart-global", {
+    name: "century-means",
+    score: currentScore,
+    rows: () => {
+      const adj = new Map(adjusted.map((d) => [d.century, d.mean]));
+      return pooled.map((d) => ({ ...meanRow(d), genre_standardized_mean: adj.get(d.century) ?? null }));
+    },
+  });
 
-  const genreCol =
-    findColumn(columns, ["GenreCode", "genrecode", "genre_code", "genre"]) ||
-    findColumnFuzzy(columns, ["genre"]);
+  LoveExport.attach("#chart-genre", {
+    name: "genre-century-means",
+    score: currentScore,
+    rows: () =>
+      byGenre
+        .filter((s) => !hiddenGenres.has(s.genre))
+        .flatMap((s) => s.values.map((d) => ({ genre: s.genre, ...meanRow(d) }))),
+  });
 
-  const dateCol =
-    findColumn(columns, ["date", "Date", "century", "Century", "century_ah"]) ||
-    findColumnFuzzy(columns, ["date", "century"]);
+  LoveExport.attach("#chart-registers", {
+    name: "register-century-means",
+    rows: () =>
+      LoveCorpus.REGISTERS.flatMap((k) =>
+        GENRES.filter((g) => !registerHidden.has(g)).flatMap((g) =>
+          (registerAgg.get(k).genres[g] || []).map((d) => ({ register: `BoC_${k}`, genre: g, century: d.century, n: d.n, mean: d.mean }))
+        )
+      ),
+  });
 
-  const loveCol =
-    findColumn(columns, ["BoC_final_0_2", "boc_final_0_2"]) ||
-    findColumnFuzzy(columns, ["boc_final_0_2", "boc_final"]);
+  const pairRow = (d, p) => ({
+    centuries: windowKey(d.win),
+    test: gtTest,
+    genre_a: d.genres[p.a],
+    genre_b: d.genres[p.b],
+    n_a: d.groups[p.a].length,
+    n_b: d.groups[p.b].length,
+    statistic: p.stat,
+    p: p.p,
+    p_holm: p.pAdj,
+    cliffs_delta: p.delta,
+    cohens_d: p.d,
+  });
 
-  const titleCol =
-    findColumn(columns, ["title_lat", "title", "Title"]) ||
-    findColumnFuzzy(columns, ["title"]);
+  LoveExport.attach("#chart-gtest", {
+    name: "genre-differences",
+    rowsLabel: "pairs",
+    score: currentScore,
+    rows: () => (gtShown && gtShown.fit ? gtShown.fit.pairs.map((p) => pairRow(gtShown, p)) : []),
+  });
 
-  const authorCol =
-    findColumn(columns, ["author_lat", "author", "Author"]) ||
-    findColumnFuzzy(columns, ["author"]);
+  LoveExport.attach("#gt-windows-wrap", {
+    name: "genre-differences-by-window",
+    chart: false,
+    rowsLabel: "tests",
+    score: currentScore,
+    rows: () =>
+      gtAll.map((d) => ({
+        centuries: windowKey(d.win),
+        test: gtTest,
+        texts: d.n,
+        genres: d.genres.join(" "),
+        statistic: d.fit ? d.fit.omnibus.stat : null,
+        df: d.fit ? d.fit.omnibus.df.join(" ") : null,
+        p: d.fit ? d.fit.omnibus.p : null,
+        effect: d.fit ? d.fit.omnibus.effect : null,
+        pairs_holm_05: d.fit ? d.fit.pairs.filter((p) => p.pAdj != null && p.pAdj < 0.05).length : null,
+      })),
+  });
 
-  const uriCol =
-    findColumn(columns, ["version_uri", "uri", "URI", "id", "ID"]) ||
-    findColumnFuzzy(columns, ["uri", "id"]);
+  LoveExport.attach("#chart-scatter", {
+    name: "texts",
+    rowsLabel: "shown texts",
+    score: currentScore,
+    rows: () => {
+      const [a, b] = scatterDomain || [-Infinity, Infinity];
+      return LoveExport.textRows(rows.filter((r) => !scatterHidden.has(r.genre) && r.year >= a && r.year <= b));
+    },
+  });
 
-  if (!genreCol || !loveCol || !dateCol) {
-    showError(
-      "#chart-global",
-      `Could not detect required columns.<br/>
-      genre=<code>${genreCol || "none"}</code> · love=<code>${loveCol || "none"}</code> · date/century=<code>${dateCol || "none"}</code><br/>
-      Columns: <code>${columns.join(", ")}</code>`
-    );
-    return;
-  }
 
+  // ---- Trend models (OLS, one observation per text)
 
-  const rows = [];
-  for (const r of raw) {
-    const genre = normalizeGenre(r[genreCol]) || normalizeGenre(r["GenreLabel"]);
-    if (!genre) continue;
+  function fmtSigned(b, digits = 4) {
+    return `${b < 0 ? "−" : "+"}${Math.abs(b).toFixed(digits)}`;
+  }
 
-    const century = inferCenturyFromDate(r[dateCol]);
-    if (!century) continue;
+  function fmtP(p) {
+    if (p == null) return "p = —";
+    return p < 0.001 ? "p < 0.001" : `p = ${p.toFixed(3)}`;
+  }
 
-    const love = coerceNumber(r[loveCol]);
-    if (love == null) continue;
+  function fmtCoef(c) {
+    return `${fmtSigned(c.b)} (SE ${c.se.toFixed(4)}, t = ${fmtSigned(c.t, 2)}, ${fmtP(c.p)})`;
+  }
 
-    const loveClamped = Math.max(0, Math.min(2, love));
+  function renderModels(rowsAll, hiddenGenres) {
+    const rows = rowsAll.filter((r) => !hiddenGenres.has(r.genre));
+    const shown = GENRES.filter((g) => !hiddenGenres.has(g));
+    const scope = shown.length === GENRES.length ? t("models.all-genres") : shown.map(genreName).join(t("gt.sep")) || t("models.no-genre");
+    const xs = rows.map((r) => r.century);
+    const ys = rows.map((r) => r.value);
+    const opts = clusterByAuthor ? { clusters: rows.map((r) => r.authorId) } : {};
+    const quad = LoveStats.quadraticTrend(xs, ys, opts);
+    const seg = LoveStats.segmentedTrend(xs, ys, BREAK_C, opts);
+
+    const se = quad && quad.clusters ? t("models.clustered", { k: num(quad.clusters) }) : "";
+    setText("stats-scope", t("models.scope", { n: num(rows.length), scope, col: score.column, se }));
+
+    const ids = ["q_century", "q_century2", "q_r2", "q_adjr2", "s_century", "s_post12", "s_cpost12", "s_r2", "s_adjr2"];
+    if (!quad || !seg) {
+      ids.forEach((id) => setText(id, "—"));
+      setText("q_interp", t("models.too-few"));
+      setText("s_interp", "");
+      return;
+    }
+
+    const [, qc, qc2] = quad.coef;
+    setText("q_century", fmtCoef(qc));
+    setText("q_century2", fmtCoef(qc2));
+    setText("q_r2", quad.r2.toFixed(3));
+    setText("q_adjr2", quad.adjR2.toFixed(3));
+    setText("q_interp", interpretQuadratic(qc, qc2));
+
+    const [, sc, spost, scpost] = seg.coef;
+    setText("s_century", fmtCoef(sc));
+    setText("s_post12", fmtCoef(spost));
+    setText("s_cpost12", fmtCoef(scpost));
+    setText("s_r2", seg.r2.toFixed(3));
+    setText("s_adjr2", seg.adjR2.toFixed(3));
+    setText("s_interp", interpretSegmented(sc, spost, scpost));
+
+    renderBreakpoints(xs, ys);
+  }
 
-    const title = titleCol ? norm(r[titleCol]) : "";
-    const author = authorCol ? norm(r[authorCol]) : "";
-    const uri = uriCol ? norm(r[uriCol]) : "";
+  // ---- Breakpoint search: scan candidates now, bootstrap the location once the page is idle
 
+  function renderBreakpoints(xs, ys) {
+    const { scan, best } = LoveStats.breakpointScan(xs, ys, BREAK_CANDIDATES);
+    const linear = LoveStats.linearTrend(xs, ys);
+    const token = ++bootToken;
 
-    const baseYear = (century - 1) * 100; 
-    const jitter = Math.floor(hashToUnit(uri || title || author) * 100); 
-    const yearApprox = baseYear + jitter + 1;
+    if (!best || !linear) {
+      setText("bp_best", t("bp.too-few"));
+      fillBreakTable([], null, null);
+      breakInfo = null;
+      drawGlobalLine("#chart-global", pooled, MIN_C, MAX_C, COLORS.POE, breakInfo, adjusted);
+      return;
+    }
 
-    rows.push({
-      genre,
-      century,
-      year: yearApprox,
-      love: loveClamped,
-      title,
-      author,
-      uri,
+    const dAicLinear = LoveStats.infoCriteria(linear).aic - best.aic;
+    const head = t("bp.head", {
+      c: LoveI18n.centuryText(best.breakAt),
+      aic: num(best.aic, ".1f"),
+      d: num(dAicLinear, ".1f"),
     });
+    setText("bp_best", t("bp.booting", { head }));
+    fillBreakTable(scan, best, null);
+    breakInfo = { breakAt: best.breakAt };
+    drawGlobalLine("#chart-global", pooled, MIN_C, MAX_C, COLORS.POE, breakInfo, adjusted);
+
+    setTimeout(() => {
+      if (token !== bootToken) return;
+      const boot = LoveStats.bootstrapBreakpoint(xs, ys, BREAK_CANDIDATES, { B: BOOT_B, seed: 12 });
+      const [lo, hi] = boot.ci;
+      const share = boot.B ? Math.round((100 * boot.freq.get(best.breakAt)) / boot.B) : 0;
+      setText(
+        "bp_best",
+        t("bp.boot", {
+          head,
+          b: num(boot.B),
+          lo: num(lo),
+          hi: num(hi),
+          c: LoveI18n.centuryText(best.breakAt),
+          share: num(share),
+          stability: t(hi - lo <= 2 ? "bp.stable" : "bp.unstable"),
+        })
+      );
+      fillBreakTable(scan, best, boot);
+      breakInfo = { breakAt: best.breakAt, ci: boot.ci };
+      drawGlobalLine("#chart-global", pooled, MIN_C, MAX_C, COLORS.POE, breakInfo, adjusted);
+    }, 30);
   }
 
-  if (rows.length < 20) {
-    showError(
-      "#chart-global",
-      `Data loaded but too few usable rows after parsing (${rows.length}).<br/>
-      genreCol=<code>${genreCol}</code> · loveCol=<code>${loveCol}</code> · dateCol=<code>${dateCol}</code>`
-    );
-    return;
+  function fillBreakTable(scan, best, boot) {
+    const body = document.getElementById("bp_rows");
+    if (!body) return;
+    body.innerHTML = "";
+    for (const d of scan) {
+      const tr = document.createElement("tr");
+      if (best && d.breakAt === best.breakAt) tr.className = "is-best";
+      const share = boot && boot.B ? `${Math.round((100 * boot.freq.get(d.breakAt)) / boot.B)}%` : "…";
+      tr.innerHTML = `
+        <td><strong>${d.breakAt}</strong></td>
+        <td>${d.sse.toFixed(2)}</td>
+        <td>${d.aic.toFixed(1)}</td>
+        <td>${d.bic.toFixed(1)}</td>
+        <td>${(d.aic - best.aic).toFixed(1)}</td>
+        <td>${share}</td>
+      `;
+      body.appendChild(tr);
+    }
   }
 
-  const MIN_C = 2;
-  const MAX_C = 15;
-  const centuries = d3.range(MIN_C, MAX_C + 1);
+  function interpretQuadratic(c1, c2) {
+    if (c2.p == null || c2.p >= 0.05) return t("q.flat");
+    const vertex = -c1.b / (2 * c2.b);
+    const turn = vertex > MIN_C && vertex < MAX_C ? t("q.turn", { c: LoveI18n.centuryText(Math.round(vertex)) }) : "";
+    if (c2.b > 0 && c1.b < 0) return t("q.rebound", { turn });
+    if (c2.b > 0) return t("q.convex", { turn });
+    return t("q.concave", { turn });
+  }
 
-  const pooled = centuries
-    .map((c) => {
-      const vals = rows.filter((r) => r.century === c).map((r) => r.love);
-      return { century: c, mean: vals.length ? d3.mean(vals) : null, n: vals.length };
-    })
-    .filter((d) => d.mean != null);
+  function interpretSegmented(c, post, cpost) {
+    const at = LoveI18n.centuryText(BREAK_C);
+    const broke = (post.p != null && post.p < 0.05) || (cpost.p != null && cpost.p < 0.05);
+    if (!broke) return t("s.none", { c: at });
+    const after = c.b + cpost.b;
+    const slopes = t("s.slopes", { before: num(c.b, "+.4f"), after: num(after, "+.4f") });
+    return t(after > 0 ? "s.rebound" : "s.change", { c: at, slopes });
+  }
 
-  const byGenre = [];
-  for (const g of GENRES) {
-    const series = centuries
-      .map((c) => {
-        const vals = rows.filter((r) => r.genre === g && r.century === c).map((r) => r.love);
-        return { century: c, mean: vals.length ? d3.mean(vals) : null, n: vals.length };
-      })
-      .filter((d) => d.mean != null);
-    byGenre.push({ genre: g, values: series });
+  // ---- Genre differences: omnibus test, Holm-adjusted pairs and effect sizes, overall and by century window
+
+  function genreTest(rowsAll, hidden, win) {
+    const inWin = rowsAll.filter((r) => !hidden.has(r.genre) && (!win || (r.century >= win[0] && r.century <= win[1])));
+    const byGenre = d3.group(inWin, (r) => r.genre);
+    const genres = GENRES.filter((g) => (byGenre.get(g) || []).length >= GT_MIN_N);
+    const dropped = GENRES.filter((g) => !hidden.has(g) && !genres.includes(g) && byGenre.has(g));
+    const groups = genres.map((g) => byGenre.get(g).map((r) => r.value));
+    const fit = genres.length >= 2 ? LoveStats.groupDifferences(groups, { test: gtTest }) : null;
+    return { win, genres, dropped, groups, fit, n: d3.sum(groups, (g) => g.length) };
+  }
+
+  function fmtPValue(p) {
+    if (p == null) return "—";
+    return p < 0.001 ? `< ${num(0.001, ".3f")}` : num(p, ".3f");
+  }
+
+  function stars(p) {
+    if (p == null || p >= 0.05) return "";
+    return p < 0.001 ? "***" : p < 0.01 ? "**" : "*";
+  }
+
+  function effectWord(v, cuts) {
+    if (v == null) return "—";
+    const a = Math.abs(v);
+    return t(`gt.size-${a < cuts[0] ? "negligible" : a < cuts[1] ? "small" : a < cuts[2] ? "medium" : "large"}`);
   }
 
-  setText("q_century", "−0.1228 (p < 0.001)");
-  setText("q_century2", "+0.0065 (p < 0.001)");
-  setText("q_r2", "0.027");
-  setText("q_interp", "The positive quadratic term indicates curvature: after a long decline, the trend bends upward in later centuries.");
+  // Conventional thresholds: Cliff's δ 0.147 / 0.33 / 0.474 (Romano et al.), Cohen's d 0.2 / 0.5 / 0.8
+  const DELTA_CUTS = [0.147, 0.33, 0.474];
+  const D_CUTS = [0.2, 0.5, 0.8];
+
+  // A fit with no p-value (no variance within the genres) is reported as untestable
+  const testable = (d) => d.fit && d.fit.omnibus.p != null;
+
+  function renderGenreTests(rowsAll, hidden) {
+    const spec = GT_TESTS[gtTest];
+    const all = GT_WINDOWS.map((w) => genreTest(rowsAll, hidden, w));
+    gtShown = all.find((d) => windowKey(d.win) === windowKey(gtWindow)) || all[0];
+
+    const body = document.getElementById("gt-windows");
+    if (body) {
+      body.innerHTML = "";
+      for (const d of all) {
+        const tr = document.createElement("tr");
+        if (d === gtShown) tr.className = "is-best";
+        const o = testable(d) ? d.fit.omnibus : null;
+        const sig = o ? d.fit.pairs.filter((p) => p.pAdj != null && p.pAdj < 0.05).length : 0;
+        tr.innerHTML = `
+          <td><strong>${windowText(d.win)}</strong></td>
+          <td>${num(d.n)}</td>
+          <td>${d.genres.map(genreName).join(t("gt.sep")) || "—"}</td>
+          <td>${o ? `${spec.stat} = ${num(o.stat, ".2f")}` : "—"}</td>
+          <td>${o ? fmtPValue(o.p) : "—"}</td>
+          <td>${o && o.effect != null ? `${spec.effect} = ${num(o.effect, ".3f")} (${effectWord(o.effect, spec.cuts)})` : "—"}</td>
+          <td>${o ? t("gt.k-of-n", { k: num(sig), n: num(d.fit.pairs.length) }) : "—"}</td>
+        `;
+        tr.addEventListener("click", () => {
+          gtWindow = d.win;
+          const sel = document.getElementById("gt-window");
+          if (sel) sel.value = windowKey(gtWindow);
+          renderGenreTests(rows, hiddenGenres);
+          saveState();
+        });
+        body.appendChild(tr);
+      }
+    }
 
-  setText("s_century", "−0.0527 (p < 0.001)");
-  setText("s_post12", "+1.8875 (p < 0.001)");
-  setText("s_cpost12", "−0.0955 (p = 0.007)");
-  setText("s_r2", "0.041");
-  setText("s_interp", "The model detects a break, but the post-12 period does not form a clean recovery slope. This suggests a change in dynamics rather than a simple monotonic return.");
+    gtAll = all;
+    setText("gt-omnibus", genreTestSummary(gtShown));
+    drawGenreMatrix("#chart-gtest", gtShown);
+  }
 
-  drawGlobalLine("#chart-global", pooled, MIN_C, MAX_C, COLORS.POE);
-  drawGenreLines("#chart-genre", byGenre, MIN_C, MAX_C, GENRES, COLORS);
-  drawScatter("#chart-scatter", rows);
-  renderSpotlights(rows, SCATTER_X_MIN, SCATTER_X_MAX);
+  function genreTestSummary(d) {
+    const spec = GT_TESTS[gtTest];
+    const w = windowText(d.win);
+    const dropped = d.dropped.length ? t("gt.dropped", { genres: d.dropped.map(genreName).join(t("gt.sep")), m: num(GT_MIN_N) }) : "";
+    if (!d.fit) return t("gt.too-few", { w, m: num(GT_MIN_N) }) + dropped;
+    if (!testable(d)) return t("gt.no-variance", { w }) + dropped;
+    const o = d.fit.omnibus;
+    const sig = d.fit.pairs.filter((p) => p.pAdj != null && p.pAdj < 0.05).length;
+    const verdict = o.p < 0.05
+      ? t("gt.differ", { size: effectWord(o.effect, spec.cuts), k: num(sig), n: num(d.fit.pairs.length) })
+      : t("gt.same");
+    return t("gt.summary", {
+      test: t(`gt.${gtTest}`),
+      col: score.column,
+      w,
+      g: num(d.genres.length),
+      n: num(d.n),
+      stat: `${spec.stat} = ${num(o.stat, ".2f")}`,
+      df: o.df.map((v) => num(v)).join(t("gt.sep")),
+      p: o.p < 0.001 ? `< ${num(0.001, ".3f")}` : `= ${num(o.p, ".3f")}`,
+      effect: o.effect == null ? "—" : `${spec.effect} = ${num(o.effect, ".3f")}`,
+      verdict,
+    }) + dropped;
+  }
 
+  function drawGenreMatrix(selector, d) {
+    const container = document.querySelector(selector);
+    if (!container) return;
+    container.innerHTML = "";
+    if (!testable(d)) return;
+
+    const spec = GT_TESTS[gtTest];
+    const genres = d.genres;
+    const cell = 64;
+    const margin = C.margin({ top: 56, right: 16, bottom: 12, left: 120 });
+    const plotW = genres.length * cell;
+    const width = Math.max(480, margin.left + plotW + margin.right);
+    const height = margin.top + plotW + margin.bottom;
+    const svg = d3
+      .select(container)
+      .append("svg")
+      .attr("viewBox", `0 0 ${width} ${height}`)
+      .attr("width", "100%")
+      .attr("height", "100%");
+    const tip = addTip(container);
+    const g = svg.append("g").attr("transform", `translate(${LoveI18n.isRtl() ? width - margin.right - plotW : margin.left},${margin.top})`);
+
+    const x = d3.scaleBand().domain(genres).range(C.range(plotW));
+    const y = d3.scaleBand().domain(genres).range([0, plotW]);
+    const maxEffect = gtTest === "anova" ? 1.5 : 0.75;
+    const color = d3.scaleDiverging()
+      .domain([-maxEffect, 0, maxEffect])
+      .interpolator(d3.interpolateRgbBasis(["#3E6A8A", "#F6F1E7", "#7A2C2A"]))
+      .clamp(true);
+
+    // Pair (a, b) holds a − b; the mirrored cell shows b − a
+    const cells = [];
+    for (const p of d.fit.pairs) {
+      const flip = (v) => (v == null ? null : -v);
+      cells.push({ row: genres[p.a], col: genres[p.b], ...p, e: p[spec.pairEffect] });
+      cells.push({ row: genres[p.b], col: genres[p.a], ...p, stat: flip(p.stat), delta: flip(p.delta), d: flip(p.d), e: flip(p[spec.pairEffect]) });
+    }
+
+    genres.forEach((gk, i) => {
+      g.append("rect")
+        .attr("x", x(gk))
+        .attr("y", y(gk))
+        .attr("width", x.bandwidth())
+        .attr("height", y.bandwidth())
+        .attr("fill", "rgba(43,36,32,0.06)");
+      g.append("text")
+        .attr("x", x(gk) + x.bandwidth() / 2)
+        .attr("y", y(gk) + y.bandwidth() / 2 + 4)
+        .attr("text-anchor", "middle")
+        .style("font-size", "11px")
+        .attr("fill", "currentColor")
+        .text(`n=${num(d.groups[i].length)}`);
+    });
+
+    g.selectAll("g.gt-cell")
+      .data(cells)
+      .enter()
+      .append("g")
+      .attr("class", "gt-cell")
+      .attr("transform", (c) => `translate(${x(c.col)},${y(c.row)})`)
+      .each(function (c) {
+        const sig = c.pAdj != null && c.pAdj < 0.05;
+        const cg = d3.select(this);
+        cg.append("rect")
+          .attr("width", x.bandwidth() - 2)
+          .attr("height", y.bandwidth() - 2)
+          .attr("x", 1)
+          .attr("y", 1)
+          .attr("fill", c.e == null ? "#eee" : color(c.e))
+          .attr("opacity", sig ? 1 : 0.35);
+        cg.append("text")
+          .attr("x", x.bandwidth() / 2)
+          .attr("y", y.bandwidth() / 2)
+          .attr("text-anchor", "middle")
+          .style("font-size", "12px")
+          .style("font-weight", sig ? 700 : 400)
+          .attr("fill", c.e != null && Math.abs(c.e) > maxEffect * 0.6 ? "#F6F1E7" : "currentColor")
+          .text(c.e == null ? "—" : num(c.e, "+.2f"));
+        cg.append("text")
+          .attr("x", x.bandwidth() / 2)
+          .attr("y", y.bandwidth() / 2 + 14)
+          .attr("text-anchor", "middle")
+          .style("font-size", "11px")
+          .attr("fill", c.e != null && Math.abs(c.e) > maxEffect * 0.6 ? "#F6F1E7" : "currentColor")
+          .text(stars(c.pAdj));
+      })
+      .on("mouseenter", (event, c) => {
+        tip.style("opacity", 1)
+          .html(
+            `<strong>${t("gt.vs", { a: genreName(c.row), b: genreName(c.col) })}</strong><br/>` +
+              `${t("gt.delta")} = ${c.delta == null ? "—" : num(c.delta, "+.3f")} (${effectWord(c.delta, DELTA_CUTS)}) · ` +
+              `${t("gt.d")} = ${c.d == null ? "—" : num(c.d, "+.3f")} (${effectWord(c.d, D_CUTS)})<br/>` +
+              `${spec.pair} = ${c.stat == null ? "—" : num(c.stat, "+.2f")} · p = ${fmtPValue(c.p)} · ${t("gt.holm-p")} = ${fmtPValue(c.pAdj)}`
+          )
+          .style("left", `${event.offsetX + 12}px`)
+          .style("top", `${event.offsetY - 8}px`);
+      })
+      .on("mousemove", (event) => {
+        tip.style("left", `${event.offsetX + 12}px`).style("top", `${event.offsetY - 8}px`);
+      })
+      .on("mouseleave", () => tip.style("opacity", 0));
+
+    // Row labels at the reading start, column labels on top
+    genres.forEach((gk) => {
+      g.append("text")
+        .attr("x", C.start(plotW) + C.side(-8))
+        .attr("y", y(gk) + y.bandwidth() / 2 + 4)
+        .attr("text-anchor", C.anchor("end"))
+        .attr("fill", COLORS[gk] || "currentColor")
+        .style("font-weight", 700)
+        .style("font-size", "12px")
+        .text(genreName(gk));
+      g.append("text")
+        .attr("x", x(gk) + x.bandwidth() / 2)
+        .attr("y", -10)
+        .attr("text-anchor", "middle")
+        .attr("fill", COLORS[gk] || "currentColor")
+        .style("font-weight", 700)
+        .style("font-size", "12px")
+        .text(genreName(gk));
+    });
+
+    g.append("text")
+      .attr("x", C.start(plotW))
+      .attr("y", -36)
+      .attr("text-anchor", C.anchor("start"))
+      .attr("fill", "currentColor")
+      .style("font-weight", 600)
+      .style("font-size", "12px")
+      .text(t("gt.matrix-title", { effect: t(`gt.${spec.pairEffect}`), w: windowText(d.win) }));
+  }
 
   function baseSvg(container, height = 420) {
     container.innerHTML = "";
@@ -254,47 +869,200 @@ document.addEventListener("DOMContentLoaded", async () => {
     return d3.select(container).append("div").attr("class", "viztip").style("opacity", 0);
   }
 
-  function drawGlobalLine(selector, data, minC, maxC, strokeColor) {
+  function axisTitle(g, label, plotW) {
+    g.append("text")
+      .attr("x", C.start(plotW))
+      .attr("y", -12)
+      .attr("text-anchor", C.anchor("start"))
+      .attr("fill", "currentColor")
+      .style("font-weight", 600)
+      .style("font-size", "12px")
+      .text(label);
+  }
+
+  // Upper band edges of the cells that pass the min-n threshold (for data-driven y domains)
+  function bandTops(values) {
+    return values.filter((d) => d.n >= minN && d.hi != null).map((d) => d.hi);
+  }
+
+  function meanTip(label, d) {
+    const ci = d.se == null ? "" : t("tip.ci", { lo: num(d.lo, ".3f"), hi: num(d.hi, ".3f") });
+    const thin = d.n < minN ? ` · <em>${t("tip.thin", { m: num(minN) })}</em>` : "";
+    return `<strong>${label}</strong> · ${LoveI18n.centuryText(d.century)}<br/>` +
+      `${t("tip.mean", { col: score.column, v: num(d.mean, ".3f") })}${ci}<br/>n=${num(d.n)}${thin}`;
+  }
+
+  // One mean line with its 95% band. Cells below the min-n threshold break the solid line
+  // (a faint dotted trace keeps the sequence readable) and are marked with hollow points.
+  function drawMeanSeries(g, values, x, y, color, strokeWidth) {
+    const ok = (d) => d.n >= minN;
+    const s = g.append("g").attr("class", "mean-series");
+
+    s.append("path")
+      .datum(values)
+      .attr("class", "mean-band")
+      .attr("fill", color)
+      .attr("opacity", 0.13)
+      .attr("d", d3.area()
+        .defined((d) => ok(d) && d.se != null)
+        .x((d) => x(d.century))
+        .y0((d) => y(d.lo))
+        .y1((d) => y(d.hi))
+        .curve(d3.curveMonotoneX));
+
+    s.append("path")
+      .datum(values)
+      .attr("fill", "none")
+      .attr("stroke", color)
+      .attr("stroke-width", 1.2)
+      .attr("stroke-dasharray", "2 3")
+      .attr("opacity", 0.45)
+      .attr("d", d3.line().x((d) => x(d.century)).y((d) => y(d.mean)).curve(d3.curveMonotoneX));
+
+    s.append("path")
+      .datum(values)
+      .attr("fill", "none")
+      .attr("stroke", color)
+      .attr("stroke-width", strokeWidth)
+      .attr("opacity", 0.95)
+      .attr("d", d3.line().defined(ok).x((d) => x(d.century)).y((d) => y(d.mean)).curve(d3.curveMonotoneX));
+
+    s.selectAll("circle.thin-cell")
+      .data(values.filter((d) => !ok(d)))
+      .enter()
+      .append("circle")
+      .attr("class", "thin-cell")
+      .attr("cx", (d) => x(d.century))
+      .attr("cy", (d) => y(d.mean))
+      .attr("r", 3.4)
+      .attr("fill", "#F6F1E7")
+      .attr("stroke", color)
+      .attr("stroke-width", 1.6);
+
+    return s;
+  }
+
+  function drawGlobalLine(selector, data, minC, maxC, strokeColor, breakInfo, adjustedData) {
     const container = document.querySelector(selector);
     if (!container) return;
 
     const { svg, width, height } = baseSvg(container, 420);
-    const margin = { top: 28, right: 24, bottom: 44, left: 54 };
+    const margin = C.margin({ top: 28, right: 24, bottom: 44, left: 54 });
     const plotW = width - margin.left - margin.right;
     const plotH = height - margin.top - margin.bottom;
 
     const g = svg.append("g").attr("transform", `translate(${margin.left},${margin.top})`);
 
-    const x = d3.scaleLinear().domain([minC, maxC]).range([0, plotW]);
-    const y = d3.scaleLinear().domain([0, 2]).range([plotH, 0]);
+    const x = d3.scaleLinear().domain([minC, maxC]).range(C.range(plotW));
+    const y = yScale([...data, ...(adjustedData || [])].map((d) => d.mean).concat(bandTops(data)), plotH);
 
     g.append("g")
       .attr("class", "grid")
-      .call(d3.axisLeft(y).ticks(5).tickSize(-plotW).tickFormat(""))
+      .attr("transform", `translate(${C.start(plotW)},0)`)
+      .call(C.yAxis(y).ticks(5).tickSize(-plotW).tickFormat(""))
       .attr("opacity", 0.18);
 
     g.append("g")
       .attr("transform", `translate(0,${plotH})`)
-      .call(d3.axisBottom(x).ticks(maxC - minC).tickFormat(d3.format("d")));
-
-    g.append("g").call(d3.axisLeft(y).ticks(5));
+      .call(d3.axisBottom(x).ticks(maxC - minC).tickFormat(LoveI18n.centuryTick));
+
+    g.append("g").attr("transform", `translate(${C.start(plotW)},0)`).call(C.yAxis(y).ticks(5));
+    axisTitle(g, t("axis.mean", { label: LoveI18n.scoreLabel(score) }), plotW);
+
+    if (breakInfo) {
+      const bx = x(breakInfo.breakAt);
+      const ov = g.append("g").attr("class", "break-overlay");
+      if (breakInfo.ci) {
+        ov.append("rect")
+          .attr("x", x(breakInfo.ci[0]))
+          .attr("width", Math.max(2, x(breakInfo.ci[1]) - x(breakInfo.ci[0])))
+          .attr("y", 0)
+          .attr("height", plotH)
+          .attr("fill", "#C39A6B")
+          .attr("opacity", 0.14);
+      }
+      ov.append("line")
+        .attr("x1", bx).attr("x2", bx)
+        .attr("y1", 0).attr("y2", plotH)
+        .attr("stroke", "#3E2A61")
+        .attr("stroke-width", 1.6)
+        .attr("stroke-dasharray", "5 4");
+      ov.append("text")
+        .attr("x", bx + C.side(-6))
+        .attr("y", 12)
+        .attr("text-anchor", C.anchor("end"))
+        .attr("fill", "#3E2A61")
+        .style("font-size", "12px")
+        .style("font-weight", 600)
+        .text(breakInfo.ci
+          ? t("chart.best-break-ci", { c: num(breakInfo.breakAt), lo: num(breakInfo.ci[0]), hi: num(breakInfo.ci[1]) })
+          : t("chart.best-break", { c: num(breakInfo.breakAt) }));
+    }
 
     const line = d3.line()
       .x((d) => x(d.century))
       .y((d) => y(d.mean))
       .curve(d3.curveMonotoneX);
 
-    g.append("path")
-      .datum(data)
-      .attr("fill", "none")
-      .attr("stroke", strokeColor)
-      .attr("stroke-width", 2.6)
-      .attr("opacity", 0.95)
-      .attr("d", line);
-
     const tip = addTip(container);
 
-    g.selectAll("circle")
+    if (adjustedData && adjustedData.length) {
+      g.append("path")
+        .datum(adjustedData)
+        .attr("fill", "none")
+        .attr("stroke", "#0E3A45")
+        .attr("stroke-width", 2)
+        .attr("stroke-dasharray", "6 4")
+        .attr("opacity", 0.9)
+        .attr("d", line);
+
+      g.append("g")
+        .selectAll("circle")
+        .data(adjustedData)
+        .enter()
+        .append("circle")
+        .attr("cx", (d) => x(d.century))
+        .attr("cy", (d) => y(d.mean))
+        .attr("r", 3)
+        .attr("fill", "#0E3A45")
+        .attr("opacity", 0.0)
+        .on("mouseenter", (event, d) => {
+          d3.select(event.currentTarget).attr("opacity", 0.95);
+          tip.style("opacity", 1)
+            .html(`<strong>${t("tip.standardized")}</strong> · ${LoveI18n.centuryText(d.century)}<br/>` +
+              `${t("tip.mean", { col: score.column, v: num(d.mean, ".3f") })}<br/>` +
+              t("tip.genres-present", { k: num(d.genresPresent), n: num(GENRES.length) }))
+            .style("left", `${event.offsetX + 12}px`)
+            .style("top", `${event.offsetY - 8}px`);
+        })
+        .on("mousemove", (event) => {
+          tip.style("left", `${event.offsetX + 12}px`).style("top", `${event.offsetY - 8}px`);
+        })
+        .on("mouseleave", (event) => {
+          d3.select(event.currentTarget).attr("opacity", 0.0);
+          tip.style("opacity", 0);
+        });
+
+      const lg = g.append("g").attr("transform", `translate(${C.end(plotW) + C.side(-190)}, ${plotH - 34})`);
+      [[t("chart.raw-pooled"), strokeColor, null], [t("chart.standardized"), "#0E3A45", "6 4"]].forEach(([label, color, dash], i) => {
+        const row = lg.append("g").attr("transform", `translate(0, ${i * 16})`);
+        row.append("line")
+          .attr("x1", 0).attr("x2", C.side(22))
+          .attr("stroke", color)
+          .attr("stroke-width", 2.4)
+          .attr("stroke-dasharray", dash);
+        row.append("text")
+          .attr("x", C.side(28)).attr("y", 4)
+          .attr("text-anchor", C.anchor("start"))
+          .style("font-size", "12px")
+          .text(label);
+      });
+    }
+
+    drawMeanSeries(g, data, x, y, strokeColor, 2.6);
+
+    g.append("g")
+      .selectAll("circle")
       .data(data)
       .enter()
       .append("circle")
@@ -306,7 +1074,7 @@ document.addEventListener("DOMContentLoaded", async () => {
       .on("mouseenter", (event, d) => {
         d3.select(event.currentTarget).attr("opacity", 0.95);
         tip.style("opacity", 1)
-          .html(`<strong>All genres</strong> · century ${d.century} AH<br/>mean Love Index: ${d.mean.toFixed(3)}<br/>n=${d.n}`)
+          .html(meanTip(t("chart.all-genres"), d))
           .style("left", `${event.offsetX + 12}px`)
           .style("top", `${event.offsetY - 8}px`);
       })
@@ -319,37 +1087,34 @@ document.addEventListener("DOMContentLoaded", async () => {
       });
   }
 
-  function drawGenreLines(selector, seriesByGenre, minC, maxC, genres, colors) {
+  function drawGenreLines(selector, seriesByGenre, minC, maxC, genres, colors, onToggle) {
     const container = document.querySelector(selector);
     if (!container) return;
 
     const { svg, width, height } = baseSvg(container, 440);
-    const margin = { top: 28, right: 120, bottom: 44, left: 54 };
+    const margin = C.margin({ top: 28, right: 120, bottom: 44, left: 54 });
     const plotW = width - margin.left - margin.right;
     const plotH = height - margin.top - margin.bottom;
 
     const g = svg.append("g").attr("transform", `translate(${margin.left},${margin.top})`);
 
-    const x = d3.scaleLinear().domain([minC, maxC]).range([0, plotW]);
-    const y = d3.scaleLinear().domain([0, 2]).range([plotH, 0]);
+    const x = d3.scaleLinear().domain([minC, maxC]).range(C.range(plotW));
+    const y = yScale(seriesByGenre.flatMap((s) => s.values.map((d) => d.mean).concat(bandTops(s.values))), plotH);
 
     g.append("g")
       .attr("class", "grid")
-      .call(d3.axisLeft(y).ticks(5).tickSize(-plotW).tickFormat(""))
+      .attr("transform", `translate(${C.start(plotW)},0)`)
+      .call(C.yAxis(y).ticks(5).tickSize(-plotW).tickFormat(""))
       .attr("opacity", 0.18);
 
     g.append("g")
       .attr("transform", `translate(0,${plotH})`)
-      .call(d3.axisBottom(x).ticks(maxC - minC).tickFormat(d3.format("d")));
+      .call(d3.axisBottom(x).ticks(maxC - minC).tickFormat(LoveI18n.centuryTick));
 
-    g.append("g").call(d3.axisLeft(y).ticks(5));
+    g.append("g").attr("transform", `translate(${C.start(plotW)},0)`).call(C.yAxis(y).ticks(5));
+    axisTitle(g, t("axis.mean", { label: LoveI18n.scoreLabel(score) }), plotW);
 
-    const line = d3.line()
-      .x((d) => x(d.century))
-      .y((d) => y(d.mean))
-      .curve(d3.curveMonotoneX);
-
-    const hidden = new Set();
+    const hidden = hiddenGenres;
     const tip = addTip(container);
     const paths = new Map();
     const pts = new Map();
@@ -357,15 +1122,7 @@ document.addEventListener("DOMContentLoaded", async () => {
     for (const s of seriesByGenre) {
       const k = s.genre;
 
-      const p = g.append("path")
-        .datum(s.values)
-        .attr("fill", "none")
-        .attr("stroke", colors[k] || "#999")
-        .attr("stroke-width", 2.4)
-        .attr("opacity", 0.92)
-        .attr("d", line);
-
-      paths.set(k, p);
+      paths.set(k, drawMeanSeries(g, s.values, x, y, colors[k] || "#999", 2.4));
 
       const circles = g.selectAll(`.pt-${k}`)
         .data(s.values)
@@ -381,7 +1138,7 @@ document.addEventListener("DOMContentLoaded", async () => {
           if (hidden.has(k)) return;
           d3.select(event.currentTarget).attr("opacity", 0.95);
           tip.style("opacity", 1)
-            .html(`<strong>${k}</strong> · century ${d.century} AH<br/>mean Love Index: ${d.mean.toFixed(3)}<br/>n=${d.n}`)
+            .html(meanTip(genreName(k), d))
             .style("left", `${event.offsetX + 12}px`)
             .style("top", `${event.offsetY - 8}px`);
         })
@@ -396,7 +1153,7 @@ document.addEventListener("DOMContentLoaded", async () => {
       pts.set(k, circles);
     }
 
-    const lg = g.append("g").attr("transform", `translate(${plotW + 18}, 8)`);
+    const lg = g.append("g").attr("transform", `translate(${C.end(plotW) + C.side(18)}, 8)`);
 
     genres.forEach((k, i) => {
       const row = lg.append("g")
@@ -405,6 +1162,7 @@ document.addEventListener("DOMContentLoaded", async () => {
         .on("click", () => toggle(k, row));
 
       row.append("rect")
+        .attr("x", C.box(12))
         .attr("width", 12)
         .attr("height", 12)
         .attr("rx", 3)
@@ -412,11 +1170,12 @@ document.addEventListener("DOMContentLoaded", async () => {
         .attr("fill", colors[k] || "#999");
 
       row.append("text")
-        .attr("x", 18)
+        .attr("x", C.side(18))
         .attr("y", 0)
+        .attr("text-anchor", C.anchor("start"))
         .style("font-size", "12px")
         .style("font-weight", 800)
-        .text(k);
+        .text(genreName(k));
 
       function toggle(genre, rowSel) {
         if (hidden.has(genre)) hidden.delete(genre);
@@ -430,61 +1189,241 @@ document.addEventListener("DOMContentLoaded", async () => {
         if (path) path.attr("display", isOff ? "none" : null);
         if (cir) cir.attr("display", isOff ? "none" : null);
         tip.style("opacity", 0);
+        if (onToggle) onToggle(new Set(hidden));
+      }
+
+      if (hidden.has(k)) {
+        row.classed("is-off", true);
+        if (paths.get(k)) paths.get(k).attr("display", "none");
+        if (pts.get(k)) pts.get(k).attr("display", "none");
+      }
+    });
+  }
+
+  // Small multiples: one panel per BoC register, one line per genre plus the pooled mean
+  // of the visible genres. Legend toggles apply to every panel at once.
+  function drawRegisterMultiples(selector, aggs, minC, maxC, genres, colors) {
+    const container = document.querySelector(selector);
+    if (!container) return;
+
+    const regs = LoveCorpus.REGISTERS;
+    const cols = 3;
+    const panelW = 250;
+    const panelH = 150;
+    const gap = { x: 34, y: 46 };
+    const margin = C.margin({ top: 44, right: 12, bottom: 30, left: 38 });
+    const width = margin.left + cols * panelW + (cols - 1) * gap.x + margin.right;
+    const height = margin.top + Math.ceil(regs.length / cols) * (panelH + gap.y) - gap.y + margin.bottom;
+
+    container.innerHTML = "";
+    const svg = d3
+      .select(container)
+      .append("svg")
+      .attr("viewBox", `0 0 ${width} ${height}`)
+      .attr("width", "100%")
+      .attr("height", "100%");
+
+    const hidden = registerHidden;
+    const tip = addTip(container);
+
+    const byGenreReg = new Map(genres.map((gk) => [gk, new Map(regs.map((k) => [k, aggs.get(k).genres[gk] || []]))]));
+
+    // Shared y-domain so registers can be compared with each other
+    const yMax = d3.max(byGenreReg.values(), (m) => d3.max(m.values(), (s) => d3.max(s, (d) => d.mean))) || 1;
+
+    const x = d3.scaleLinear().domain([minC, maxC]).range(C.range(panelW));
+    const y = d3.scaleLinear().domain([0, yMax]).nice().range([panelH, 0]);
+    const line = d3.line()
+      .x((d) => x(d.century))
+      .y((d) => y(d.mean))
+      .curve(d3.curveMonotoneX);
+
+    const panels = regs.map((k, i) => {
+      const col = LoveI18n.isRtl() ? cols - 1 - (i % cols) : i % cols;
+      const px = margin.left + col * (panelW + gap.x);
+      const py = margin.top + Math.floor(i / cols) * (panelH + gap.y);
+      const g = svg.append("g").attr("transform", `translate(${px},${py})`);
+
+      g.append("g")
+        .attr("class", "grid")
+        .attr("transform", `translate(${C.start(panelW)},0)`)
+        .call(C.yAxis(y).ticks(3).tickSize(-panelW).tickFormat(""))
+        .attr("opacity", 0.18);
+      g.append("g")
+        .attr("transform", `translate(0,${panelH})`)
+        .call(d3.axisBottom(x).tickValues(d3.range(minC, maxC + 1, 2)).tickFormat(LoveI18n.centuryTick));
+      g.append("g").attr("transform", `translate(${C.start(panelW)},0)`).call(C.yAxis(y).ticks(3));
+
+      g.append("text")
+        .attr("x", C.start(panelW))
+        .attr("y", -8)
+        .attr("text-anchor", C.anchor("start"))
+        .attr("fill", "currentColor")
+        .style("font-weight", 700)
+        .style("font-size", "12px")
+        .text(`BoC_${k}`);
+
+      const genreLines = new Map();
+      for (const gk of genres) {
+        genreLines.set(gk, g.append("path")
+          .datum(byGenreReg.get(gk).get(k))
+          .attr("fill", "none")
+          .attr("stroke", colors[gk] || "#999")
+          .attr("stroke-width", 1.3)
+          .attr("opacity", 0.55)
+          .attr("d", line));
       }
+
+      const pooledPath = g.append("path")
+        .attr("fill", "none")
+        .attr("stroke", "#2B2420")
+        .attr("stroke-width", 2.4);
+      const pooledPts = g.append("g");
+
+      return { k, genreLines, pooledPath, pooledPts };
     });
+
+    function update() {
+      const visible = genres.filter((gk) => !hidden.has(gk));
+      for (const p of panels) {
+        for (const [gk, path] of p.genreLines) path.attr("display", hidden.has(gk) ? "none" : null);
+
+        const pooledSeries = poolCells(aggs.get(p.k), visible);
+        p.pooledPath.datum(pooledSeries).attr("d", line);
+
+        const pts = p.pooledPts.selectAll("circle").data(pooledSeries, (d) => d.century);
+        pts.exit().remove();
+        pts.enter()
+          .append("circle")
+          .attr("r", 3)
+          .attr("fill", "#2B2420")
+          .attr("opacity", 0)
+          .on("mouseenter", (event, d) => {
+            d3.select(event.currentTarget).attr("opacity", 0.95);
+            tip.style("opacity", 1)
+              .html(`<strong>BoC_${p.k}</strong> · ${LoveI18n.centuryText(d.century)}<br/>` +
+                `${t("tip.mean-visible", { v: num(d.mean, ".3f") })}<br/>n=${num(d.n)}`)
+              .style("left", `${event.offsetX + 12}px`)
+              .style("top", `${event.offsetY - 8}px`);
+          })
+          .on("mousemove", (event) => {
+            tip.style("left", `${event.offsetX + 12}px`).style("top", `${event.offsetY - 8}px`);
+          })
+          .on("mouseleave", (event) => {
+            d3.select(event.currentTarget).attr("opacity", 0);
+            tip.style("opacity", 0);
+          })
+          .merge(pts)
+          .attr("cx", (d) => x(d.century))
+          .attr("cy", (d) => y(d.mean));
+      }
+      tip.style("opacity", 0);
+    }
+
+    // Horizontal legend across the top (same toggling as the genre chart)
+    const lg = svg.append("g").attr("transform", `translate(${margin.left + C.start(width - margin.left - margin.right)}, 14)`);
+    const items = [...genres.map((k) => [k, colors[k] || "#999"]), ["pooled", "#2B2420"]];
+    const step = LoveI18n.isRtl() ? 96 : 78; // Arabic genre names run wider than the codes
+    items.forEach(([k, color], i) => {
+      const row = lg.append("g").attr("transform", `translate(${C.side(i * step)}, 0)`);
+      row.append("rect")
+        .attr("x", C.box(12))
+        .attr("width", 12)
+        .attr("height", 12)
+        .attr("rx", 3)
+        .attr("y", -9)
+        .attr("fill", color);
+      row.append("text")
+        .attr("x", C.side(18))
+        .attr("y", 0)
+        .attr("text-anchor", C.anchor("start"))
+        .style("font-size", "12px")
+        .style("font-weight", 800)
+        .text(k === "pooled" ? t("chart.pooled") : genreName(k));
+
+      if (k === "pooled") return;
+      row.attr("class", "legend-clickable").classed("is-off", hidden.has(k)).on("click", () => {
+        if (hidden.has(k)) hidden.delete(k);
+        else hidden.add(k);
+        row.classed("is-off", hidden.has(k));
+        update();
+        saveState();
+      });
+    });
+
+    update();
   }
 
  function drawScatter(selector, rowsAll) {
   const container = document.querySelector(selector);
   if (!container) return;
 
-  const rows = rowsAll.filter(d => Number.isFinite(d.year) && d.year >= 1 && d.year <= 1500);
+  const YEAR_MAX = MAX_C * 100;
+  const rows = rowsAll.filter(d => Number.isFinite(d.year) && d.year >= 1 && d.year <= YEAR_MAX);
 
-  const { svg, width, height } = baseSvg(container, 520);
-  const margin = { top: 22, right: 120, bottom: 44, left: 54 };
+  const { svg, width, height } = baseSvg(container, 560);
+  const margin = C.margin({ top: 22, right: 120, bottom: 104, left: 54 });
+  const ctxH = 34; // overview strip under the x-axis: brush here to zoom
   const plotW = width - margin.left - margin.right;
   const plotH = height - margin.top - margin.bottom;
 
   const g = svg.append("g").attr("transform", `translate(${margin.left},${margin.top})`);
 
-  const x = d3.scaleLinear().domain([0, 1500]).range([0, plotW]);
-  const y = d3.scaleLinear().domain([0, 2]).range([plotH, 0]);
+  const x0 = d3.scaleLinear().domain([0, YEAR_MAX]).range(C.range(plotW));
+  let x = x0.copy();
+  const y = yScale(rows.map(d => d.value), plotH);
+
+  const clipId = `${container.id || "scatter"}-clip`;
+  svg.append("defs").append("clipPath").attr("id", clipId)
+    .append("rect").attr("width", plotW).attr("height", plotH);
 
   g.append("g")
     .attr("class", "grid")
-    .call(d3.axisLeft(y).ticks(5).tickSize(-plotW).tickFormat(""))
+    .attr("transform", `translate(${C.start(plotW)},0)`)
+    .call(C.yAxis(y).ticks(5).tickSize(-plotW).tickFormat(""))
     .attr("opacity", 0.16);
 
-  g.append("g")
-    .attr("transform", `translate(0,${plotH})`)
-    .call(d3.axisBottom(x).tickValues(d3.range(0, 1501, 200)).tickFormat(d3.format("d")));
+  const xAxisG = g.append("g").attr("transform", `translate(0,${plotH})`);
 
-  g.append("g").call(d3.axisLeft(y).ticks(5));
+  g.append("g").attr("transform", `translate(${C.start(plotW)},0)`).call(C.yAxis(y).ticks(5));
+  axisTitle(g, LoveI18n.scoreLabel(score), plotW);
+
+  // Wheel / drag anywhere on the plot pans and zooms the time axis
+  const plot = g.append("g").attr("class", "scatter-plot");
+  plot.append("rect")
+    .attr("class", "zoom-layer")
+    .attr("width", plotW)
+    .attr("height", plotH)
+    .attr("fill", "transparent");
 
   const tip = addTip(container);
-  const hidden = new Set();
+  const hidden = scatterHidden;
 
-  const dots = g.append("g")
+  const dots = plot.append("g")
+    .attr("clip-path", `url(#${clipId})`)
     .selectAll("circle")
     .data(rows)
     .enter()
     .append("circle")
-    .attr("cx", d => x(d.year))
-    .attr("cy", d => y(d.love))
+    .attr("cy", d => y(d.value))
     .attr("r", 2.7)
-    .attr("fill", d => COLORS[d.genre] || "#999")
-    .attr("opacity", 0.70);
+    .attr("fill", d => (d.dated ? COLORS[d.genre] || "#999" : "none"))
+    .attr("stroke", d => (d.dated ? null : COLORS[d.genre] || "#999"))
+    .attr("stroke-width", d => (d.dated ? null : 1.3))
+    .attr("opacity", 0.70)
+    .style("cursor", "pointer");
 
   dots
     .on("mouseenter", (event, d) => {
       if (hidden.has(d.genre)) return;
       d3.select(event.currentTarget).attr("r", 4.2).attr("opacity", 0.95);
-      const title = d.title || "(title unavailable)";
-      const author = d.author || "(author unavailable)";
+      const title = d.title || t("tip.no-title");
+      const author = d.author || t("tip.no-author");
+      const when = d.dated ? t("tip.died", { y: LoveI18n.yearText(d.date) }) : t("tip.undated", { c: LoveI18n.centuryText(d.century) });
       tip.style("opacity", 1)
         .html(
           `<strong>${title}</strong><br/>${author}<br/>
-           <span style="opacity:.9">${d.genre} · ~${Math.round(d.year)} AH · Love Index: ${d.love.toFixed(3)}</span>`
+           <span style="opacity:.9">${genreName(d.genre)} · ${when} · ${score.column}: ${num(d.value, ".3f")}</span>`
         )
         .style("left", `${event.offsetX + 12}px`)
         .style("top", `${event.offsetY - 8}px`);
@@ -495,10 +1434,79 @@ document.addEventListener("DOMContentLoaded", async () => {
     .on("mouseleave", (event) => {
       d3.select(event.currentTarget).attr("r", 2.7).attr("opacity", 0.70);
       tip.style("opacity", 0);
+    })
+    .on("click", (event, d) => {
+      if (hidden.has(d.genre)) return;
+      tip.style("opacity", 0);
+      LoveTextPanel.show(d.uri);
     });
 
+  // ---- Overview strip: one tick per text over the full span, with a brush
+  const ctx = g.append("g").attr("transform", `translate(0,${plotH + 44})`);
+
+  ctx.append("g")
+    .selectAll("line")
+    .data(rows)
+    .enter()
+    .append("line")
+    .attr("x1", d => x0(d.year))
+    .attr("x2", d => x0(d.year))
+    .attr("y1", 4)
+    .attr("y2", ctxH - 4)
+    .attr("stroke", d => COLORS[d.genre] || "#999")
+    .attr("opacity", 0.25);
+
+  ctx.append("g")
+    .attr("transform", `translate(0,${ctxH})`)
+    .call(d3.axisBottom(x0).tickValues(LoveI18n.yearTicks([0, YEAR_MAX], 7)).tickFormat(LoveI18n.yearTick).tickSize(3))
+    .style("font-size", "10px");
+
+  // Pixel window → zoom transform (pixels run right-to-left in RTL, hence the sort)
+  const windowTransform = (px) => {
+    const [a, b] = d3.extent(px);
+    return d3.zoomIdentity.scale(plotW / Math.max(b - a, 1)).translate(-a, 0);
+  };
+  let fromBrush = false;
+
+  const brush = d3.brushX()
+    .extent([[0, 0], [plotW, ctxH]])
+    .on("end", (event) => {
+      if (!event.sourceEvent) return;
+      fromBrush = true;
+      plot.call(zoom.transform, event.selection ? windowTransform(event.selection) : d3.zoomIdentity);
+      fromBrush = false;
+    });
+
+  const brushG = ctx.append("g").attr("class", "brush").call(brush);
+
+  const zoom = d3.zoom()
+    .scaleExtent([1, 40])
+    .extent([[0, 0], [plotW, plotH]])
+    .translateExtent([[0, 0], [plotW, plotH]])
+    .on("zoom", (event) => {
+      x = event.transform.rescaleX(x0);
+      scatterDomain = event.transform.k === 1 ? null : x.domain();
+      redraw();
+      if (!fromBrush) brushG.call(brush.move, scatterDomain ? d3.extent(scatterDomain.map(x0)) : null);
+    })
+    .on("end", () => saveState());
+
+  function redraw() {
+    xAxisG.call(d3.axisBottom(x).tickValues(LoveI18n.yearTicks(x.domain(), 7)).tickFormat(LoveI18n.yearTick));
+    dots.attr("cx", d => x(d.year));
+  }
+
+  plot.call(zoom);
+
+  // Keep the zoom window across redraws (score switch, resize)
+  if (scatterDomain) plot.call(zoom.transform, windowTransform(scatterDomain.map(x0)));
+  else redraw();
+
+  const resetBtn = document.getElementById("scatter-reset");
+  if (resetBtn) resetBtn.onclick = () => plot.call(zoom.transform, d3.zoomIdentity);
+
   // legend toggle
-  const lg = g.append("g").attr("transform", `translate(${plotW + 18}, 8)`);
+  const lg = g.append("g").attr("transform", `translate(${C.end(plotW) + C.side(18)}, 8)`);
 
   GENRES.forEach((k, i) => {
     const row = lg.append("g")
@@ -507,15 +1515,17 @@ document.addEventListener("DOMContentLoaded", async () => {
       .on("click", () => toggle(k, row));
 
     row.append("rect")
+      .attr("x", C.box(12))
       .attr("width", 12).attr("height", 12).attr("rx", 3)
       .attr("y", -9)
       .attr("fill", COLORS[k] || "#999");
 
     row.append("text")
-      .attr("x", 18).attr("y", 0)
+      .attr("x", C.side(18)).attr("y", 0)
+      .attr("text-anchor", C.anchor("start"))
       .style("font-size", "12px")
       .style("font-weight", 800)
-      .text(k);
+      .text(genreName(k));
 
     function toggle(genre, rowSel) {
       if (hidden.has(genre)) hidden.delete(genre);
@@ -526,11 +1536,89 @@ document.addEventListener("DOMContentLoaded", async () => {
 
       dots.attr("display", d => (hidden.has(d.genre) ? "none" : null));
       tip.style("opacity", 0);
+      saveState();
     }
+
+    if (hidden.has(k)) row.classed("is-off", true);
   });
+
+  if (rows.some(d => !d.dated)) {
+    const und = lg.append("g").attr("transform", `translate(0, ${GENRES.length * 20 + 10})`);
+    und.append("circle")
+      .attr("cx", C.side(6)).attr("cy", -3).attr("r", 4)
+      .attr("fill", "none")
+      .attr("stroke", "#2B2420")
+      .attr("stroke-width", 1.3);
+    und.append("text")
+      .attr("x", C.side(18)).attr("y", 0)
+      .attr("text-anchor", C.anchor("start"))
+      .style("font-size", "12px")
+      .text(t("chart.undated"));
+  }
+
+  dots.attr("display", d => (hidden.has(d.genre) ? "none" : null));
 }
 
-  function renderSpotlights(rowsAll, xMinFixed, xMaxFixed) {
+  // ---- Spotlights: top / bottom texts for the chosen genre, century window and score
+
+  function setupSpotlights(rowsAll) {
+    const form = document.getElementById("spot-controls");
+    if (!form) return;
+
+    const genreSel = document.getElementById("sp-genre");
+    const cMinSel = document.getElementById("sp-cmin");
+    const cMaxSel = document.getElementById("sp-cmax");
+
+    const nSel = document.getElementById("sp-n");
+
+    for (const g of GENRES) genreSel.add(new Option(genreName(g), g));
+    for (const c of centuries) {
+      cMinSel.add(new Option(LoveI18n.centuryOption(c), String(c), false, c === MIN_C));
+      cMaxSel.add(new Option(LoveI18n.centuryOption(c), String(c), false, c === MAX_C));
+    }
+
+    const defaultN = nSel.value;
+    const urlN = LoveUrlState.get("spn");
+    if (Array.from(nSel.options).some((o) => o.value === urlN)) nSel.value = urlN;
+    const urlG = LoveUrlState.get("spg");
+    if (GENRES.includes(urlG)) genreSel.value = urlG;
+    const urlC = LoveUrlState.getRange("spc");
+    if (urlC && centuries.includes(urlC[0]) && centuries.includes(urlC[1])) {
+      cMinSel.value = String(urlC[0]);
+      cMaxSel.value = String(urlC[1]);
+    }
+
+    spotlightState = () => {
+      const lo = Math.min(+cMinSel.value, +cMaxSel.value);
+      const hi = Math.max(+cMinSel.value, +cMaxSel.value);
+      return {
+        spn: nSel.value === defaultN ? null : nSel.value,
+        spg: genreSel.value || null,
+        spc: lo === MIN_C && hi === MAX_C ? null : `${lo}-${hi}`,
+      };
+    };
+
+    // Register spread over the whole corpus, used to explain each ranking
+    const regStats = LoveCorpus.REGISTERS.map((k) => {
+      const vals = rowsAll.map((r) => r.scores[`BoC_${k}`]).filter((v) => v != null);
+      return { key: k, mean: d3.mean(vals), sd: d3.deviation(vals) || 1 };
+    });
+
+    updateSpotlights = () =>
+      renderSpotlights(rows, regStats, {
+        n: +nSel.value,
+        genre: genreSel.value,
+        cMin: Math.min(+cMinSel.value, +cMaxSel.value),
+        cMax: Math.max(+cMinSel.value, +cMaxSel.value),
+      });
+
+    form.addEventListener("change", () => {
+      updateSpotlights();
+      saveState();
+    });
+  }
+
+  function renderSpotlights(rowsAll, regStats, opts) {
     const topEl = document.getElementById("top-texts");
     const botEl = document.getElementById("bottom-texts");
     if (!topEl || !botEl) return;
@@ -538,20 +1626,44 @@ document.addEventListener("DOMContentLoaded", async () => {
     topEl.innerHTML = "";
     botEl.innerHTML = "";
 
-    const rows = rowsAll.filter((d) => d.year >= 1 && d.year <= xMaxFixed);
+    const value = (d) => d.value;
+    const rows = rowsAll.filter((d) =>
+      (!opts.genre || d.genre === opts.genre) &&
+      d.century >= opts.cMin && d.century <= opts.cMax
+    );
 
-    const sorted = [...rows].sort((a, b) => b.love - a.love);
-    const top = sorted.slice(0, 5);
-    const bottom = sorted.slice(-5).reverse();
+    if (!rows.length) {
+      topEl.innerHTML = botEl.innerHTML = `<li class="note">${t("spot.empty")}</li>`;
+      return;
+    }
 
-    for (const d of top) topEl.appendChild(liText(d));
-    for (const d of bottom) botEl.appendChild(liText(d));
+    const sorted = [...rows].sort((a, b) => value(b) - value(a));
+    const n = Math.min(opts.n, Math.floor(sorted.length / 2) || 1);
+    const top = sorted.slice(0, n);
+    const bottom = sorted.slice(-n).reverse();
+
+    for (const d of top) topEl.appendChild(liText(d, 1));
+    for (const d of bottom) botEl.appendChild(liText(d, -1));
+
+    // The three registers furthest from the corpus mean in the list's direction
+    function why(d, dir) {
+      const regs = regStats
+        .map((s) => ({ key: s.key, z: (d.scores[`BoC_${s.key}`] - s.mean) / s.sd }))
+        .filter((r) => Number.isFinite(r.z) && dir * r.z > 0)
+        .sort((a, b) => dir * (b.z - a.z))
+        .slice(0, 3);
+      return regs.length
+        ? regs.map((r) => `${r.key} ${num(r.z, "+.1f")}σ`).join(" · ")
+        : t(dir > 0 ? "spot.none-above" : "spot.none-below");
+    }
 
-    function liText(d) {
+    function liText(d, dir) {
       const li = document.createElement("li");
-      const t = d.title || "(title unavailable)";
+      const title = d.title || t("tip.no-title");
       const a = d.author ? ` — ${d.author}` : "";
-      li.innerHTML = `<strong>${t}</strong>${a}<br/><span class="note">${d.genre} · ~${Math.round(d.year)} AH · LoveIndex: ${d.love.toFixed(3)}</span>`;
+      li.innerHTML = `<a class="spot-title" href="${LoveTextPanel.linkFor(d.uri)}"><strong>${title}</strong></a>${a}<br/>` +
+        `<span class="note">${genreName(d.genre)} · ${d.dated ? LoveI18n.yearText(d.date) : t("chart.undated")} · ${score.column}: ${num(value(d), ".3f")}</span><br/>` +
+        `<span class="note spot-why">${why(d, dir)}</span>`;
       return li;
     }
   }
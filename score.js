@@ -0,0 +1,326 @@
+document.addEventListener("DOMContentLoaded", () => {
+  const { GENRES, REGISTERS, MIN_CENTURY, MAX_CENTURY, COLORS } = LoveCorpus;
+  const { num, genreName } = LoveI18n;
+  const C = LoveI18n.chart;
+
+  const SHORT_PASSAGE = 300; // tokens; below this the placement is rough
+  const SAMPLE = [
+    "تذكرت ليلى والسنين الخواليا ... وأيام لا نخشى على اللهو ناهيا",
+    "أمر على الديار ديار ليلى ... أقبل ذا الجدار وذا الجدارا",
+    "وما حب الديار شغفن قلبي ... ولكن حب من سكن الديارا",
+  ].join("\n");
+
+  const form = document.getElementById("sc-form");
+  const textEl = document.getElementById("sc-text");
+  const fileEl = document.getElementById("sc-file");
+  const genreSel = document.getElementById("sc-genre");
+  const centurySel = document.getElementById("sc-century");
+  const statusEl = document.getElementById("sc-status");
+  if (!form || !textEl) return;
+
+  function setText(id, v) {
+    const el = document.getElementById(id);
+    if (el) el.textContent = v;
+  }
+
+  const fmt = (v, digits = 3) => (v == null ? "—" : num(v, `.${digits}f`));
+  const pct = (p) => (p == null ? "—" : num(p, ".0%"));
+
+  // ---- Controls (the comparison cell lives in the hash; the passage does not)
+  genreSel.add(new Option("All genres", ""));
+  for (const g of GENRES) genreSel.add(new Option(genreName(g), g));
+  centurySel.add(new Option("All centuries", ""));
+  for (let c = MIN_CENTURY; c <= MAX_CENTURY; c++) centurySel.add(new Option(LoveI18n.centuryOption(c), String(c)));
+
+  if (GENRES.includes(LoveUrlState.get("genre"))) genreSel.value = LoveUrlState.get("genre");
+  const urlCentury = Number(LoveUrlState.get("c"));
+  if (urlCentury >= MIN_CENTURY && urlCentury <= MAX_CENTURY) centurySel.value = String(urlCentury);
+
+  function saveState() {
+    LoveUrlState.set({ genre: genreSel.value || null, c: centurySel.value || null });
+  }
+
+  function cellLabel() {
+    const g = genreSel.value ? genreName(genreSel.value) : "all";
+    const c = centurySel.value ? ` in ${LoveI18n.centuryText(+centurySel.value)}` : "";
+    return `${g} texts${c}`;
+  }
+
+  // ---- Scoring
+  let result = null;
+  let corpusRows = null;
+  let token = 0;
+
+  async function run() {
+    const text = textEl.value;
+    if (!text.trim()) {
+      statusEl.textContent = "Paste or upload an Arabic passage first.";
+      return;
+    }
+    const mine = ++token;
+    statusEl.textContent = "Loading the lexicons and the corpus…";
+    let lexicon;
+    let corpus;
+    try {
+      [lexicon, corpus] = await Promise.all([LoveBoC.loadLexicons(), LoveCorpus.load()]);
+    } catch (e) {
+      console.error(e);
+      statusEl.textContent =
+        `Could not load the lexicons in ${LoveBoC.LEXICON_DIR}/ or ${LoveCorpus.currentRelease().csv}. ` +
+        "Check file path + server.";
+      return;
+    }
+    if (mine !== token) return;
+
+    const scored = LoveBoC.score(text, lexicon);
+    if (!scored.tokens) {
+      statusEl.textContent = "No Arabic words found in this passage.";
+      return;
+    }
+    corpusRows = corpus.rows;
+    result = { ...scored, love: LoveBoC.loveIndex(scored.densityK, corpusRows) };
+    statusEl.textContent =
+      `${num(scored.tokens)} tokens scored in your browser.` +
+      (scored.tokens < SHORT_PASSAGE ? " Short passages run denser than whole books: read the placement as rough." : "");
+    renderAll();
+  }
+
+  // ---- Placement among the corpus texts of one genre × century cell
+
+  function measures() {
+    return [
+      { column: "BoC_final_0_2", label: "Love Index", value: result.love },
+      ...REGISTERS.map((k) => ({ column: `BoC_${k}`, label: `BoC_${k}`, value: result.registers[k].score })),
+    ];
+  }
+
+  function cellRows() {
+    const g = genreSel.value;
+    const c = +centurySel.value || null;
+    return corpusRows.filter((r) => (!g || r.genre === g) && (!c || (r.dated && r.century === c)));
+  }
+
+  function placementRows() {
+    const rows = cellRows();
+    return measures().map((m) => {
+      const values = rows.map((r) => r.scores[m.column]).filter((v) => v != null).sort((a, b) => a - b);
+      const s = values.length ? LoveCorpus.summarize(values) : { n: 0 };
+      return {
+        measure: m.column,
+        label: m.label,
+        value: m.value,
+        genre: genreSel.value || "all",
+        century: centurySel.value ? +centurySel.value : "all",
+        n: s.n,
+        q1: s.q1 ?? null,
+        median: s.median ?? null,
+        q3: s.q3 ?? null,
+        percentile: LoveBoC.percentile(values, m.value),
+      };
+    });
+  }
+
+  function renderSummary(rows) {
+    const love = rows[0];
+    setText(
+      "sc-summary",
+      `Love Index ${fmt(result.love, 2)} (0–2) · ${fmt(result.densityK, 1)} per 1,000 tokens · ` +
+        `${num(result.anchors)} anchor cue${result.anchors === 1 ? "" : "s"}, ` +
+        `${num(result.strongHits)} idiom${result.strongHits === 1 ? "" : "s"} · ` +
+        (love.n
+          ? `higher than ${pct(love.percentile)} of ${num(love.n)} ${cellLabel()}.`
+          : `no ${cellLabel()} in this release.`)
+    );
+  }
+
+  function drawPlacement(selector, rows) {
+    const container = document.querySelector(selector);
+    if (!container) return;
+    container.innerHTML = "";
+
+    const margin = C.margin({ top: 26, right: 24, bottom: 44, left: 130 });
+    const width = Math.max(640, container.clientWidth || 640);
+    const rowH = 30;
+    const height = margin.top + margin.bottom + rowH * rows.length;
+    const plotW = width - margin.left - margin.right;
+    const plotH = rowH * rows.length;
+
+    const svg = d3
+      .select(container)
+      .append("svg")
+      .attr("viewBox", `0 0 ${width} ${height}`)
+      .attr("width", "100%")
+      .attr("height", "100%");
+    const g = svg.append("g").attr("transform", `translate(${margin.left},${margin.top})`);
+
+    const x = d3.scaleLinear().domain([0, 1]).range(C.range(plotW));
+    const y = d3.scaleBand().domain(rows.map((d) => d.measure)).range([0, plotH]).padding(0.35);
+    const color = genreSel.value ? COLORS[genreSel.value] : "#7A2C2A";
+
+    // Middle half of the cell and its median
+    const [b0, b1] = [x(0.25), x(0.75)].sort((a, b) => a - b);
+    g.append("rect")
+      .attr("x", b0)
+      .attr("width", b1 - b0)
+      .attr("y", 0)
+      .attr("height", plotH)
+      .attr("fill", "#C39A6B")
+      .attr("opacity", 0.16);
+    g.append("line")
+      .attr("x1", x(0.5)).attr("x2", x(0.5))
+      .attr("y1", 0).attr("y2", plotH)
+      .attr("stroke", "#C39A6B")
+      .attr("stroke-dasharray", "4 3");
+
+    g.append("g")
+      .attr("transform", `translate(0,${plotH})`)
+      .call(d3.axisBottom(x).ticks(5).tickFormat(pct));
+    g.append("text")
+      .attr("x", C.end(plotW))
+      .attr("y", plotH + 36)
+      .attr("text-anchor", C.anchor("end"))
+      .attr("fill", "currentColor")
+      .style("font-weight", 600)
+      .style("font-size", "12px")
+      .text(`Percentile among ${cellLabel()}`);
+
+    const tip = d3.select(container).append("div").attr("class", "viztip").style("opacity", 0);
+
+    const row = g.append("g")
+      .selectAll("g")
+      .data(rows)
+      .join("g")
+      .attr("transform", (d) => `translate(0,${y(d.measure) + y.bandwidth() / 2})`);
+    row.append("text")
+      .attr("x", C.start(plotW) + C.side(-10))
+      .attr("y", 4)
+      .attr("text-anchor", C.anchor("end"))
+      .style("font-size", "12px")
+      .style("font-weight", (d, i) => (i === 0 ? 700 : 400))
+      .text((d) => d.label);
+    row.append("line")
+      .attr("x1", x(0)).attr("x2", x(1))
+      .attr("stroke", "currentColor")
+      .attr("opacity", 0.15);
+    row.filter((d) => d.percentile != null)
+      .append("circle")
+      .attr("cx", (d) => x(d.percentile))
+      .attr("r", (d, i) => (i === 0 ? 7 : 5.5))
+      .attr("fill", color)
+      .on("mouseenter", (event, d) => {
+        tip.style("opacity", 1)
+          .html(`<strong>${d.label}</strong><br/>This passage: ${fmt(d.value)}<br/>` +
+            `${cellLabel()} (n=${num(d.n)}): median ${fmt(d.median)}, middle half ${fmt(d.q1)}–${fmt(d.q3)}<br/>` +
+            `Percentile: ${pct(d.percentile)}`)
+          .style("left", `${event.offsetX + 12}px`)
+          .style("top", `${event.offsetY - 8}px`);
+      })
+      .on("mouseleave", () => tip.style("opacity", 0));
+  }
+
+  // ---- Matched cues
+
+  function cueList(items) {
+    if (!items.length) return "—";
+    return items
+      .map((d) => {
+        const forms = [...d.forms].filter((f) => f !== d.entry);
+        const root = d.kind === "root" ? " (root)" : "";
+        return `<span lang="ar" dir="rtl">${d.entry}</span>${root} × ${num(d.count)}` +
+          (forms.length ? ` <span class="note">[<span lang="ar" dir="rtl">${forms.slice(0, 4).join("، ")}</span>]</span>` : "");
+      })
+      .join(" · ");
+  }
+
+  function fillCues() {
+    const body = document.getElementById("sc-cues");
+    if (!body) return;
+    body.innerHTML = "";
+    for (const k of REGISTERS) {
+      const reg = result.registers[k];
+      const m = result.matches[k];
+      const tr = document.createElement("tr");
+      tr.innerHTML = `
+        <td><strong>BoC_${k}</strong><br/><span class="note">${reg.label}</span></td>
+        <td>${fmt(reg.score)}</td>
+        <td>${fmt(reg.evidence, 2)}${reg.nearAnchor ? `<br/><span class="note">${num(reg.nearAnchor)} near an anchor</span>` : ""}</td>
+        <td>${cueList(m.cues)}</td>
+        <td>${m.idioms.length ? m.idioms.map((d) => `<span lang="ar" dir="rtl">${d.entry}</span> × ${num(d.count)}`).join(" · ") : "—"}</td>
+      `;
+      body.appendChild(tr);
+    }
+    setText(
+      "sc-technical",
+      result.technical.length
+        ? `Technical-language penalty: ${fmt(result.penalty * 100, 1)}% of the passage is definitional vocabulary ` +
+          `(${result.technical.slice(0, 8).map((d) => d.entry).join("، ")}), which lowers the raw evidence from ` +
+          `${fmt(Object.values(result.registers).reduce((s, d) => s + d.evidence, 0), 2)} to ${fmt(result.raw, 2)}.`
+        : "No technical or definitional vocabulary found: no penalty applied."
+    );
+  }
+
+  function renderAll() {
+    if (!result) return;
+    const rows = placementRows();
+    renderSummary(rows);
+    drawPlacement("#chart-placement", rows);
+    fillCues();
+  }
+
+  // ---- Events
+  form.addEventListener("submit", (e) => {
+    e.preventDefault();
+    run();
+  });
+  document.getElementById("sc-sample")?.addEventListener("click", () => {
+    textEl.value = SAMPLE;
+    genreSel.value = "POE";
+    saveState();
+    run();
+  });
+  fileEl?.addEventListener("change", async () => {
+    const file = fileEl.files && fileEl.files[0];
+    if (!file) return;
+    try {
+      textEl.value = await file.text();
+    } catch (e) {
+      console.error(e);
+      statusEl.textContent = `Could not read ${file.name}.`;
+      return;
+    }
+    run();
+  });
+  for (const el of [genreSel, centurySel]) {
+    el.addEventListener("change", () => {
+      saveState();
+      renderAll();
+    });
+  }
+  LoveI18n.onChange(() => {
+    Array.from(centurySel.options).forEach((o) => {
+      if (o.value) o.text = LoveI18n.centuryOption(+o.value);
+    });
+    Array.from(genreSel.options).forEach((o) => {
+      if (o.value) o.text = genreName(o.value);
+    });
+    renderAll();
+  });
+
+  // ---- Export menus (see exportmenu.js)
+  LoveExport.attach("#chart-placement", {
+    name: "own-text-placement",
+    rows: () => (result ? placementRows().map(({ label, ...d }) => d) : []),
+  });
+  LoveExport.attach("#sc-cues-wrap", {
+    name: "own-text-cues",
+    chart: false,
+    rowsLabel: "matched cues",
+    rows: () =>
+      result
+        ? REGISTERS.flatMap((k) => [
+          ...result.matches[k].cues.map((d) => ({ register: k, kind: d.kind, entry: d.entry, weight: d.weight, count: d.count, forms: [...d.forms].join(" ") })),
+          ...result.matches[k].idioms.map((d) => ({ register: k, kind: "idiom", entry: d.entry, weight: null, count: d.count, forms: "" })),
+        ])
+        : [],
+  });
+});
@@ -0,0 +1,567 @@
+// Small statistics toolkit shared by the Methods and Results pages.
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === "object" && module.exports) module.exports = api;
+  else root.LoveStats = api;
+})(typeof self !== "undefined" ? self : this, () => {
+  function mean(xs) {
+    if (!xs.length) return null;
+    let s = 0;
+    for (const x of xs) s += x;
+    return s / xs.length;
+  }
+
+  // Average ranks (1-based), ties share the mean of their positions.
+  function ranks(xs) {
+    const idx = xs.map((x, i) => i).sort((a, b) => xs[a] - xs[b]);
+    const out = new Array(xs.length);
+    for (let i = 0; i < idx.length; ) {
+      let j = i;
+      while (j + 1 < idx.length && xs[idx[j + 1]] === xs[idx[i]]) j++;
+      const r = (i + j) / 2 + 1;
+      for (let k = i; k <= j; k++) out[idx[k]] = r;
+      i = j + 1;
+    }
+    return out;
+  }
+
+  function pearson(xs, ys) {
+    const n = Math.min(xs.length, ys.length);
+    if (n < 2) return null;
+    const mx = mean(xs);
+    const my = mean(ys);
+    let sxy = 0;
+    let sxx = 0;
+    let syy = 0;
+    for (let i = 0; i < n; i++) {
+      const dx = xs[i] - mx;
+      const dy = ys[i] - my;
+      sxy += dx * dy;
+      sxx += dx * dx;
+      syy += dy * dy;
+    }
+    return sxx && syy ? sxy / Math.sqrt(sxx * syy) : null;
+  }
+
+  function spearman(xs, ys) {
+    return pearson(ranks(xs), ranks(ys));
+  }
+
+  // ---- Distributions
+
+  // Lanczos approximation of log Γ(x)
+  function lgamma(x) {
+    const c = [76.18009172947146, -86.50532032941677, 24.01409824083091,
+      -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5];
+    let y = x;
+    const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+    let ser = 1.000000000190015;
+    for (const cj of c) ser += cj / ++y;
+    return -tmp + Math.log((2.5066282746310005 * ser) / x);
+  }
+
+  // Continued fraction for the incomplete beta function (Numerical Recipes, betacf)
+  function betacf(a, b, x) {
+    const MAXIT = 200;
+    const EPS = 3e-14;
+    const FPMIN = 1e-300;
+    const qab = a + b;
+    const qap = a + 1;
+    const qam = a - 1;
+    let c = 1;
+    let d = 1 - (qab * x) / qap;
+    if (Math.abs(d) < FPMIN) d = FPMIN;
+    d = 1 / d;
+    let h = d;
+    for (let m = 1; m <= MAXIT; m++) {
+      const m2 = 2 * m;
+      let aa = (m * (b - m) * x) / ((qam + m2) * (a + m2));
+      d = 1 + aa * d;
+      if (Math.abs(d) < FPMIN) d = FPMIN;
+      c = 1 + aa / c;
+      if (Math.abs(c) < FPMIN) c = FPMIN;
+      d = 1 / d;
+      h *= d * c;
+      aa = (-(a + m) * (qab + m) * x) / ((a + m2) * (qap + m2));
+      d = 1 + aa * d;
+      if (Math.abs(d) < FPMIN) d = FPMIN;
+      c = 1 + aa / c;
+      if (Math.abs(c) < FPMIN) c = FPMIN;
+      d = 1 / d;
+      const del = d * c;
+      h *= del;
+      if (Math.abs(del - 1) < EPS) break;
+    }
+    return h;
+  }
+
+  // Regularized incomplete beta I_x(a, b)
+  function betai(a, b, x) {
+    if (x <= 0) return 0;
+    if (x >= 1) return 1;
+    const bt = Math.exp(lgamma(a + b) - lgamma(a) - lgamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+    return x < (a + 1) / (a + b + 2) ? (bt * betacf(a, b, x)) / a : 1 - (bt * betacf(b, a, 1 - x)) / b;
+  }
+
+  // Two-sided p-value of a Student t statistic
+  function tPValue(t, df) {
+    if (!Number.isFinite(t) || df <= 0) return null;
+    return betai(df / 2, 0.5, df / (df + t * t));
+  }
+
+  // Regularized upper incomplete gamma Q(a, x) (Numerical Recipes: series below a + 1, continued fraction above)
+  function gammq(a, x) {
+    const MAXIT = 200;
+    const EPS = 3e-14;
+    const FPMIN = 1e-300;
+    if (x <= 0) return 1;
+    const front = Math.exp(-x + a * Math.log(x) - lgamma(a));
+    if (x < a + 1) {
+      let ap = a;
+      let del = 1 / a;
+      let sum = del;
+      for (let n = 0; n < MAXIT; n++) {
+        del *= x / ++ap;
+        sum += del;
+        if (Math.abs(del) < Math.abs(sum) * EPS) break;
+      }
+      return 1 - sum * front;
+    }
+    let b = x + 1 - a;
+    let c = 1 / FPMIN;
+    let d = 1 / b;
+    let h = d;
+    for (let i = 1; i <= MAXIT; i++) {
+      const an = -i * (i - a);
+      b += 2;
+      d = an * d + b;
+      if (Math.abs(d) < FPMIN) d = FPMIN;
+      c = b + an / c;
+      if (Math.abs(c) < FPMIN) c = FPMIN;
+      d = 1 / d;
+      const del = d * c;
+      h *= del;
+      if (Math.abs(del - 1) < EPS) break;
+    }
+    return front * h;
+  }
+
+  // Upper-tail p-value of a χ² statistic
+  function chiSquarePValue(x, df) {
+    if (!Number.isFinite(x) || df <= 0) return null;
+    return gammq(df / 2, x / 2);
+  }
+
+  // Upper-tail p-value of an F statistic
+  function fPValue(F, df1, df2) {
+    if (!Number.isFinite(F) || df1 <= 0 || df2 <= 0) return null;
+    return betai(df2 / 2, df1 / 2, df2 / (df2 + df1 * F));
+  }
+
+  // Two-sided p-value of a standard normal statistic: P(|Z| ≥ |z|) = erfc(|z| / √2)
+  function zPValue(z) {
+    if (!Number.isFinite(z)) return null;
+    return gammq(0.5, (z * z) / 2);
+  }
+
+  // ---- Linear algebra
+
+  // Inverse of a small symmetric matrix (Gauss–Jordan with partial pivoting); null if singular.
+  function invert(A) {
+    const n = A.length;
+    const M = A.map((row, i) => [...row, ...Array.from({ length: n }, (_, j) => (i === j ? 1 : 0))]);
+    for (let col = 0; col < n; col++) {
+      let piv = col;
+      for (let r = col + 1; r < n; r++) if (Math.abs(M[r][col]) > Math.abs(M[piv][col])) piv = r;
+      if (Math.abs(M[piv][col]) < 1e-12) return null;
+      [M[col], M[piv]] = [M[piv], M[col]];
+      const p = M[col][col];
+      for (let j = 0; j < 2 * n; j++) M[col][j] /= p;
+      for (let r = 0; r < n; r++) {
+        if (r === col) continue;
+        const f = M[r][col];
+        if (!f) continue;
+        for (let j = 0; j < 2 * n; j++) M[r][j] -= f * M[col][j];
+      }
+    }
+    return M.map((row) => row.slice(n));
+  }
+
+  // ---- Ordinary least squares
+  // X: design rows (include the intercept column yourself), y: response, names: one per column.
+  // options.clusters: one group label per row → cluster-robust (CR1) standard errors, t on G − 1 df.
+  function ols(X, y, names, options = {}) {
+    const n = y.length;
+    const k = X.length ? X[0].length : 0;
+    if (n <= k) return null;
+
+    const XtX = Array.from({ length: k }, () => new Array(k).fill(0));
+    const Xty = new Array(k).fill(0);
+    for (let i = 0; i < n; i++) {
+      const xi = X[i];
+      for (let a = 0; a < k; a++) {
+        Xty[a] += xi[a] * y[i];
+        for (let b = a; b < k; b++) XtX[a][b] += xi[a] * xi[b];
+      }
+    }
+    for (let a = 0; a < k; a++) for (let b = 0; b < a; b++) XtX[a][b] = XtX[b][a];
+
+    const inv = invert(XtX);
+    if (!inv) return null;
+    const beta = inv.map((row) => row.reduce((s, v, j) => s + v * Xty[j], 0));
+
+    const my = mean(y);
+    const resid = new Array(n);
+    let sse = 0;
+    let sst = 0;
+    for (let i = 0; i < n; i++) {
+      let fit = 0;
+      for (let a = 0; a < k; a++) fit += X[i][a] * beta[a];
+      resid[i] = y[i] - fit;
+      sse += resid[i] ** 2;
+      sst += (y[i] - my) ** 2;
+    }
+
+    const df = n - k;
+    const sigma2 = sse / df;
+    const clustered = options.clusters ? clusterVariance(X, resid, inv, options.clusters) : null;
+    const testDf = clustered ? clustered.groups - 1 : df;
+    const coef = beta.map((b, a) => {
+      const se = Math.sqrt(clustered ? clustered.V[a][a] : sigma2 * inv[a][a]);
+      const t = se > 0 ? b / se : NaN;
+      return { name: names ? names[a] : `x${a}`, b, se, t, p: tPValue(t, testDf) };
+    });
+
+    const r2 = sst > 0 ? 1 - sse / sst : null;
+    const adjR2 = r2 == null ? null : 1 - ((1 - r2) * (n - 1)) / df;
+    return { n, k, df, coef, sse, sst, sigma2, r2, adjR2, clusters: clustered ? clustered.groups : null };
+  }
+
+  // Sandwich (X'X)⁻¹ [Σ_g (X_g'e_g)(X_g'e_g)'] (X'X)⁻¹ with the usual small-sample factor.
+  function clusterVariance(X, resid, inv, clusters) {
+    const n = X.length;
+    const k = inv.length;
+    const scores = new Map();
+    for (let i = 0; i < n; i++) {
+      let u = scores.get(clusters[i]);
+      if (!u) scores.set(clusters[i], (u = new Array(k).fill(0)));
+      for (let a = 0; a < k; a++) u[a] += X[i][a] * resid[i];
+    }
+    const G = scores.size;
+    const meat = Array.from({ length: k }, () => new Array(k).fill(0));
+    for (const u of scores.values()) {
+      for (let a = 0; a < k; a++) for (let b = 0; b < k; b++) meat[a][b] += u[a] * u[b];
+    }
+    const c = G > 1 ? (G / (G - 1)) * ((n - 1) / (n - k)) : 1;
+    const mul = (A, B) => A.map((row) => B[0].map((_, j) => row.reduce((s, v, m) => s + v * B[m][j], 0)));
+    const V = mul(mul(inv, meat), inv).map((row) => row.map((v) => v * c));
+    return { V, groups: G };
+  }
+
+  // ---- Trend models over century (one observation per text)
+
+  function quadraticTrend(xs, ys, options) {
+    return ols(xs.map((c) => [1, c, c * c]), ys, ["const", "century", "century2"], options);
+  }
+
+  // Break at `brk`: separate intercept shift and slope change from that century on.
+  function segmentedTrend(xs, ys, brk, options) {
+    const X = xs.map((c) => {
+      const post = c >= brk ? 1 : 0;
+      return [1, c, post, c * post];
+    });
+    const fit = ols(X, ys, ["const", "century", "post", "century_post"], options);
+    if (fit) fit.breakAt = brk;
+    return fit;
+  }
+
+  function linearTrend(xs, ys) {
+    return ols(xs.map((c) => [1, c]), ys, ["const", "century"]);
+  }
+
+  // Gaussian information criteria from a fitted model (k = number of coefficients).
+  function infoCriteria(fit) {
+    const ll = fit.n * Math.log(fit.sse / fit.n);
+    return { aic: ll + 2 * fit.k, bic: ll + fit.k * Math.log(fit.n) };
+  }
+
+  // Fit the segmented model at every candidate break; `best` minimises AIC.
+  function breakpointScan(xs, ys, candidates) {
+    const scan = [];
+    for (const brk of candidates) {
+      const fit = segmentedTrend(xs, ys, brk);
+      if (!fit) continue;
+      scan.push({ breakAt: brk, sse: fit.sse, r2: fit.r2, ...infoCriteria(fit), fit });
+    }
+    const best = scan.reduce((a, b) => (!a || b.aic < a.aic ? b : a), null);
+    return { scan, best };
+  }
+
+  // ---- Group composition
+  // `cells` maps group -> { n, mean } for one period.
+
+  // Direct standardization: weighted mean of group means with fixed weights,
+  // renormalized over the groups present in the period.
+  function standardizedMean(cells, weights) {
+    let num = 0;
+    let den = 0;
+    for (const [k, w] of weights) {
+      const c = cells.get(k);
+      if (!c || !c.n) continue;
+      num += w * c.mean;
+      den += w;
+    }
+    return den > 0 ? num / den : null;
+  }
+
+  // Symmetric shift-share decomposition of the change in the pooled mean between two periods:
+  // total = within (change of group means at average shares) + between (change of shares at average means).
+  function shiftShare(prev, next) {
+    const total = (cells) => Array.from(cells.values()).reduce((s, c) => s + c.n, 0);
+    const n1 = total(prev);
+    const n2 = total(next);
+    if (!n1 || !n2) return null;
+    let within = 0;
+    let between = 0;
+    for (const k of new Set([...prev.keys(), ...next.keys()])) {
+      const c1 = prev.get(k);
+      const c2 = next.get(k);
+      const s1 = c1 ? c1.n / n1 : 0;
+      const s2 = c2 ? c2.n / n2 : 0;
+      const m1 = c1 && c1.n ? c1.mean : c2 ? c2.mean : 0;
+      const m2 = c2 && c2.n ? c2.mean : m1;
+      within += ((s1 + s2) / 2) * (m2 - m1);
+      between += (s2 - s1) * ((m1 + m2) / 2);
+    }
+    return { total: within + between, within, between };
+  }
+
+  // ---- Group differences (one observation per text, `groups` = arrays of values)
+
+  function variance(xs) {
+    if (xs.length < 2) return null;
+    const m = mean(xs);
+    let s = 0;
+    for (const x of xs) s += (x - m) ** 2;
+    return s / (xs.length - 1);
+  }
+
+  // Holm step-down adjustment; nulls stay null and do not count as tests.
+  function holm(ps) {
+    const idx = ps.map((p, i) => i).filter((i) => ps[i] != null).sort((a, b) => ps[a] - ps[b]);
+    const out = ps.map(() => null);
+    let running = 0;
+    idx.forEach((i, r) => {
+      running = Math.max(running, Math.min(1, (idx.length - r) * ps[i]));
+      out[i] = running;
+    });
+    return out;
+  }
+
+  // Kruskal–Wallis H (tie-corrected) with ε² = H / (N − 1); keeps the mean ranks for Dunn's test.
+  function kruskalWallis(groups) {
+    const all = groups.flat();
+    const N = all.length;
+    const k = groups.filter((g) => g.length).length;
+    if (k < 2 || N <= k) return null;
+    const r = ranks(all);
+    const meanRanks = [];
+    let H = 0;
+    let offset = 0;
+    for (const g of groups) {
+      let sum = 0;
+      for (let i = 0; i < g.length; i++) sum += r[offset + i];
+      offset += g.length;
+      meanRanks.push(g.length ? sum / g.length : null);
+      if (g.length) H += (sum * sum) / g.length;
+    }
+    H = (12 / (N * (N + 1))) * H - 3 * (N + 1);
+    const counts = new Map();
+    for (const x of all) counts.set(x, (counts.get(x) || 0) + 1);
+    let ties = 0;
+    for (const t of counts.values()) ties += t ** 3 - t;
+    const correction = 1 - ties / (N ** 3 - N);
+    if (correction > 0) H /= correction;
+    const df = k - 1;
+    return { H, df, p: chiSquarePValue(H, df), N, epsilon2: H / (N - 1), meanRanks, ties };
+  }
+
+  // Dunn's z for groups a and b from a Kruskal–Wallis fit
+  function dunn(kw, groups, a, b) {
+    const na = groups[a].length;
+    const nb = groups[b].length;
+    if (!na || !nb) return null;
+    const { N, ties } = kw;
+    const se = Math.sqrt(((N * (N + 1)) / 12 - ties / (12 * (N - 1))) * (1 / na + 1 / nb));
+    const z = se > 0 ? (kw.meanRanks[a] - kw.meanRanks[b]) / se : NaN;
+    return { z, p: zPValue(z) };
+  }
+
+  // One-way ANOVA with η²; the within-group mean square is reused by the pairwise t-tests.
+  function anova(groups) {
+    const all = groups.flat();
+    const N = all.length;
+    const k = groups.filter((g) => g.length).length;
+    if (k < 2 || N <= k) return null;
+    const grand = mean(all);
+    let ssb = 0;
+    let ssw = 0;
+    for (const g of groups) {
+      if (!g.length) continue;
+      const m = mean(g);
+      ssb += g.length * (m - grand) ** 2;
+      for (const x of g) ssw += (x - m) ** 2;
+    }
+    const df1 = k - 1;
+    const df2 = N - k;
+    const mse = ssw / df2;
+    const F = mse > 0 ? ssb / df1 / mse : NaN;
+    return { F, df1, df2, p: fPValue(F, df1, df2), N, eta2: ssb + ssw > 0 ? ssb / (ssb + ssw) : null, mse };
+  }
+
+  // Pairwise t on the pooled ANOVA variance (Fisher's LSD before adjustment)
+  function pooledT(fit, groups, a, b) {
+    const ga = groups[a];
+    const gb = groups[b];
+    if (!ga.length || !gb.length) return null;
+    const se = Math.sqrt(fit.mse * (1 / ga.length + 1 / gb.length));
+    const t = se > 0 ? (mean(ga) - mean(gb)) / se : NaN;
+    return { t, p: tPValue(t, fit.df2) };
+  }
+
+  // Cliff's δ = P(a > b) − P(a < b), from the Mann–Whitney U of the pooled ranks
+  function cliffsDelta(a, b) {
+    if (!a.length || !b.length) return null;
+    const r = ranks([...a, ...b]);
+    let ra = 0;
+    for (let i = 0; i < a.length; i++) ra += r[i];
+    const U = ra - (a.length * (a.length + 1)) / 2;
+    return (2 * U) / (a.length * b.length) - 1;
+  }
+
+  // Cohen's d with the pooled standard deviation
+  function cohensD(a, b) {
+    if (a.length < 2 || b.length < 2) return null;
+    const sp = Math.sqrt(((a.length - 1) * variance(a) + (b.length - 1) * variance(b)) / (a.length + b.length - 2));
+    return sp > 0 ? (mean(a) - mean(b)) / sp : null;
+  }
+
+  // Omnibus test across groups, then every pair with Holm-adjusted p-values and both effect sizes.
+  // test: "kruskal" (Kruskal–Wallis + Dunn) or "anova" (one-way ANOVA + pooled-variance t).
+  function groupDifferences(groups, { test = "kruskal" } = {}) {
+    const fit = test === "anova" ? anova(groups) : kruskalWallis(groups);
+    if (!fit) return null;
+    const omnibus = test === "anova"
+      ? { stat: fit.F, df: [fit.df1, fit.df2], p: fit.p, effect: fit.eta2, N: fit.N }
+      : { stat: fit.H, df: [fit.df], p: fit.p, effect: fit.epsilon2, N: fit.N };
+    const pairs = [];
+    for (let a = 0; a < groups.length; a++) {
+      for (let b = a + 1; b < groups.length; b++) {
+        const post = test === "anova" ? pooledT(fit, groups, a, b) : dunn(fit, groups, a, b);
+        pairs.push({
+          a,
+          b,
+          stat: post ? (test === "anova" ? post.t : post.z) : null,
+          p: post ? post.p : null,
+          delta: cliffsDelta(groups[a], groups[b]),
+          d: cohensD(groups[a], groups[b]),
+        });
+      }
+    }
+    holm(pairs.map((d) => d.p)).forEach((p, i) => (pairs[i].pAdj = p));
+    return { test, omnibus, pairs };
+  }
+
+  // ---- Resampling
+
+  // Seeded PRNG (mulberry32) so bootstrap results are reproducible.
+  function rng(seed = 1) {
+    let a = seed >>> 0;
+    return () => {
+      a = (a + 0x6d2b79f5) >>> 0;
+      let t = a;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  // Standard normal draw (Box–Muller) from a uniform generator such as rng().
+  function normal(rand) {
+    let u = 0;
+    while (u === 0) u = rand();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * rand());
+  }
+
+  // Gamma(shape, 1) draw (Marsaglia–Tsang; shape < 1 via the usual U^(1/shape) boost).
+  function gamma(rand, shape) {
+    if (shape < 1) {
+      let u = 0;
+      while (u === 0) u = rand();
+      return gamma(rand, shape + 1) * Math.pow(u, 1 / shape);
+    }
+    const d = shape - 1 / 3;
+    const c = 1 / Math.sqrt(9 * d);
+    for (;;) {
+      let x;
+      let v;
+      do {
+        x = normal(rand);
+        v = 1 + c * x;
+      } while (v <= 0);
+      v = v * v * v;
+      const u = rand();
+      if (u < 1 - 0.0331 * x ** 4) return d * v;
+      if (Math.log(u) < 0.5 * x * x + d * (1 - v + Math.log(v))) return d * v;
+    }
+  }
+
+  // Dirichlet(alphas) draw: normalized independent gammas, sums to 1.
+  function dirichlet(rand, alphas) {
+    const g = alphas.map((a) => gamma(rand, a));
+    const s = g.reduce((a, b) => a + b, 0);
+    return g.map((v) => v / s);
+  }
+
+  function quantile(sorted, q) {
+    if (!sorted.length) return null;
+    const pos = (sorted.length - 1) * q;
+    const lo = Math.floor(pos);
+    const hi = Math.ceil(pos);
+    return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+  }
+
+  // Resample texts with replacement and record where the best break lands each time.
+  function bootstrapBreakpoint(xs, ys, candidates, { B = 200, seed = 1, level = 0.95 } = {}) {
+    const rand = rng(seed);
+    const n = xs.length;
+    const breaks = [];
+    const bx = new Array(n);
+    const by = new Array(n);
+    for (let b = 0; b < B; b++) {
+      for (let i = 0; i < n; i++) {
+        const j = Math.floor(rand() * n);
+        bx[i] = xs[j];
+        by[i] = ys[j];
+      }
+      const { best } = breakpointScan(bx, by, candidates);
+      if (best) breaks.push(best.breakAt);
+    }
+    const sorted = [...breaks].sort((a, b) => a - b);
+    const freq = new Map(candidates.map((c) => [c, 0]));
+    for (const v of breaks) freq.set(v, freq.get(v) + 1);
+    const alpha = (1 - level) / 2;
+    return { B: breaks.length, breaks, freq, ci: [quantile(sorted, alpha), quantile(sorted, 1 - alpha)], level };
+  }
+
+  return {
+    mean, ranks, pearson, spearman,
+    lgamma, betai, tPValue, gammq, chiSquarePValue, fPValue, zPValue,
+    invert, ols,
+    linearTrend, quadraticTrend, segmentedTrend,
+    infoCriteria, breakpointScan,
+    standardizedMean, shiftShare,
+    variance, holm, kruskalWallis, dunn, anova, pooledT, cliffsDelta, cohensD, groupDifferences,
+    rng, normal, gamma, dirichlet, quantile, bootstrapBreakpoint,
+  };
+});
@@ -0,0 +1,210 @@
+// Text profile panel: one text's registers, score variants and diagnostics.
+// Deep link: <page>#text=<version_uri> (other hash parameters are preserved).
+(() => {
+  const REG_COLOR = "#7A2C2A";
+  const GENRE_MEAN_COLOR = "#C39A6B";
+
+  // [ column, English label ]; Arabic labels come from the score.* keys in i18n.js
+  const VARIANTS = [
+    ["BoC_final_0_2", "Love Index (final, 0–2)"],
+    ["BoC_pctl_0_1", "percentile rank (0–1)"],
+    ["BoC_minmax_0_1", "min–max (0–1)"],
+    ["BoC_minmax_0_2", "min–max (0–2)"],
+  ];
+
+  const DIAGNOSTICS = [
+    ["BoC_raw", "raw evidence"],
+    ["BoC_density_k", "density per 1,000 tokens"],
+    ["BoC_penalty", "technical-language penalty"],
+    ["BoC_strong_hits", "strong anchor hits"],
+  ];
+
+  let index = new Map();
+  let allRows = [];
+  let panel = null;
+
+  const fmt = (v, digits = 3) => (v == null ? "—" : LoveI18n.num(+v, `.${digits}f`));
+  const fmtSig = (v) => (v == null ? "—" : LoveI18n.num(v, ".4~g"));
+  const label = ([column, en]) => LoveI18n.scoreLabel({ column, label: en });
+
+  function hashParams() {
+    return new URLSearchParams(location.hash.replace(/^#/, ""));
+  }
+
+  function linkFor(uri) {
+    const p = hashParams();
+    p.set("text", uri);
+    return `${location.pathname}${location.search}#${p.toString()}`;
+  }
+
+  function ensurePanel() {
+    if (panel) return panel;
+    panel = document.createElement("aside");
+    panel.className = "textpanel paper";
+    panel.setAttribute("role", "dialog");
+    panel.hidden = true;
+    document.body.appendChild(panel);
+    document.addEventListener("keydown", (e) => {
+      if (e.key === "Escape" && !panel.hidden) close();
+    });
+    return panel;
+  }
+
+  // Register the rows the panel can show and follow the URL hash from now on.
+  function attach(rows) {
+    allRows = rows;
+    index = new Map(rows.map((r) => [r.uri, r]));
+    window.addEventListener("hashchange", sync);
+    if (window.LoveI18n) LoveI18n.onChange(sync);
+    sync();
+  }
+
+  function show(uri) {
+    const p = hashParams();
+    p.set("text", uri);
+    location.hash = p.toString();
+  }
+
+  function close() {
+    const p = hashParams();
+    p.delete("text");
+    const rest = p.toString();
+    history.pushState(null, "", `${location.pathname}${location.search}${rest ? `#${rest}` : ""}`);
+    sync();
+  }
+
+  function sync() {
+    const uri = hashParams().get("text");
+    const row = uri ? index.get(uri) : null;
+    if (row) render(row);
+    else if (panel) panel.hidden = true;
+  }
+
+  function render(d) {
+    const { t, genreName } = LoveI18n;
+    const el = ensurePanel();
+    const scores = d.scores || {};
+    const author = [d.author, d.authorShuhra].filter(Boolean).join(" · ");
+
+    el.setAttribute("aria-label", t("tp.title"));
+    el.innerHTML = `
+      <div class="tp-head">
+        <button type="button" class="btn-flat tp-close" aria-label="${t("tp.close")}">×</button>
+        <h2 class="sec-title tp-title">${d.title || t("tip.no-title")}</h2>
+        ${d.titleAr ? `<p class="tp-ar" dir="rtl" lang="ar">${d.titleAr}</p>` : ""}
+        <p class="tp-meta">${author || t("tip.no-author")}
+          ${d.authorId ? `<a class="text-link" href="authors.html#author=${encodeURIComponent(d.authorId)}">${t("tp.all-works")}</a>` : ""}<br/>
+          <span class="note">${genreName(d.genre)} · ${d.dated ? LoveI18n.yearText(d.date) : t("chart.undated")} · ${LoveI18n.centuryText(d.century)}</span></p>
+      </div>
+
+      <h3 class="mini-title">${t("tp.registers")}</h3>
+      <div class="tp-chart" aria-label="${t("tp.chart")}"></div>
+      <p class="note tp-legend">
+        <span class="tp-key" style="background:${REG_COLOR}"></span> ${t("tp.this-text")}
+        <span class="tp-key tp-key-tick" style="background:${GENRE_MEAN_COLOR}"></span> ${t("tp.genre-mean", { genre: genreName(d.genre) })}
+      </p>
+
+      <h3 class="mini-title">${t("tp.variants")}</h3>
+      <table class="gentable tp-table">
+        <tbody>
+          ${VARIANTS.map((v) => `<tr><td>${label(v)}</td><td><code>${v[0]}</code></td><td>${fmt(scores[v[0]])}</td></tr>`).join("")}
+        </tbody>
+      </table>
+
+      <h3 class="mini-title">${t("tp.diagnostics")}</h3>
+      <table class="gentable tp-table">
+        <tbody>
+          ${DIAGNOSTICS.map((v) => `<tr><td>${label(v)}</td><td><code>${v[0]}</code></td><td>${fmtSig(scores[v[0]])}</td></tr>`).join("")}
+          <tr><td>${label(["dl_tokens", "tokens"])}</td><td><code>dl_tokens</code></td><td>${d.tokens == null ? "—" : LoveI18n.num(d.tokens, ",")}</td></tr>
+        </tbody>
+      </table>
+
+      <h3 class="mini-title">${t("tp.identifier")}</h3>
+      <p><code class="tp-uri">${d.uri}</code></p>
+      <p><a class="text-link tp-link" href="${linkFor(d.uri)}">${t("tp.permalink")}</a> ·
+        <a class="text-link" href="concordance.html#text=${encodeURIComponent(d.uri)}">${t("tp.cues")}</a></p>
+    `;
+
+    el.querySelector(".tp-close").addEventListener("click", close);
+    el.hidden = false;
+    drawRegisters(el.querySelector(".tp-chart"), d);
+  }
+
+  function drawRegisters(container, d) {
+    const C = LoveI18n.chart;
+    const regs = LoveCorpus.REGISTERS;
+    const peers = allRows.filter((r) => r.genre === d.genre);
+    const data = regs.map((k) => ({
+      key: k,
+      value: d.scores[`BoC_${k}`],
+      genreMean: d3.mean(peers, (r) => r.scores[`BoC_${k}`]),
+    }));
+
+    const margin = C.margin({ top: 6, right: 40, bottom: 24, left: 72 });
+    const width = 340;
+    const height = 24 * regs.length + margin.top + margin.bottom;
+    const plotW = width - margin.left - margin.right;
+    const plotH = height - margin.top - margin.bottom;
+
+    const svg = d3
+      .select(container)
+      .append("svg")
+      .attr("viewBox", `0 0 ${width} ${height}`)
+      .attr("width", "100%");
+
+    const g = svg.append("g").attr("transform", `translate(${margin.left},${margin.top})`);
+
+    const xMax = d3.max(data, (r) => Math.max(r.value || 0, r.genreMean || 0)) || 1;
+    const x = d3.scaleLinear().domain([0, Math.max(2, xMax)]).nice().range(C.range(plotW));
+    const y = d3.scaleBand().domain(regs).range([0, plotH]).padding(0.28);
+    // Bars grow from the register axis, rightwards in LTR and leftwards in RTL
+    const barX = (v) => Math.min(x(0), x(v || 0));
+    const barW = (v) => Math.abs(x(v || 0) - x(0));
+
+    g.append("g")
+      .attr("class", "grid")
+      .attr("transform", `translate(0,${plotH})`)
+      .call(d3.axisBottom(x).ticks(4).tickSize(-plotH).tickFormat(""))
+      .attr("opacity", 0.18);
+
+    g.append("g").attr("transform", `translate(0,${plotH})`).call(d3.axisBottom(x).ticks(4));
+    g.append("g").attr("transform", `translate(${C.start(plotW)},0)`).call(C.yAxis(y).tickSize(0).tickPadding(6));
+
+    g.selectAll("rect.tp-bar")
+      .data(data)
+      .enter()
+      .append("rect")
+      .attr("class", "tp-bar")
+      .attr("x", (r) => barX(r.value))
+      .attr("y", (r) => y(r.key))
+      .attr("height", y.bandwidth())
+      .attr("width", (r) => barW(r.value))
+      .attr("fill", REG_COLOR)
+      .attr("opacity", 0.85);
+
+    g.selectAll("line.tp-mean")
+      .data(data.filter((r) => r.genreMean != null))
+      .enter()
+      .append("line")
+      .attr("class", "tp-mean")
+      .attr("x1", (r) => x(r.genreMean))
+      .attr("x2", (r) => x(r.genreMean))
+      .attr("y1", (r) => y(r.key) - 3)
+      .attr("y2", (r) => y(r.key) + y.bandwidth() + 3)
+      .attr("stroke", GENRE_MEAN_COLOR)
+      .attr("stroke-width", 2.4);
+
+    g.selectAll("text.tp-val")
+      .data(data)
+      .enter()
+      .append("text")
+      .attr("class", "tp-val")
+      .attr("x", (r) => x(r.value || 0) + C.side(4))
+      .attr("y", (r) => y(r.key) + y.bandwidth() / 2 + 4)
+      .attr("text-anchor", C.anchor("start"))
+      .style("font-size", "11px")
+      .text((r) => fmt(r.value, 2));
+  }
+
+  window.LoveTextPanel = { attach, show, close, linkFor };
+})();
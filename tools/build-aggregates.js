@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+// Precompute the century × genre aggregates the Data and Results pages draw first
+// (counts, and n / mean / SD / quartiles of every score column), so those pages
+// only fetch the full CSV for text-level views. Run after every new CSV release:
+//
+//   node tools/build-aggregates.js [--release ID] [file.csv]
+//
+// Writes the release's `counts` file (data/aggregates/counts.json for the default release) and
+// `<aggregates>/{index,<score column>}.json`, as listed in data/datasets.json; file.csv
+// replaces the release's own CSV. Refuses to build from a file tools/validate-dataset.js
+// reports errors for. data/corpus_size.json is the hand-maintained count table and is
+// never written here.
+const fs = require("fs");
+const path = require("path");
+const LoveCorpus = require("../corpus.js");
+const { validate } = require("./validate-dataset.js");
+const { ROOT, findRelease } = require("./releases.js");
+
+// Two-space JSON with each flat object (one cell, one count row) kept on a single line
+function format(value, indent = "") {
+  const inner = `${indent}  `;
+  if (Array.isArray(value)) {
+    if (!value.length) return "[]";
+    return `[\n${value.map((v) => inner + format(v, inner)).join(",\n")}\n${indent}]`;
+  }
+  if (value && typeof value === "object") {
+    const entries = Object.entries(value);
+    if (entries.every(([, v]) => v === null || typeof v !== "object")) {
+      return `{${entries.map(([k, v]) => `${JSON.stringify(k)}: ${JSON.stringify(v)}`).join(", ")}}`;
+    }
+    return `{\n${entries.map(([k, v]) => `${inner}${JSON.stringify(k)}: ${format(v, inner)}`).join(",\n")}\n${indent}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function write(rel, value) {
+  const file = path.join(ROOT, rel);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, `${format(value)}\n`);
+  console.log(`  wrote ${rel}`);
+}
+
+function main(argv) {
+  let file = null;
+  let releaseId = null;
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "--release") releaseId = argv[++i];
+    else if (a === "-h" || a === "--help") {
+      console.log("usage: node tools/build-aggregates.js [--release ID] [file.csv]");
+      return 0;
+    } else file = a;
+  }
+
+  let release;
+  try {
+    release = findRelease(releaseId);
+  } catch (e) {
+    console.error(e.message);
+    return 2;
+  }
+  if (!release.counts || !release.aggregates || !(file || release.csv)) {
+    console.error(`Release ${release.id} needs csv, counts and aggregates paths in ${LoveCorpus.MANIFEST_PATH}.`);
+    return 2;
+  }
+  file = file || path.relative(process.cwd(), path.join(ROOT, release.csv));
+
+  let text;
+  try {
+    text = fs.readFileSync(file, "utf8");
+  } catch (e) {
+    console.error(`Cannot read ${file}: ${e.message}`);
+    return 2;
+  }
+
+  const checked = validate(text);
+  const errors = [...checked.issues.values()].filter((g) => g.level === "error").reduce((s, g) => s + g.items.length, 0);
+  if (errors) {
+    console.error(`${file} has ${errors} error(s); run node tools/validate-dataset.js ${file} for details.`);
+    return 1;
+  }
+
+  const raw = checked.records.map((rec) => Object.fromEntries(checked.header.map((h, i) => [h, rec.fields[i] ?? ""])));
+  raw.columns = checked.header;
+  const source = path.relative(ROOT, path.resolve(file)).split(path.sep).join("/");
+  const corpus = { path: source, ...LoveCorpus.parse(raw) };
+  const index = { release: release.id, ...LoveCorpus.aggregateIndex(corpus, new Date().toISOString().slice(0, 10)) };
+
+  console.log(`Building aggregates for release ${release.id} from ${file}`);
+  console.log(`  ${index.summary}`);
+  write(release.counts, LoveCorpus.centuryCounts(corpus.rows));
+  write(`${release.aggregates}/index.json`, index);
+  for (const column of index.scores) {
+    write(`${release.aggregates}/${column}.json`, LoveCorpus.aggregateScore(corpus.rows, column));
+  }
+  return 0;
+}
+
+if (require.main === module) process.exitCode = main(process.argv.slice(2));
@@ -0,0 +1,181 @@
+#!/usr/bin/env node
+// Check the browser scorer (boc.js) against a release and the lexicons, so the "Score your own
+// text" page cannot drift from the CSV unnoticed. Run after editing data/lexicons/ or boc.js:
+//
+//   node tools/check-boc.js [--release ID] [file.csv]
+//
+//   - every text: BoC_final_0_2 = 2 × BoC_pctl_0_1
+//   - every text: LoveBoC.loveIndex(BoC_density_k) gives back its own BoC_final_0_2
+//   - no cue is also on its register's exclude list (it could never count)
+//   - every lexicon has the LEXICON_SIZES and the PINNED passages score as recorded; when a
+//     lexicon change is meant to move them, re-record the numbers in the same commit
+//
+// Exits 0 when every check passes, 1 when one fails, 2 when a file cannot be read.
+const fs = require("fs");
+const path = require("path");
+const LoveCorpus = require("../corpus.js");
+const LoveBoC = require("../boc.js");
+const { validate } = require("./validate-dataset.js");
+const { ROOT, findRelease } = require("./releases.js");
+
+const TOLERANCE = 1e-9;
+
+// Distinct cues / roots / idioms per lexicon after folding
+const LEXICON_SIZES = {
+  anchor: [42, 5, 14],
+  spirit: [49, 1, 12],
+  human: [50, 3, 11],
+  desire: [48, 2, 8],
+  beauty: [49, 2, 8],
+  metaphor: [51, 2, 12],
+  ethic: [36, 2, 8],
+  family: [45, 1, 7],
+  modern: [43, 0, 8],
+  technical: [40, 0, 7],
+};
+
+// Scores of fixed passages with the shipped lexicons: tokens, raw evidence, and hits / evidence per register
+const PINNED = [
+  {
+    name: "score page sample (Majnun Layla)",
+    text: [
+      "تذكرت ليلى والسنين الخواليا ... وأيام لا نخشى على اللهو ناهيا",
+      "أمر على الديار ديار ليلى ... أقبل ذا الجدار وذا الجدارا",
+      "وما حب الديار شغفن قلبي ... ولكن حب من سكن الديارا",
+    ].join("\n"),
+    tokens: 30,
+    raw: 6,
+    registers: { anchor: [3, 6] },
+  },
+  {
+    name: "one cue per register, idioms, technical penalty",
+    text:
+      "في محبة الله صبر ووفاء، وجمال كغصن البان، ونار الهوى في القلب، وشوق إلى اللقاء يوم الفراق، " +
+      "وبر الوالدين وحنو الأم، وعلاقة عاطفية بين شريكين. فإن قيل: ما تعريف الحب؟ قلنا: ذكر الحبيب ومناجاته.",
+    tokens: 34,
+    raw: 18.25,
+    registers: {
+      anchor: [4, 6],
+      spirit: [1, 2.75],
+      human: [6, 9.5],
+      beauty: [2, 5],
+      metaphor: [1, 0.75],
+      ethic: [2, 3],
+      family: [2, 2.25],
+      modern: [3, 7.25],
+    },
+  },
+];
+
+const close = (a, b) => a != null && b != null && Math.abs(a - b) <= TOLERANCE;
+
+function readLexicons() {
+  const dir = path.join(ROOT, LoveBoC.LEXICON_DIR);
+  const files = [...LoveCorpus.REGISTERS, "technical"].map((k) => path.join(dir, `${k}.json`));
+  return LoveBoC.compile(files.map((f) => JSON.parse(fs.readFileSync(f, "utf8"))));
+}
+
+// Each check: { title, failures: [ "…" ] }
+function checkRelease(rows) {
+  const doubled = { title: "BoC_final_0_2 = 2 × BoC_pctl_0_1", failures: [] };
+  const lookup = { title: "loveIndex(BoC_density_k) = BoC_final_0_2", failures: [] };
+  for (const d of rows) {
+    const { BoC_final_0_2: final, BoC_pctl_0_1: pctl, BoC_density_k: density } = d.scores;
+    if (final == null) continue;
+    if (!close(final, 2 * pctl)) doubled.failures.push(`${d.uri}: ${final} vs 2 × ${pctl}`);
+    const love = LoveBoC.loveIndex(density, rows);
+    if (!close(love, final)) lookup.failures.push(`${d.uri}: ${love} vs ${final}`);
+  }
+  return [doubled, lookup];
+}
+
+function checkLexicons(lexicon) {
+  const excluded = { title: "no cue on its register's exclude list", failures: [] };
+  for (const reg of lexicon.registers) {
+    for (const cue of reg.cues.keys()) if (reg.exclude.has(cue)) excluded.failures.push(`${reg.key}: ${cue}`);
+  }
+
+  const sizes = { title: "lexicon sizes as recorded (cues/roots/idioms)", failures: [] };
+  for (const reg of [...lexicon.registers, lexicon.technical]) {
+    const got = [reg.cues.size, reg.roots.length, reg.idioms.length].join("/");
+    const want = (LEXICON_SIZES[reg.key] || []).join("/");
+    if (got !== want) sizes.failures.push(`${reg.key}: ${got} (recorded ${want || "none"})`);
+  }
+
+  const pinned = { title: "pinned passages score as recorded", failures: [] };
+  for (const p of PINNED) {
+    const s = LoveBoC.score(p.text, lexicon);
+    const got = [`tokens ${s.tokens}`, `raw ${s.raw}`];
+    const want = [`tokens ${p.tokens}`, `raw ${p.raw}`];
+    for (const key of LoveCorpus.REGISTERS) {
+      const r = s.registers[key];
+      got.push(`${key} ${r.hits}/${+r.evidence.toFixed(4)}`);
+      want.push(`${key} ${(p.registers[key] || [0, 0]).join("/")}`);
+    }
+    const diff = got.flatMap((g, i) => (g === want[i] ? [] : [`${g} (recorded ${want[i]})`]));
+    if (diff.length) pinned.failures.push(`${p.name}: ${diff.join(", ")}`);
+  }
+  return [excluded, sizes, pinned];
+}
+
+function main(argv) {
+  let file = null;
+  let releaseId = null;
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "--release") releaseId = argv[++i];
+    else if (a === "-h" || a === "--help") {
+      console.log("usage: node tools/check-boc.js [--release ID] [file.csv]");
+      return 0;
+    } else file = a;
+  }
+
+  if (!file) {
+    let release;
+    try {
+      release = findRelease(releaseId);
+    } catch (e) {
+      console.error(e.message);
+      return 2;
+    }
+    if (!release.csv) {
+      console.error(`Release ${release.id} has no CSV in ${LoveCorpus.MANIFEST_PATH}.`);
+      return 2;
+    }
+    file = path.relative(process.cwd(), path.join(ROOT, release.csv));
+  }
+
+  let text;
+  let lexicon;
+  try {
+    text = fs.readFileSync(file, "utf8");
+    lexicon = readLexicons();
+  } catch (e) {
+    console.error(`Cannot read ${e.path || file}: ${e.message}`);
+    return 2;
+  }
+
+  const checked = validate(text);
+  const errors = [...checked.issues.values()].filter((g) => g.level === "error").reduce((s, g) => s + g.items.length, 0);
+  if (errors) {
+    console.error(`${file} has ${errors} error(s); run node tools/validate-dataset.js ${file} for details.`);
+    return 1;
+  }
+  const raw = checked.records.map((rec) => Object.fromEntries(checked.header.map((h, i) => [h, rec.fields[i] ?? ""])));
+  raw.columns = checked.header;
+  const { rows } = LoveCorpus.parse(raw);
+
+  console.log(`Checking boc.js against ${file} (${rows.length} texts) and ${LoveBoC.LEXICON_DIR}/`);
+  const checks = [...checkRelease(rows), ...checkLexicons(lexicon)];
+  for (const c of checks) {
+    console.log(`  ${c.failures.length ? "FAIL" : "ok  "}  ${c.title}${c.failures.length ? `: ${c.failures.length}` : ""}`);
+    for (const f of c.failures.slice(0, 5)) console.log(`          ${f}`);
+    if (c.failures.length > 5) console.log(`          … and ${c.failures.length - 5} more`);
+  }
+  const failed = checks.filter((c) => c.failures.length).length;
+  console.log("");
+  console.log(`  ${failed ? "FAIL" : "OK"} — ${failed} of ${checks.length} check(s) failed`);
+  return failed ? 1 : 0;
+}
+
+if (require.main === module) process.exitCode = main(process.argv.slice(2));
@@ -0,0 +1,216 @@
+#!/usr/bin/env node
+// Check the release comparison behind the Compare page (LoveCorpus.compareReleases) on two CSVs.
+// Only one release ships with the site, so the page cannot show it working:
+//
+//   node tools/check-compare.js [--release ID] [--score COLUMN] [a.csv b.csv]
+//
+//   - without files, the release's CSV is compared with itself (nothing changes) and with a
+//     copy that drops two texts, adds one and raises one score by 0.5, which the join must report
+//   - with two files, B is compared with A and the differences are summarized as on the page
+//   - every time: ranks are competition ranks, highest score = 1
+//
+// Exits 0 when every check passes, 1 when one fails, 2 when a file cannot be read.
+const fs = require("fs");
+const path = require("path");
+const LoveCorpus = require("../corpus.js");
+const LoveStats = require("../stats.js");
+const { validate } = require("./validate-dataset.js");
+const { ROOT, findRelease } = require("./releases.js");
+
+const TOLERANCE = 1e-9;
+const RAISE = 0.5;
+
+const csvField = (v) => (/[",\n\r]/.test(v) ? `"${v.replace(/"/g, '""')}"` : v);
+
+// Header + field arrays back to CSV text
+function csvText(header, records) {
+  return `${[header, ...records].map((fields) => fields.map(csvField).join(",")).join("\n")}\n`;
+}
+
+// { header, records: [ fields ], rows } of a CSV, or an error message
+function readCsv(text, name) {
+  const checked = validate(text);
+  const errors = [...checked.issues.values()].filter((g) => g.level === "error").reduce((s, g) => s + g.items.length, 0);
+  if (errors) return `${name} has ${errors} error(s); run node tools/validate-dataset.js ${name} for details.`;
+  const records = checked.records.map((rec) => checked.header.map((h, i) => rec.fields[i] ?? ""));
+  const raw = records.map((fields) => Object.fromEntries(checked.header.map((h, i) => [h, fields[i]])));
+  raw.columns = checked.header;
+  return { header: checked.header, records, rows: LoveCorpus.parse(raw).rows };
+}
+
+// A copy of `csv` with known edits, and what the join should report for it
+function editedCopy(csv, column) {
+  const { resolved } = LoveCorpus.resolveColumns(csv.header);
+  const uriAt = csv.header.indexOf(resolved.version_uri);
+  const scoreAt = csv.header.indexOf(resolved[column]);
+  const byUri = new Map(csv.rows.map((r) => [r.uri, r]));
+  const loaded = csv.records.filter((f) => byUri.has(f[uriAt]));
+
+  const removed = loaded.slice(0, 2).map((f) => f[uriAt]);
+  const target = loaded
+    .slice(2)
+    .filter((f) => byUri.get(f[uriAt]).scores[column] != null)
+    .reduce((lo, f) => (!lo || byUri.get(f[uriAt]).scores[column] < byUri.get(lo[uriAt]).scores[column] ? f : lo), null);
+  const added = `${loaded[loaded.length - 1][uriAt]}-copy`;
+
+  const records = csv.records
+    .filter((f) => !removed.includes(f[uriAt]))
+    .map((f) => {
+      if (f !== target) return f;
+      const out = f.slice();
+      out[scoreAt] = String(byUri.get(f[uriAt]).scores[column] + RAISE);
+      return out;
+    });
+  const copy = loaded[loaded.length - 1].slice();
+  copy[uriAt] = added;
+  records.push(copy);
+  return { text: csvText(csv.header, records), removed, added: [added], raised: target[uriAt] };
+}
+
+// Each check: { title, failures: [ "…" ] }
+function checkRanks(rows, column, label) {
+  const check = { title: `${label}: ranks are competition ranks (highest = 1)`, failures: [] };
+  const { shared } = LoveCorpus.compareReleases({ rows }, { rows }, column);
+  const sorted = rows.map((r) => r.scores[column]).filter((v) => v != null).sort((x, y) => y - x);
+  for (const d of shared) {
+    if (d.a == null) {
+      if (d.rankA != null) check.failures.push(`${d.uri}: no ${column} but rank ${d.rankA}`);
+      continue;
+    }
+    const want = 1 + sorted.findIndex((v) => v === d.a);
+    if (d.rankA !== want) check.failures.push(`${d.uri}: rank ${d.rankA}, expected ${want}`);
+  }
+  return check;
+}
+
+function checkSelf(rows, column) {
+  const check = { title: "release vs itself: every text shared, nothing changed", failures: [] };
+  const cmp = LoveCorpus.compareReleases({ rows }, { rows }, column);
+  if (cmp.shared.length !== rows.length) check.failures.push(`${cmp.shared.length} of ${rows.length} texts shared`);
+  if (cmp.added.length || cmp.removed.length) check.failures.push(`${cmp.added.length} added, ${cmp.removed.length} removed`);
+  for (const d of cmp.shared) {
+    if ((d.delta != null && d.delta !== 0) || d.rankChange) check.failures.push(`${d.uri}: Δ ${d.delta}, rank change ${d.rankChange}`);
+  }
+  return check;
+}
+
+function checkEdited(a, b, edits, column) {
+  const cmp = LoveCorpus.compareReleases(a, b, column);
+  const same = (got, want) => got.slice().sort().join(" ") === want.slice().sort().join(" ");
+
+  const membership = { title: "edited copy: removed and added texts", failures: [] };
+  const removed = cmp.removed.map((r) => r.uri);
+  const added = cmp.added.map((r) => r.uri);
+  if (!same(removed, edits.removed)) membership.failures.push(`removed ${removed.join(", ")}, expected ${edits.removed.join(", ")}`);
+  if (!same(added, edits.added)) membership.failures.push(`added ${added.join(", ")}, expected ${edits.added.join(", ")}`);
+  if (cmp.shared.length !== a.rows.length - edits.removed.length) {
+    membership.failures.push(`${cmp.shared.length} shared, expected ${a.rows.length - edits.removed.length}`);
+  }
+
+  const scores = { title: `edited copy: one ${column} raised by ${RAISE}, ranked higher`, failures: [] };
+  const changed = cmp.shared.filter((d) => d.delta != null && Math.abs(d.delta) > TOLERANCE);
+  if (changed.length !== 1 || changed[0].uri !== edits.raised) {
+    scores.failures.push(`changed: ${changed.map((d) => d.uri).join(", ") || "none"}, expected ${edits.raised}`);
+  } else {
+    const d = changed[0];
+    if (Math.abs(d.delta - RAISE) > TOLERANCE) scores.failures.push(`${d.uri}: Δ ${d.delta}, expected ${RAISE}`);
+    if (!(d.rankChange > 0)) scores.failures.push(`${d.uri}: rank ${d.rankA} → ${d.rankB}`);
+  }
+  return [membership, scores];
+}
+
+// What the Compare page's summary line says about B against A
+function summarize(a, b, column) {
+  const cmp = LoveCorpus.compareReleases(a, b, column);
+  const changed = cmp.shared.filter((d) => d.delta != null && d.delta !== 0);
+  const moved = cmp.shared.filter((d) => d.genre !== d.genreA || d.dateA !== d.dateB);
+  const paired = cmp.shared.filter((d) => d.a != null && d.b != null);
+  const rho = paired.length > 2 ? LoveStats.spearman(paired.map((d) => d.a), paired.map((d) => d.b)) : null;
+  console.log(`  ${cmp.shared.length} in both · ${cmp.added.length} added · ${cmp.removed.length} removed`);
+  console.log(`  ${changed.length} shared texts have a different ${column}; ${moved.length} changed genre or date`);
+  if (rho != null) console.log(`  Spearman ρ between the two rankings: ${rho.toFixed(3)}`);
+}
+
+function main(argv) {
+  const files = [];
+  let releaseId = null;
+  let column = LoveCorpus.SCORE_VARIANTS[0].column;
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "--release") releaseId = argv[++i];
+    else if (a === "--score") column = argv[++i];
+    else if (a === "-h" || a === "--help") {
+      console.log("usage: node tools/check-compare.js [--release ID] [--score COLUMN] [a.csv b.csv]");
+      return 0;
+    } else files.push(a);
+  }
+  if (files.length !== 0 && files.length !== 2) {
+    console.error("Give two CSV files, or none to check the release against edited copies of itself.");
+    return 2;
+  }
+  if (!LoveCorpus.SCORES.some((s) => s.column === column)) {
+    console.error(`Unknown score column "${column}" (one of ${LoveCorpus.SCORES.map((s) => s.column).join(", ")}).`);
+    return 2;
+  }
+
+  if (!files.length) {
+    let release;
+    try {
+      release = findRelease(releaseId);
+    } catch (e) {
+      console.error(e.message);
+      return 2;
+    }
+    if (!release.csv) {
+      console.error(`Release ${release.id} has no CSV in ${LoveCorpus.MANIFEST_PATH}.`);
+      return 2;
+    }
+    files.push(path.relative(process.cwd(), path.join(ROOT, release.csv)));
+  }
+
+  const csvs = [];
+  for (const file of files) {
+    let text;
+    try {
+      text = fs.readFileSync(file, "utf8");
+    } catch (e) {
+      console.error(`Cannot read ${file}: ${e.message}`);
+      return 2;
+    }
+    const csv = readCsv(text, file);
+    if (typeof csv === "string") {
+      console.error(csv);
+      return 1;
+    }
+    csvs.push(csv);
+  }
+
+  const [a, b] = csvs;
+  let checks;
+  if (b) {
+    console.log(`Comparing ${files[1]} (B, ${b.rows.length} texts) with ${files[0]} (A, ${a.rows.length} texts) on ${column}`);
+    summarize(a, b, column);
+    checks = [checkRanks(a.rows, column, "A"), checkRanks(b.rows, column, "B")];
+  } else {
+    const edits = editedCopy(a, column);
+    const copy = readCsv(edits.text, "edited copy");
+    if (typeof copy === "string") {
+      console.error(copy);
+      return 1;
+    }
+    console.log(`Checking compareReleases on ${files[0]} (${a.rows.length} texts) and an edited copy, on ${column}`);
+    checks = [checkRanks(a.rows, column, "release"), checkSelf(a.rows, column), ...checkEdited(a, copy, edits, column)];
+  }
+
+  for (const c of checks) {
+    console.log(`  ${c.failures.length ? "FAIL" : "ok  "}  ${c.title}${c.failures.length ? `: ${c.failures.length}` : ""}`);
+    for (const f of c.failures.slice(0, 5)) console.log(`          ${f}`);
+    if (c.failures.length > 5) console.log(`          … and ${c.failures.length - 5} more`);
+  }
+  const failed = checks.filter((c) => c.failures.length).length;
+  console.log("");
+  console.log(`  ${failed ? "FAIL" : "OK"} — ${failed} of ${checks.length} check(s) failed`);
+  return failed ? 1 : 0;
+}
+
+if (require.main === module) process.exitCode = main(process.argv.slice(2));
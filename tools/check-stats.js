@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+// Check stats.js against reference values: published results (R's kruskal.test example) and
+// small cases worked by hand, so a change to the distributions, the OLS / CR1 fit, the
+// breakpoint scan or the group tests cannot shift the Results page unnoticed.
+//
+//   node tools/check-stats.js
+//
+// Exits 0 when every value matches, 1 otherwise.
+const LoveStats = require("../stats.js");
+
+// Five points with fitted line 2.2 + 0.6x, residuals −0.8 0.6 1 −0.6 −0.2, SSE 2.4, Sxx 10
+const LINE_X = [1, 2, 3, 4, 5];
+const LINE_Y = [2, 4, 5, 4, 5];
+const design = LINE_X.map((x) => [1, x]);
+
+// Slope variance from the sandwich is c · Σ_g (Σ_i∈g (x_i − x̄) e_i)² / Sxx², c = G/(G−1) · (n−1)/(n−k):
+// one text per cluster gives HC1 (0.0344 · 5/3), clusters {1,2} {3,4} {5} give 2 · 1.52 / 100
+const olsFit = (clusters) => LoveStats.ols(design, LINE_Y, ["const", "x"], clusters ? { clusters } : {});
+
+// Hollander & Wolfe via ?kruskal.test: H = 0.7714, df 2, p = 0.68; mean ranks 7.2, 9, 6.6
+const KW_GROUPS = [
+  [2.9, 3.0, 2.5, 2.6, 3.2],
+  [3.8, 2.7, 4.0, 2.4],
+  [2.8, 3.4, 3.7, 2.2, 2.0],
+];
+
+// Three noisy copies (±0.1) of a series that jumps by 5 at century 6
+const breakData = () => {
+  const xs = [];
+  const ys = [];
+  for (const noise of [-0.1, 0, 0.1]) {
+    for (let c = 1; c <= 10; c++) {
+      xs.push(c);
+      ys.push((c < 6 ? c : c + 5) + noise);
+    }
+  }
+  return LoveStats.breakpointScan(xs, ys, [3, 4, 5, 6, 7, 8]);
+};
+
+// [ label, () => value, expected, absolute tolerance (null: must be equal) ]
+const CASES = [
+  // Distributions: textbook critical values, and the closed forms for F(2, ν) and t on 2 / 4 df
+  ["tPValue(2, 10)", () => LoveStats.tPValue(2, 10), 0.0734, 1e-4],
+  ["tPValue(2.228139, 10)", () => LoveStats.tPValue(2.228139, 10), 0.05, 1e-6],
+  ["fPValue(3, 2, 20) = 1.3^−10", () => LoveStats.fPValue(3, 2, 20), 0.0725382, 1e-6],
+  ["fPValue(13.5, 1, 4) = tPValue(√13.5, 4)", () => LoveStats.fPValue(13.5, 1, 4), LoveStats.tPValue(Math.sqrt(13.5), 4), 1e-12],
+  ["chiSquarePValue(3.841459, 1)", () => LoveStats.chiSquarePValue(3.841459, 1), 0.05, 1e-6],
+  ["chiSquarePValue(5.991465, 2)", () => LoveStats.chiSquarePValue(5.991465, 2), 0.05, 1e-6],
+  ["zPValue(1.959964)", () => LoveStats.zPValue(1.959964), 0.05, 1e-6],
+
+  // OLS, classical and cluster-robust
+  ["ols slope", () => olsFit().coef[1].b, 0.6, 1e-12],
+  ["ols intercept", () => olsFit().coef[0].b, 2.2, 1e-12],
+  ["ols R²", () => olsFit().r2, 0.6, 1e-12],
+  ["ols slope SE = √(0.8 / 10)", () => olsFit().coef[1].se, Math.sqrt(0.08), 1e-12],
+  ["ols intercept SE = √(0.8 · (1/5 + 9/10))", () => olsFit().coef[0].se, Math.sqrt(0.88), 1e-12],
+  ["ols slope p (t = 2.1213, 3 df)", () => olsFit().coef[1].p, 0.1240, 1e-4],
+  ["CR1 slope SE, one text per cluster (HC1)", () => olsFit([1, 2, 3, 4, 5]).coef[1].se, Math.sqrt(0.0344 * 5 / 3), 1e-12],
+  ["CR1 slope SE, three clusters", () => olsFit(["a", "a", "b", "b", "c"]).coef[1].se, Math.sqrt(0.0304), 1e-12],
+  // t on G − 1 = 2 df: p = 1 − |t| / √(t² + 2)
+  ["CR1 slope p on G − 1 df", () => olsFit(["a", "a", "b", "b", "c"]).coef[1].p,
+    1 - (0.6 / Math.sqrt(0.0304)) / Math.sqrt(0.36 / 0.0304 + 2), 1e-9],
+
+  // Breakpoint scan: the jump is found and fitted exactly, SSE = 10 × 2 × 0.1²
+  ["breakpointScan best break", () => breakData().best.breakAt, 6, 0],
+  ["breakpointScan best SSE", () => breakData().best.sse, 0.2, 1e-9],
+  ["breakpointScan best AIC = 30 ln(0.2 / 30) + 8", () => breakData().best.aic, 30 * Math.log(0.2 / 30) + 8, 1e-9],
+  ["breakpointScan jump size", () => breakData().best.fit.coef[2].b, 5, 1e-9],
+
+  // Group differences
+  ["holm([.01, .04, .03, null])", () => LoveStats.holm([0.01, 0.04, 0.03, null]).map((p) => (p == null ? "null" : +p.toFixed(12))).join(" "),
+    "0.03 0.06 0.06 null", null],
+  ["kruskalWallis H", () => LoveStats.kruskalWallis(KW_GROUPS).H, 0.771429, 1e-6],
+  ["kruskalWallis p", () => LoveStats.kruskalWallis(KW_GROUPS).p, 0.68, 1e-3],
+  ["kruskalWallis ε² = H / 13", () => LoveStats.kruskalWallis(KW_GROUPS).epsilon2, 0.771429 / 13, 1e-6],
+  // (7.2 − 9) / √(14 · 15 / 12 · (1/5 + 1/4))
+  ["dunn z, groups 1 vs 2", () => LoveStats.dunn(LoveStats.kruskalWallis(KW_GROUPS), KW_GROUPS, 0, 1).z,
+    -1.8 / Math.sqrt(17.5 * 0.45), 1e-12],
+  ["anova F, [1 2 3] vs [4 5 6]", () => LoveStats.anova([[1, 2, 3], [4, 5, 6]]).F, 13.5, 1e-12],
+  ["anova η² = 13.5 / 17.5", () => LoveStats.anova([[1, 2, 3], [4, 5, 6]]).eta2, 13.5 / 17.5, 1e-12],
+  ["anova p (t = 3.6742, 4 df)", () => LoveStats.anova([[1, 2, 3], [4, 5, 6]]).p, 0.0213, 1e-4],
+  ["cliffsDelta([1 2 3], [2 3 4]) = (1 − 6) / 9", () => LoveStats.cliffsDelta([1, 2, 3], [2, 3, 4]), -5 / 9, 1e-12],
+  ["cohensD([1 2 3], [2 3 4])", () => LoveStats.cohensD([1, 2, 3], [2, 3, 4]), -1, 1e-12],
+];
+
+function main() {
+  let failed = 0;
+  console.log(`Checking stats.js against ${CASES.length} reference values`);
+  for (const [label, compute, expected, tolerance] of CASES) {
+    let got;
+    try {
+      got = compute();
+    } catch (e) {
+      got = e.message;
+    }
+    const ok = tolerance == null
+      ? got === expected
+      : Number.isFinite(got) && Math.abs(got - expected) <= tolerance;
+    if (!ok) failed++;
+    console.log(`  ${ok ? "ok  " : "FAIL"}  ${label}${ok ? "" : `: ${got}, expected ${expected}`}`);
+  }
+  console.log("");
+  console.log(`  ${failed ? "FAIL" : "OK"} — ${failed} of ${CASES.length} value(s) off`);
+  return failed ? 1 : 0;
+}
+
+if (require.main === module) process.exitCode = main();
@@ -0,0 +1,27 @@
+// The release manifest (data/datasets.json) as the command-line tools see it.
+const fs = require("fs");
+const path = require("path");
+const LoveCorpus = require("../corpus.js");
+
+const ROOT = path.join(__dirname, "..");
+
+function readManifest() {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(ROOT, LoveCorpus.MANIFEST_PATH), "utf8"));
+  } catch (e) {
+    return { default: LoveCorpus.DEFAULT_RELEASE.id, releases: [LoveCorpus.DEFAULT_RELEASE] };
+  }
+}
+
+// A manifest entry by id (the default release when id is empty); throws on unknown ids
+function findRelease(id) {
+  const manifest = readManifest();
+  const wanted = id || manifest.default;
+  const release = manifest.releases.find((r) => r.id === wanted);
+  if (!release) {
+    throw new Error(`Unknown release "${wanted}" (${LoveCorpus.MANIFEST_PATH} lists ${manifest.releases.map((r) => r.id).join(", ")})`);
+  }
+  return release;
+}
+
+module.exports = { ROOT, readManifest, findRelease };
@@ -0,0 +1,282 @@
+#!/usr/bin/env node
+// Check a scored CSV release against the schema the front end expects (corpus.js) before it ships.
+//
+//   node tools/validate-dataset.js [file.csv | --release ID] [--examples N] [--strict]
+//
+// Without a file, checks the CSV of the given (or the default) release in data/datasets.json.
+//
+// Prints a report and exits 0 when the file is usable, 1 on errors (or on warnings with --strict),
+// 2 when the file cannot be read.
+const fs = require("fs");
+const path = require("path");
+const LoveCorpus = require("../corpus.js");
+const { ROOT, findRelease } = require("./releases.js");
+
+const { SCHEMA, GENRE_MAP, MIN_CENTURY, MAX_CENTURY, UNDATED_YEAR } = LoveCorpus;
+
+// ---- CSV (RFC 4180) with quoting diagnostics; d3.csvParse would silently repair these
+function parseCsv(text) {
+  const records = [];
+  const n = text.length;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+  let line = 1;
+  const isEnd = (ch) => ch === "," || ch === "\n" || ch === "\r";
+
+  while (i < n) {
+    const rec = { line, fields: [], issues: [] };
+    for (;;) {
+      let value = "";
+      if (text[i] === '"') {
+        const startLine = line;
+        let closed = false;
+        i++;
+        while (i < n) {
+          if (text[i] === '"') {
+            if (text[i + 1] === '"') {
+              value += '"';
+              i += 2;
+              continue;
+            }
+            i++;
+            closed = true;
+            break;
+          }
+          if (text[i] === "\n") line++;
+          value += text[i++];
+        }
+        if (!closed) rec.issues.push({ field: rec.fields.length, kind: "unterminated quote", line: startLine });
+        else if (i < n && !isEnd(text[i])) {
+          rec.issues.push({ field: rec.fields.length, kind: "text after closing quote", line });
+          while (i < n && !isEnd(text[i])) value += text[i++];
+        }
+      } else {
+        let stray = false;
+        while (i < n && !isEnd(text[i])) {
+          if (text[i] === '"') stray = true;
+          value += text[i++];
+        }
+        if (stray) rec.issues.push({ field: rec.fields.length, kind: "quote inside unquoted field", line });
+      }
+      rec.fields.push(value);
+      if (text[i] === ",") {
+        i++;
+        continue;
+      }
+      if (text[i] === "\r") i++;
+      if (text[i] === "\n") {
+        i++;
+        line++;
+      }
+      break;
+    }
+    if (!(rec.fields.length === 1 && rec.fields[0] === "" && !rec.issues.length)) records.push(rec);
+  }
+  return records;
+}
+
+// ---- Checks
+
+function levenshtein(a, b) {
+  const d = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    let prev = d[0];
+    d[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const tmp = d[j];
+      d[j] = Math.min(d[j] + 1, d[j - 1] + 1, prev + (a[i - 1] === b[j - 1] ? 0 : 1));
+      prev = tmp;
+    }
+  }
+  return d[b.length];
+}
+
+// A header that is probably `column` under another name ("BoC_final_0-2", "Genre code", …)
+function renameCandidate(column, unused) {
+  const key = (s) => s.toLowerCase().replace(/[^a-z0-9]/g, "");
+  return unused.find((h) => key(h) === key(column)) ||
+    unused.find((h) => levenshtein(h.toLowerCase(), column.toLowerCase()) <= 2) ||
+    null;
+}
+
+function validate(text) {
+  const issues = new Map(); // check id → { level, title, items: [] }
+  const flag = (id, level, title, item) => {
+    if (!issues.has(id)) issues.set(id, { level, title, items: [] });
+    issues.get(id).items.push(item);
+  };
+
+  const records = parseCsv(text);
+  if (!records.length) {
+    flag("empty", "error", "file has no header row", "");
+    return { issues, rows: 0, columns: [] };
+  }
+
+  const header = records[0].fields.map((h) => h.trim());
+  const data = records.slice(1);
+  if (!data.length) flag("no-rows", "error", "file has no data rows", "");
+
+  // Columns: missing / renamed / duplicated / unexpected
+  const { resolved, missing } = LoveCorpus.resolveColumns(header);
+  const used = new Set(Object.values(resolved));
+  const unused = header.filter((h) => h && !used.has(h));
+  for (const m of missing) {
+    const guess = renameCandidate(m.column, unused);
+    flag(
+      m.required ? "missing-required-column" : "missing-column",
+      m.required ? "error" : "warning",
+      m.required ? "required column missing (the site shows “Could not detect required columns”)" : "optional column missing",
+      `${m.column}${guess ? ` — renamed to "${guess}"?` : ""}`
+    );
+  }
+  const seen = new Set();
+  for (const h of header) {
+    if (seen.has(h.toLowerCase())) flag("duplicate-column", "error", "duplicate column header", h);
+    seen.add(h.toLowerCase());
+  }
+  for (const h of unused) flag("extra-column", "info", "columns the site does not read", h);
+
+  // Rows
+  const colIndex = new Map(header.map((h, i) => [h, i]));
+  const cell = (rec, column) => (resolved[column] ? (rec.fields[colIndex.get(resolved[column])] ?? "").trim() : "");
+  const firstLineOf = new Map();
+
+  for (const rec of data) {
+    const at = `line ${rec.line}`;
+    const uri = cell(rec, "version_uri");
+    const where = uri ? `${at} (${uri})` : at;
+
+    for (const q of rec.issues) {
+      flag("quoting", "error", "malformed quoting", `line ${q.line}, ${header[q.field] || `field ${q.field + 1}`}: ${q.kind}`);
+    }
+    if (rec.fields.length !== header.length) {
+      flag("field-count", "error", "wrong number of fields (usually an unquoted comma)", `${at}: ${rec.fields.length} fields, header has ${header.length}`);
+    }
+
+    if (!uri) flag("missing-uri", "error", "empty version_uri", at);
+    else if (firstLineOf.has(uri)) flag("duplicate-uri", "error", "duplicate version_uri", `${where}, first seen on line ${firstLineOf.get(uri)}`);
+    else firstLineOf.set(uri, rec.line);
+
+    for (const f of SCHEMA) {
+      if (!resolved[f.column]) continue;
+      const raw = cell(rec, f.column);
+
+      if (f.type === "genre") {
+        if (LoveCorpus.normalizeGenre(raw)) continue;
+        const known = Object.keys(GENRE_MAP).join(", ");
+        const rescued = LoveCorpus.normalizeGenre(cell(rec, "GenreLabel"));
+        flag(
+          "unknown-genre",
+          "error",
+          `unknown GenreCode (expected one of ${known})`,
+          `${where}: "${raw}"${rescued ? ` (GenreLabel suggests ${rescued})` : ""}`
+        );
+      } else if (f.type === "year") {
+        const y = LoveCorpus.coerceNumber(raw);
+        if (y == null || y < 1) {
+          flag("undated", "error", "missing or invalid date (row is dropped)", `${where}: "${raw}"`);
+          continue;
+        }
+        if (y === UNDATED_YEAR) flag("placeholder-date", "warning", `placeholder date ${UNDATED_YEAR} (shown as “undated”)`, where);
+        const c = LoveCorpus.centuryOfYear(y);
+        if (c < MIN_CENTURY || c > MAX_CENTURY) {
+          flag("outside-window", "warning", `date outside centuries ${MIN_CENTURY}–${MAX_CENTURY} (row is dropped)`, `${where}: ${y}`);
+        }
+      } else if (f.type === "number") {
+        if (!raw) {
+          if (f.required) flag("missing-score", "error", "empty required score", `${where}, ${f.column}`);
+          continue;
+        }
+        const v = LoveCorpus.coerceNumber(raw);
+        if (v == null) {
+          flag("non-numeric", "error", "non-numeric value", `${where}, ${f.column}: "${raw}"`);
+        } else if (f.range && (v < f.range[0] || v > f.range[1])) {
+          flag("out-of-range", "error", "value out of range", `${where}, ${f.column} = ${v} (expected ${f.range[0]}–${f.range[1]})`);
+        }
+      }
+    }
+  }
+
+  return { issues, rows: data.length, columns: header, records: data, header };
+}
+
+// What the site itself would load from this file (same loader as the pages)
+function frontEndSummary(result) {
+  const raw = result.records.map((rec) => Object.fromEntries(result.header.map((h, i) => [h, rec.fields[i] ?? ""])));
+  raw.columns = result.header;
+  return LoveCorpus.describe(LoveCorpus.parse(raw).diagnostics);
+}
+
+// ---- Report
+
+const LEVELS = ["error", "warning", "info"];
+
+function report(file, result, opts) {
+  const out = [];
+  out.push(`Validating ${file}`);
+  out.push(`  ${result.rows} rows · ${result.columns.length} columns`);
+  out.push("");
+
+  const groups = [...result.issues.values()].sort((a, b) => LEVELS.indexOf(a.level) - LEVELS.indexOf(b.level));
+  if (!groups.length) out.push("  No problems found.");
+  for (const g of groups) {
+    out.push(`  ${g.level.toUpperCase().padEnd(7)} ${g.title}: ${g.items.length}`);
+    for (const item of g.items.slice(0, opts.examples)) if (item) out.push(`            ${item}`);
+    if (g.items.length > opts.examples) out.push(`            … and ${g.items.length - opts.examples} more`);
+  }
+
+  const count = (level) => groups.filter((g) => g.level === level).reduce((s, g) => s + g.items.length, 0);
+  const errors = count("error");
+  const warnings = count("warning");
+  const failed = errors > 0 || (opts.strict && warnings > 0);
+
+  out.push("");
+  if (result.records) out.push(`  Front end: ${frontEndSummary(result)}`);
+  out.push(`  ${failed ? "FAIL" : "OK"} — ${errors} error(s), ${warnings} warning(s)${opts.strict ? " (strict)" : ""}`);
+  return { text: out.join("\n"), failed };
+}
+
+function main(argv) {
+  const opts = { examples: 5, strict: false };
+  let file = null;
+  let releaseId = null;
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "--strict") opts.strict = true;
+    else if (a === "--examples") opts.examples = Math.max(0, parseInt(argv[++i], 10) || 0);
+    else if (a === "--release") releaseId = argv[++i];
+    else if (a === "-h" || a === "--help") {
+      console.log("usage: node tools/validate-dataset.js [file.csv | --release ID] [--examples N] [--strict]");
+      return 0;
+    } else file = a;
+  }
+  if (!file) {
+    let release;
+    try {
+      release = findRelease(releaseId);
+    } catch (e) {
+      console.error(e.message);
+      return 2;
+    }
+    if (!release.csv) {
+      console.error(`Release ${release.id} has no CSV in ${LoveCorpus.MANIFEST_PATH}.`);
+      return 2;
+    }
+    file = path.relative(process.cwd(), path.join(ROOT, release.csv));
+  }
+
+  let text;
+  try {
+    text = fs.readFileSync(file, "utf8");
+  } catch (e) {
+    console.error(`Cannot read ${file}: ${e.message}`);
+    return 2;
+  }
+
+  const { text: out, failed } = report(file, validate(text), opts);
+  console.log(out);
+  return failed ? 1 : 0;
+}
+
+module.exports = { parseCsv, validate };
+
+if (require.main === module) process.exitCode = main(process.argv.slice(2));
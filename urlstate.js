@@ -0,0 +1,46 @@
+// View state in the URL hash (e.g. results.html#score=BoC_pctl_0_1&hide=POE,THE&text=…),
+// so any view can be reloaded, cited or shared. Writes replace the current history entry
+// and leave keys they do not name untouched (the text panel owns `text`, the author page `author`).
+(() => {
+  function params() {
+    return new URLSearchParams(location.hash.replace(/^#/, ""));
+  }
+
+  function get(key) {
+    return params().get(key);
+  }
+
+  function getList(key) {
+    const v = get(key);
+    return v ? v.split(",").filter(Boolean) : [];
+  }
+
+  function getNumber(key) {
+    const v = get(key);
+    if (v == null || v === "") return null;
+    const n = +v;
+    return Number.isFinite(n) ? n : null;
+  }
+
+  // "a-b" → [a, b] (numbers), null if absent or malformed
+  function getRange(key) {
+    const m = /^(-?[\d.]+)-(-?[\d.]+)$/.exec(get(key) || "");
+    if (!m) return null;
+    const r = [+m[1], +m[2]];
+    return r.every(Number.isFinite) ? r : null;
+  }
+
+  // Keys set to null, undefined, "" or [] are removed from the hash.
+  function set(values) {
+    const p = params();
+    for (const [k, v] of Object.entries(values)) {
+      if (v == null || v === "" || (Array.isArray(v) && !v.length)) p.delete(k);
+      else p.set(k, Array.isArray(v) ? v.join(",") : String(v));
+    }
+    // Commas and colons are safe in a fragment; keep them readable in shared links
+    const rest = p.toString().replace(/%2C/gi, ",").replace(/%3A/gi, ":");
+    history.replaceState(history.state, "", `${location.pathname}${location.search}${rest ? `#${rest}` : ""}`);
+  }
+
+  window.LoveUrlState = { params, get, getList, getNumber, getRange, set };
+})();